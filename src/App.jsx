@@ -1,42 +1,35 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import DictatorControls from './components/DictatorControls';
-
-// Custom Hook for Local Storage (for settings and text persistence)
-const useLocalStorage = (key, initialValue) => {
-    const [storedValue, setStoredValue] = useState(() => {
-        try {
-            const item = window.localStorage.getItem(key);
-            // Handle boolean initialValue specifically to avoid `true` being parsed as "true" string
-            if (typeof initialValue === 'boolean' && item !== null) {
-                return JSON.parse(item);
-            }
-            return item ? JSON.parse(item) : initialValue;
-        } catch (error) {
-            console.error(error);
-            return initialValue;
-        }
-    });
-
-    const setValue = (value) => {
-        try {
-            const valueToStore = value instanceof Function ? value(storedValue) : value;
-            setStoredValue(valueToStore);
-            window.localStorage.setItem(key, JSON.stringify(valueToStore));
-        } catch (error) {
-            console.error(error);
-        }
-    };
-    return [storedValue, setValue];
-};
-
-// Utility function to clean text for dictation
-const cleanText = (rawText) => {
-    if (!rawText) return '';
-    let clean = rawText.replace(/<[^>]*>/g, ' ');
-    clean = clean.replace(/(\*|_|#|`)+/g, ' ');
-    clean = clean.replace(/\s\s+/g, ' ').trim();
-    return clean;
-};
+import useLocalStorage from './hooks/useLocalStorage';
+import useDocumentLibrary from './hooks/useDocumentLibrary';
+import useMediaQuery from './hooks/useMediaQuery';
+import useSpeechDictation from './hooks/useSpeechDictation';
+import useDictation, { DICTATION_CONTROLS } from './hooks/useDictation';
+import { getSpeechEngine, combineSpeechEngines } from './utils/speechEngine';
+import { DEFAULT_HTTP_TTS_CONFIG, normalizeHttpTtsConfig, createHttpSpeechEngine } from './utils/httpSpeechEngine';
+import { clearSpeechCache } from './utils/speechCache';
+import { DEFAULT_SYNTHESIS_ENGINE, getSynthesisEngine } from './utils/synthesisEngines';
+import { splitIntoChunks } from './utils/textChunking';
+import { DEFAULT_CLEANING_OPTIONS, normalizeCleaningOptions, cleanTextWithOffsets, toRawIndex, toCleanIndex } from './utils/textCleaning';
+import { applyLexiconBySegment, parseLexicon, serializeLexicon } from './utils/pronunciationLexicon';
+import { parseSsmlLite, planUtterances, resolveMarkupVoice, overlaySegments } from './utils/ssmlLite';
+import { parseDialogue, applyDialogueToMarkup, findTurn, getSpeakerColor, autoAssignVoices } from './utils/dialogueCast';
+import { segmentSentences, findSentenceIndex } from './utils/textSegmentation';
+import { getPreviewSentence } from './utils/voiceCatalog';
+import { DEFAULT_APPEARANCE, THEME_CLASSES, HIGHLIGHT_STYLES, normalizeAppearance, resolveColorScheme, buildThemeVariables, applyThemeVariables } from './utils/themeEngine';
+import { createPreset, presetMatchesSettings, serializePresets, parsePresets, mergePresets } from './utils/voicePresets';
+import { detectLanguageSegments, listSegmentLanguages, pickVoiceForLanguage, getLanguageName } from './utils/languageDetection';
+import { importFile, extractChapters } from './utils/documentImport';
+import { takeIncomingText, titleFromText, canSpeakUnprompted, isClipboardSupported, readClipboardText, fetchPageText } from './utils/incomingText';
+import { whenOfflineReady, whenUpdateReady } from './utils/serviceWorker';
+import { listDictationCommands, getLiteralWord } from './utils/dictationCommands';
+import { findChangedRange, mapPosition } from './utils/textDiff';
+import ReviewNotesPanel from './components/ReviewNotesPanel';
+import { AUDIO_EXPORT_FORMATS, isAudioFormatSupported, renderSpeech, encodeAudioBuffer, downloadBlob } from './utils/audioExport';
+import { CAPTION_FORMATS, createTimingRecorder, buildCaptionTrack, serializeCaptions } from './utils/captionExport';
+import { listWordStarts, countWordsFrom, getWordsPerMinute, recordReadingSpeed, estimateSeconds, addHistoryEntry, formatDuration } from './utils/readingStats';
+import { DEFAULT_ITEM_GAP, createPlaylistItem, describePlaylistItem, getNextItemIndex, moveItem, normalizeItemGap, getSleepVolume, findChapterEnd } from './utils/playlist';
+import ReadingStats from './components/ReadingStats';
 
 // Utility function to tokenize text for synchronized display
 const tokenizeText = (rawText) => {
@@ -44,133 +37,189 @@ const tokenizeText = (rawText) => {
     return rawText.match(/\S+|\s+/g) || [];
 };
 
+// Documents without a saved cast share this object so memoized values stay stable
+const EMPTY_CAST = {};
+const EMPTY_NOTES = [];
+
+// The voice for a stretch of text with the given delivery settings. Priority: <voice> tag, the
+// speaking character's cast voice, then the voice for the segment's language, else the main voice.
+// reader: { voice, cast, pinnedVoices }
+const resolveDeliveryVoice = (settings, voices, reader) => {
+    const role = (settings.speaker && reader.cast[settings.speaker]) || {};
+    const roleVoice = role.voiceName ? voices.find(v => v.name === role.voiceName) : null;
+    const languageVoice = settings.lang ? pickVoiceForLanguage(settings.lang, voices, reader.pinnedVoices, reader.voice) : null;
+    return resolveMarkupVoice(settings, voices) || roleVoice || languageVoice || reader.voice;
+};
+
 const DEFAULT_TEXT = "Greetings, citizen. You have entered the domain of The Great Dictator. Click 'Start Dictation' to begin, or 'Generate Audio File' to capture the speech as a file.";
 
 function App() {
     const textDisplayRef = useRef(null);
+    const textareaRef = useRef(null);
     const highlightedWordRef = useRef(null);
     
     // Local Storage Persisted States
-    const [text, setText] = useLocalStorage('dictatorText', DEFAULT_TEXT);
     const [selectedVoice, setSelectedVoice] = useLocalStorage('dictatorVoice', null);
     const [rate, setRate] = useLocalStorage('dictatorRate', 1.0);
     const [pitch, setPitch] = useLocalStorage('dictatorPitch', 1.0);
     const [volume, setVolume] = useLocalStorage('dictatorVolume', 1.0);
     const [isControlsOpen, setIsControlsOpen] = useLocalStorage('dictatorControlsOpen', true);
-    const [isDarkMode, setIsDarkMode] = useLocalStorage('dictatorDarkMode', true); // New: Dark/Light Mode
+    const [storedAppearance, setAppearance] = useLocalStorage('dictatorAppearance', DEFAULT_APPEARANCE);
+    const [voiceThemes, setVoiceThemes] = useLocalStorage('dictatorVoiceThemes', {}); // { [voice name]: appearance }
+    const [audioFormat, setAudioFormat] = useLocalStorage('dictatorAudioFormat', 'wav');
+    const [audioEngine, setAudioEngine] = useLocalStorage('dictatorAudioEngine', DEFAULT_SYNTHESIS_ENGINE);
+    const [captionFormat, setCaptionFormat] = useLocalStorage('dictatorCaptionFormat', 'srt');
+    const [storedCleaningOptions, setCleaningOptions] = useLocalStorage('dictatorCleaningOptions', DEFAULT_CLEANING_OPTIONS);
+    const cleaningOptions = useMemo(() => normalizeCleaningOptions(storedCleaningOptions), [storedCleaningOptions]);
+    const [lexicon, setLexicon] = useLocalStorage('dictatorLexicon', []);
+    const [isAutoLanguage, setIsAutoLanguage] = useLocalStorage('dictatorAutoLanguage', true);
+    const [pinnedVoices, setPinnedVoices] = useLocalStorage('dictatorPinnedVoices', {}); // { [base language]: voice name }
+    const [presets, setPresets] = useLocalStorage('dictatorPresets', []);
+    const [lastPresetId, setLastPresetId] = useLocalStorage('dictatorLastPreset', null);
+    const [favouriteVoices, setFavouriteVoices] = useLocalStorage('dictatorFavouriteVoices', []);
+    const [isProofreading, setIsProofreading] = useLocalStorage('dictatorProofreading', false);
+    const [voiceSpeeds, setVoiceSpeeds] = useLocalStorage('dictatorVoiceSpeeds', {}); // { [voice name]: { wpm, samples } }
+    const [playlist, setPlaylist] = useLocalStorage('dictatorPlaylist', []); // [{ id, documentId, text }]
+    const [loopMode, setLoopMode] = useLocalStorage('dictatorLoopMode', 'off');
+    const [itemGap, setItemGap] = useLocalStorage('dictatorItemGap', DEFAULT_ITEM_GAP); // Seconds between items
+    const [storedHttpVoiceConfig, setHttpVoiceConfig] = useLocalStorage('dictatorHttpVoices', DEFAULT_HTTP_TTS_CONFIG);
+    const httpVoiceConfig = useMemo(() => normalizeHttpTtsConfig(storedHttpVoiceConfig), [storedHttpVoiceConfig]);
     
     // Runtime States
-    const [isSpeaking, setIsSpeaking] = useState(false);
-    const [isGeneratingAudio, setIsGeneratingAudio] = useState(false);
+    const [audioProgress, setAudioProgress] = useState(null); // { stage, progress } while rendering a file
     const [voices, setVoices] = useState([]);
     const [error, setError] = useState(null);
+    const [previewingVoice, setPreviewingVoice] = useState(null); // Name of the voice playing a preview sample
+    const [captionTrack, setCaptionTrack] = useState(null); // Word timings of the last dictation run or rendered file
+    const [runElapsed, setRunElapsed] = useState(0); // Listening time of the current run, in seconds
+    const [playlistIndex, setPlaylistIndex] = useState(null); // Playlist item being read, else null
+    // The item to start next, after the pause between items: { index (null = repeat the current
+    // text), startsAt, isLoaded (its document and selection are open) }
+    const [playlistCue, setPlaylistCue] = useState(null);
+    const [sleepTimer, setSleepTimer] = useState(null); // { mode: 'minutes', endsAt } | { mode: 'chapter', chapterEnd }
+    const [sleepRemaining, setSleepRemaining] = useState(null); // Seconds left on a timed sleep
+    // A pasted, linked or shared text to read once its script is open: { documentId, needsTap }
+    const [readOnOpen, setReadOnOpen] = useState(null);
+
+    // Script library (IndexedDB); the active document's text is what gets dictated
+    const {
+        documents,
+        activeDocument,
+        isLoading: isLibraryLoading,
+        openDocument,
+        createDocument,
+        duplicateDocument,
+        renameDocument,
+        deleteDocument,
+        updateDocument,
+        setActiveText: setText,
+        resetLibrary,
+    } = useDocumentLibrary(DEFAULT_TEXT, setError);
+    const text = activeDocument ? activeDocument.text : '';
     const [isOnline, setIsOnline] = useState(navigator.onLine); // New: Online status
+    const [isOfflineReady, setIsOfflineReady] = useState(false); // The service worker has cached the app
+    const [applyUpdate, setApplyUpdate] = useState(null); // Switches to a newly deployed version, once one is waiting
     
+    // Listen mode (speech-to-text) recognizes the language of the selected voice
+    const selectedVoiceLang = (voices.find(v => v.name === selectedVoice) || {}).lang;
+    const recognitionLang = selectedVoiceLang || navigator.language;
+    const dictationCommands = listDictationCommands(recognitionLang);
+    const dictation = useSpeechDictation({
+        lang: recognitionLang,
+        text,
+        setText: (nextText) => {
+            setText(nextText);
+            setSelectedText('');
+        },
+        textareaRef,
+        onError: setError,
+    });
+
     // States for synchronization and reading selection
     const [currentCharIndex, setCurrentCharIndex] = useState(-1);
-    const [isPaused, setIsPaused] = useState(false);
+    const [sessionSpokenText, setSessionSpokenText] = useState(null); // The spoken text the running session was built from
+    // Proofreading stops after each sentence: { rawText, rawStart, rawEnd, noteId } of the sentence just read
+    const [proofPause, setProofPause] = useState(null);
+    const [isEditingPaused, setIsEditingPaused] = useState(false); // Paused with the editor shown instead of the reader
     const [selectedText, setSelectedText] = useState('');
 
-    const synth = useMemo(() => window.speechSynthesis, []);
+    // Playback goes through a speech engine (the browser's speechSynthesis unless replaced, joined
+    // by a TTS server's voices when one is configured) and the useDictation state machine
+    // (idle/speaking/paused/rendering/error). A proofreading stop between sentences also counts
+    // as paused. Every control takes what it may do from DICTATION_CONTROLS for that state.
+    const engine = useMemo(() => (
+        httpVoiceConfig.enabled
+            ? combineSpeechEngines(getSpeechEngine(), createHttpSpeechEngine(httpVoiceConfig))
+            : getSpeechEngine()
+    ), [httpVoiceConfig]);
+    const playback = useDictation(engine);
+    const dictationStatus = proofPause && playback.status === 'idle' ? 'paused' : playback.status;
+    const controls = DICTATION_CONTROLS[dictationStatus];
+    const isSpeaking = dictationStatus === 'speaking';
+    const isPaused = dictationStatus === 'paused';
+    const isRendering = dictationStatus === 'rendering';
+    const audioAbortRef = useRef(null);
+    // The active dictation session: what is being read (document, proofreading sentence, timing).
+    // The playback queue itself lives in useDictation.
+    const sessionRef = useRef(null);
+    // The current dictation run: { timing, startedAt, documentId, voiceName, rate, from, textLength }.
+    // A run continues across the sessions started by seeking, skipping and proofreading, and ends
+    // when reading stops or finishes; it is timed for caption export, speed estimates and history.
+    const runRef = useRef(null);
+    // Latest transport handlers for the global keyboard and Media Session listeners, timers and
+    // session callbacks
+    const transportRef = useRef(null);
+    // Read when each utterance is prepared, to fade out before a timed sleep
+    const sleepTimerRef = useRef(null);
+    const incomingCheckedRef = useRef(false); // The page address was checked for text to open
     
-    // Helper to normalize strings for comparison
-    const normalize = (str) => str ? str.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
-
-    // Theme Definitions: Voice-based accent themes
-    const VOICE_ACCENT_THEMES = useMemo(() => ({
-        NEUTRAL: { accent: 'text-dictator-accent', accentBg: 'bg-dictator-accent', headerAccent: 'text-dictator-accent' },
-        AUTHORITY: { accent: 'text-cyan-400', accentBg: 'bg-cyan-600', headerAccent: 'text-cyan-400' },
-        ELEGANT: { accent: 'text-purple-400', accentBg: 'bg-purple-600', headerAccent: 'text-purple-400' },
-        MILITARY: { accent: 'text-green-500', accentBg: 'bg-green-700', headerAccent: 'text-green-400' },
-        PROFESSOR: { accent: 'text-yellow-400', accentBg: 'bg-yellow-600', headerAccent: 'text-yellow-400' },
-        SPOOKY: { accent: 'text-red-500', accentBg: 'bg-red-700', headerAccent: 'text-red-400' },
-        BRIGHT: { accent: 'text-pink-400', accentBg: 'bg-pink-600', headerAccent: 'text-pink-400' },
-        CALM: { accent: 'text-sky-300', accentBg: 'bg-sky-600', headerAccent: 'text-sky-300' },
-        VINTAGE: { accent: 'text-orange-400', accentBg: 'bg-orange-600', headerAccent: 'text-orange-400' },
-        DEEP: { accent: 'text-fuchsia-400', accentBg: 'bg-fuchsia-600', headerAccent: 'text-fuchsia-400' },
-    }), []);
-
-    // Base themes for dark/light mode
-    const BASE_MODE_THEMES = useMemo(() => ({
-        dark: {
-            bg: 'bg-dictator-dark',
-            sidebarBg: 'bg-dictator-dark',
-            text: 'text-dictator-light',
-            inputBg: 'bg-slate-800',
-            inputBorder: 'border-slate-700',
-            infoText: 'text-slate-400',
-            highlightText: 'text-white',
-            buttonSecondaryBg: 'bg-slate-700',
-            buttonSecondaryHover: 'hover:bg-slate-600',
-            buttonSecondaryText: 'text-dictator-light',
-            headerBorder: 'border-slate-700',
-            logoBg: 'bg-slate-800' // For file input
-        },
-        light: {
-            bg: 'bg-dictator-light',
-            sidebarBg: 'bg-gray-100',
-            text: 'text-dictator-dark',
-            inputBg: 'bg-white',
-            inputBorder: 'border-gray-300',
-            infoText: 'text-gray-600',
-            highlightText: 'text-gray-900',
-            buttonSecondaryBg: 'bg-gray-200',
-            buttonSecondaryHover: 'hover:bg-gray-300',
-            buttonSecondaryText: 'text-slate-800',
-            headerBorder: 'border-gray-300',
-            logoBg: 'bg-gray-50' // For file input
-        }
-    }), []);
-
-    // Combined theme (base + voice accents)
-    const currentTheme = useMemo(() => {
-        const modeBase = isDarkMode ? BASE_MODE_THEMES.dark : BASE_MODE_THEMES.light;
-        
-        let voiceThemeKey = 'NEUTRAL'; // Default voice theme
-        const voiceObj = voices.find(v => v.name === selectedVoice);
-        if (voiceObj) {
-            const lowerName = normalize(voiceObj.name);
-            if (lowerName.includes('high') || lowerName.includes('premium') || lowerName.includes('wavenet') || lowerName.includes('google')) {
-                voiceThemeKey = 'AUTHORITY';
-            } else if (lowerName.includes('female') || lowerName.includes('femenine') || lowerName.includes('alice') || lowerName.includes('samantha')) {
-                voiceThemeKey = 'ELEGANT';
-            } else if (lowerName.includes('male') || lowerName.includes('default') || lowerName.includes('microsoft')) {
-                voiceThemeKey = 'NEUTRAL';
-            } else if (lowerName.includes('zira') || lowerName.includes('anna') || lowerName.includes('amy') || lowerName.includes('karen')) {
-                voiceThemeKey = 'CALM';
-            } else if (lowerName.includes('alex') || lowerName.includes('daniel')) {
-                voiceThemeKey = 'DEEP';
-            } else if (lowerName.includes('lee') || lowerName.includes('military') || lowerName.includes('commander')) {
-                voiceThemeKey = 'MILITARY';
-            } else if (lowerName.includes('veena') || lowerName.includes('susan') || lowerName.includes('professor')) {
-                voiceThemeKey = 'PROFESSOR';
-            } else if (lowerName.includes('chipmunk') || lowerName.includes('ghost') || lowerName.includes('whisper')) {
-                voiceThemeKey = 'SPOOKY';
-            } else if (lowerName.includes('lucy') || lowerName.includes('bright') || lowerName.includes('sun')) {
-                voiceThemeKey = 'BRIGHT';
-            } else if (lowerName.includes('vintage') || lowerName.includes('old')) {
-                voiceThemeKey = 'VINTAGE';
-            }
-        }
+    // Appearance: one global look, optionally replaced by a look bound to the selected voice.
+    // Colours, fonts and the highlight style become CSS custom properties (see themeEngine.js).
+    const boundAppearance = voiceThemes[selectedVoice];
+    const appearance = useMemo(() => normalizeAppearance(boundAppearance || storedAppearance), [boundAppearance, storedAppearance]);
+    const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+    const prefersMoreContrast = useMediaQuery('(prefers-contrast: more), (forced-colors: active)');
+    const { isDark: isDarkMode, isHighContrast } = resolveColorScheme(appearance, { prefersDark, prefersMoreContrast });
+
+    useEffect(() => {
+        const variables = buildThemeVariables(appearance, { isDark: isDarkMode, isHighContrast });
+        applyThemeVariables(document.documentElement, variables, isDarkMode);
+    }, [appearance, isDarkMode, isHighContrast]);
 
-        const voiceAccent = VOICE_ACCENT_THEMES[voiceThemeKey];
+    const currentTheme = THEME_CLASSES;
 
-        return {
-            ...modeBase,
-            ...voiceAccent,
-        };
-    }, [selectedVoice, voices, isDarkMode, VOICE_ACCENT_THEMES, BASE_MODE_THEMES]);
+    // Edits go to the selected voice's own look when it has one
+    const handleAppearanceChange = (patch) => {
+        if (boundAppearance) {
+            setVoiceThemes(prev => ({ ...prev, [selectedVoice]: normalizeAppearance({ ...prev[selectedVoice], ...patch }) }));
+        } else {
+            setAppearance(prev => normalizeAppearance({ ...prev, ...patch }));
+        }
+    };
+
+    const handleToggleVoiceTheme = () => {
+        if (!selectedVoice) return;
+        setVoiceThemes(prev => {
+            const next = { ...prev };
+            if (next[selectedVoice]) delete next[selectedVoice];
+            else next[selectedVoice] = normalizeAppearance(storedAppearance);
+            return next;
+        });
+    };
 
 
     // --- Voice Loading ---
     const loadVoices = useCallback(() => {
-        const availableVoices = synth.getVoices();
-        setVoices(availableVoices);
+        const availableVoices = engine.getVoices();
+        // Engines may hand back the same voices in a new array; keeping the old one spares the voice-based memos
+        setVoices(prev => (prev.length === availableVoices.length && prev.every((voice, i) => voice === availableVoices[i])
+            ? prev
+            : availableVoices));
         if (availableVoices.length > 0 && !selectedVoice) {
             const defaultVoice = availableVoices.find(v => v.lang.startsWith('en')) || availableVoices[0];
             setSelectedVoice(defaultVoice ? defaultVoice.name : null);
         }
-    }, [synth, selectedVoice, setSelectedVoice]);
+    }, [engine, selectedVoice, setSelectedVoice]);
 
     // Error clearing effect
     useEffect(() => {
@@ -200,18 +249,21 @@ function App() {
     
     // Initial voice loading and API support check
     useEffect(() => {
-        if (synth) {
-            synth.onvoiceschanged = loadVoices;
+        if (engine.isSupported) {
+            const unsubscribe = engine.onVoicesChanged(loadVoices);
             const timeoutId = setTimeout(() => {
                 loadVoices();
             }, 0);
-            return () => clearTimeout(timeoutId);
+            return () => {
+                clearTimeout(timeoutId);
+                unsubscribe();
+            };
         } else {
             setTimeout(() => {
                 setError("Web Speech Synthesis API is not supported in this browser.");
             }, 0);
         }
-    }, [loadVoices, synth]);
+    }, [loadVoices, engine]);
 
     // New: Online/Offline status effect
     useEffect(() => {
@@ -227,128 +279,984 @@ function App() {
         };
     }, []);
 
-    const handlePause = () => {
-        if (synth && synth.speaking && !synth.paused) {
-            synth.pause();
-            setIsPaused(true);
-            setIsSpeaking(false);
-            
-            if (isGeneratingAudio) {
-                setIsGeneratingAudio(false);
-                setError("Audio generation cancelled by pause action.");
+    useEffect(() => whenOfflineReady(() => setIsOfflineReady(true)), []);
+    useEffect(() => whenUpdateReady(apply => setApplyUpdate(() => apply)), []);
+
+    // --- Memoized Indexing for Highlighting ---
+    const textToHighlight = selectedText || text;
+    
+    // The cleaned utterance text plus a map from each cleaned character back to the raw text
+    const cleanedText = useMemo(() => cleanTextWithOffsets(textToHighlight, cleaningOptions), [textToHighlight, cleaningOptions]);
+
+    // SSML-lite markup: breaks, prosody/emphasis/voice sections, and the tag ranges to hide
+    const ssmlMarkup = useMemo(() => parseSsmlLite(textToHighlight), [textToHighlight]);
+
+    // Dialogue turns ("ALICE: ...") and the document's voice for each character
+    const dialogue = useMemo(() => parseDialogue(textToHighlight), [textToHighlight]);
+    const cast = (activeDocument && activeDocument.cast) || EMPTY_CAST;
+    const reviewNotes = (activeDocument && activeDocument.reviewNotes) || EMPTY_NOTES;
+
+    const tokenData = useMemo(() => {
+        if (!textToHighlight) return [];
+        
+        let visualTokens = []; 
+
+        // SSML-lite tags are never displayed; the text between them is tokenized as usual
+        const addTokens = (from, to) => {
+            let rawIndex = from;
+            for (const token of tokenizeText(textToHighlight.slice(from, to))) {
+                const turn = findTurn(dialogue.turns, rawIndex);
+                visualTokens.push({
+                    token, 
+                    isWord: /\S/.test(token), 
+                    rawStart: rawIndex,
+                    rawEnd: rawIndex + token.length,
+                    speaker: turn ? turn.speaker : null,
+                });
+                rawIndex += token.length;
             }
+        };
+        let rawIndex = 0;
+        for (const tag of ssmlMarkup.tags) {
+            addTokens(rawIndex, tag.start);
+            rawIndex = tag.end;
+        }
+        addTokens(rawIndex, textToHighlight.length);
+        return visualTokens;
+    }, [textToHighlight, ssmlMarkup, dialogue]);
+
+    // Resume positions are stored on the document (whole text only, not selections)
+    const savedPosition = !selectedText && activeDocument && activeDocument.lastPosition > 0 ? activeDocument.lastPosition : null;
+
+    const saveReadingPosition = (documentId, spokenIndex) => {
+        updateDocument(documentId, { lastPosition: spokenIndex });
+    };
+
+    // Sentence boundaries (snapped to word tokens) for skip navigation
+    const sentenceData = useMemo(() => {
+        const voiceObj = voices.find(v => v.name === selectedVoice);
+        return segmentSentences(textToHighlight, tokenData, voiceObj ? voiceObj.lang : undefined);
+    }, [textToHighlight, tokenData, voices, selectedVoice]);
+
+    // Detected (or declared) language of each sentence, used to switch voices mid-text
+    const languageSegments = useMemo(() => detectLanguageSegments(textToHighlight, sentenceData), [textToHighlight, sentenceData]);
+    const detectedLanguages = useMemo(() => listSegmentLanguages(languageSegments), [languageSegments]);
+
+    // Everything that changes delivery along the text: markup, dialogue turns and languages
+    const deliveryMarkup = useMemo(() => {
+        const withDialogue = applyDialogueToMarkup(ssmlMarkup, dialogue);
+        return isAutoLanguage ? overlaySegments(withDialogue, languageSegments) : withDialogue;
+    }, [ssmlMarkup, dialogue, isAutoLanguage, languageSegments]);
+
+    // What is actually spoken: the cleaned text after pronunciation rules. Voice and language rules
+    // follow the voice each stretch is read with, as chosen by prepareUtterance.
+    // Utterance offsets, seeking and saved positions all refer to this text.
+    const spokenText = useMemo(() => {
+        const reader = { voice: voices.find(v => v.name === selectedVoice), cast, pinnedVoices };
+        const voiceSegments = deliveryMarkup.segments.map(segment => ({
+            start: segment.start,
+            voice: resolveDeliveryVoice(segment.settings, voices, reader),
+        }));
+        return applyLexiconBySegment(cleanedText, lexicon, voiceSegments);
+    }, [cleanedText, lexicon, voices, selectedVoice, cast, pinnedVoices, deliveryMarkup]);
+
+    // Raw-text position of the character the engine is currently speaking. Changing the voice
+    // mid-session can change which rules apply, so map through the session's own text.
+    const currentRawIndex = useMemo(
+        () => toRawIndex(sessionSpokenText || spokenText, currentCharIndex),
+        [sessionSpokenText, spokenText, currentCharIndex]
+    );
+
+    // Script statistics (of the text as written) and the listening time at the voice's measured speed
+    const wordStarts = useMemo(() => listWordStarts(cleanedText.text), [cleanedText]);
+    const readingStats = useMemo(() => ({
+        words: wordStarts.length,
+        characters: cleanedText.text.length,
+        sentences: sentenceData.length,
+    }), [wordStarts, cleanedText, sentenceData]);
+    const wordsPerMinute = getWordsPerMinute(voiceSpeeds, selectedVoice);
+    const readingEstimate = {
+        seconds: estimateSeconds(readingStats.words, wordsPerMinute, rate),
+        wpm: wordsPerMinute,
+        samples: voiceSpeeds[selectedVoice] ? voiceSpeeds[selectedVoice].samples : 0,
+    };
+
+    // Live progress while dictating: position in the text, listening time so far and the time left
+    const readingProgress = (isSpeaking || isPaused) && currentCharIndex > -1 ? {
+        fraction: Math.min(currentCharIndex / Math.max((sessionSpokenText || spokenText).text.length, 1), 1),
+        elapsed: runElapsed,
+        remaining: estimateSeconds(countWordsFrom(wordStarts, toCleanIndex(cleanedText, currentRawIndex)), wordsPerMinute, rate),
+    } : null;
+
+    // The run's clock stops while paused, so the elapsed time is sampled rather than counted
+    useEffect(() => {
+        if (!isSpeaking) return undefined;
+        const timer = setInterval(() => {
+            if (runRef.current) setRunElapsed(runRef.current.timing.elapsed());
+        }, 500);
+        return () => clearInterval(timer);
+    }, [isSpeaking]);
+
+    // Network (non-localService) voices this script would use; they fail without a connection
+    const networkVoicesInUse = useMemo(() => {
+        const mainVoice = voices.find(v => v.name === selectedVoice);
+        const used = [
+            mainVoice,
+            ...dialogue.speakers.map(speaker => cast[speaker] && voices.find(v => v.name === cast[speaker].voiceName)),
+            ...(isAutoLanguage ? detectedLanguages.map(lang => pickVoiceForLanguage(lang, voices, pinnedVoices, mainVoice)) : []),
+        ];
+        return [...new Set(used.filter(voice => voice && !voice.localService).map(voice => voice.name))];
+    }, [voices, selectedVoice, dialogue, cast, isAutoLanguage, detectedLanguages, pinnedVoices]);
+
+    const handlePause = () => {
+        const session = sessionRef.current;
+        if (!session || !playback.isSpeaking) return;
+        playback.pause();
+        session.pausedRawIndex = currentRawIndex;
+        session.timing.pause();
+        if (session.documentId && currentCharIndex > -1) {
+            saveReadingPosition(session.documentId, currentCharIndex);
         }
     };
 
+    // Index of the first sentence ending after a raw position (-1 past the last sentence)
+    const findSentenceAfter = (rawIndex) => sentenceData.findIndex(sentence => sentence.end > rawIndex);
+
     const handleResume = () => {
-        if (synth && synth.paused) {
-            synth.resume();
-            setIsPaused(false);
-            setIsSpeaking(true); 
+        const session = sessionRef.current;
+        if (session && session.rawText !== textToHighlight) {
+            // The text was edited while paused, so the queued utterances are stale: rebuild from the
+            // edited sentence (or the paused one, if the edit came later in the text)
+            const range = findChangedRange(session.rawText, textToHighlight);
+            const target = Math.min(mapPosition(range, session.pausedRawIndex ?? 0), range.start);
+            const index = findSentenceAfter(target);
+            handleSpeak(toCleanIndex(spokenText, index === -1 ? target : sentenceData[index].start));
+            return;
+        }
+        if (session && playback.isPaused) {
+            setIsEditingPaused(false);
+            session.timing.resume();
+            playback.resume();
         }
     };
 
-    // --- Core Dictation Logic (Modified for Recording and Pause/Resume) ---
+    // --- Core Dictation Logic ---
 
-    const handleSpeak = (isRecordingAttempt = false) => {
-        if (synth && synth.paused) {
+    // startAt: spoken-text index to start reading from (null = resume if paused, else the beginning)
+    const handleSpeak = (startAt = null) => {
+        if (proofPause && startAt === null) {
+            continueProofreading(false);
+            return;
+        }
+        if (playback.isPaused && startAt === null) {
             handleResume();
             return;
         }
 
-        const textToUse = selectedText || text;
-        if (!synth || !textToUse) return;
+        if (!engine.isSupported || !textToHighlight || isRendering) return;
+
+        // Reading aloud and listening never overlap: the microphone would hear the voice
+        if (dictation.isListening) dictation.stop();
+
+        // Replacing a running (or proofreading) session continues its run
+        const isContinuingRun = Boolean(runRef.current && (sessionRef.current || proofPause));
         
-        synth.cancel(); // Cancel previous speech if not paused
+        sessionRef.current = null;
+        playback.stop(); // Cancel previous speech, paused or not
+        setProofPause(null);
+        setIsEditingPaused(false);
 
         const voiceObj = voices.find(v => v.name === selectedVoice);
         if (!voiceObj) {
-            if (isRecordingAttempt) setIsGeneratingAudio(false);
             return setError("Selected voice not found.");
         }
 
-        // We use the cleaned version for the utterance itself
-        const utteranceText = cleanText(textToUse);
-
-        const utterance = new SpeechSynthesisUtterance(utteranceText);
-        utterance.voice = voiceObj;
-        utterance.rate = rate;
-        utterance.pitch = pitch;
-        utterance.volume = volume;
+        // We use the spoken version (cleaned, pronunciation rules applied) for the utterances, split
+        // into a queue of sentences. Offsets are relative to it so highlighting works across chunks.
+        let from = Math.min(Math.max(startAt || 0, 0), spokenText.text.length);
+        let to = spokenText.text.length;
+        // Proofreading reads only the sentence at the start position, then pauses
+        let proof = null;
+        if (isProofreading && sentenceData.length > 0) {
+            const sentence = sentenceData[findSentenceIndex(sentenceData, toRawIndex(spokenText, from))];
+            from = toCleanIndex(spokenText, sentence.start);
+            to = Math.max(toCleanIndex(spokenText, sentence.end), from);
+            proof = { rawStart: sentence.start, rawEnd: sentence.end };
+        }
+        const documentId = selectedText || !activeDocument ? null : activeDocument.id;
+        if (!isContinuingRun) {
+            runRef.current = {
+                timing: createTimingRecorder(),
+                startedAt: Date.now(),
+                documentId,
+                from: spokenText.text.length > 0 ? from / spokenText.text.length : 0,
+                textLength: spokenText.text.length,
+            };
+        }
+        // Speed measurements belong to the voice and rate of the latest session
+        Object.assign(runRef.current, { voiceName: voiceObj.name, rate });
+        // SSML-lite markup then splits the queue wherever delivery changes or a break is requested.
+        const chunks = planUtterances(
+            splitIntoChunks(spokenText.text.slice(from, to), undefined, voiceObj.lang).map(chunk => ({ ...chunk, offset: chunk.offset + from })),
+            spokenText,
+            deliveryMarkup
+        );
+        if (chunks.length === 0) {
+            // A sentence with nothing to say (e.g. a silent code block) still stops the proofreader
+            if (proof) setProofPause({ ...proof, rawText: textToHighlight, noteId: null });
+            return;
+        }
 
-        utterance.onstart = () => {
-            setIsSpeaking(true);
-            setCurrentCharIndex(0);
+        const session = {
+            voice: voiceObj,
+            rate,
+            pitch,
+            volume,
+            documentId,
+            cast,
+            pinnedVoices,
+            rawText: textToHighlight, // To notice edits made while paused
+            proof,
+            timing: runRef.current.timing,
+            captionContext: { spoken: spokenText, cleaned: cleanedText, sentences: sentenceData },
         };
-        
-        utterance.onboundary = (event) => {
-            if (event.name === 'word') {
-                setCurrentCharIndex(event.charIndex);
+        sessionRef.current = session;
+        setSessionSpokenText(spokenText);
+        playback.play({
+            chunks,
+            prepare: (chunk) => prepareUtterance(session, chunk),
+            onChunkStart: (chunk) => {
+                session.timing.resume();
+                session.timingSpan = session.timing.startSpan(session.captionContext, chunk.offset, chunk.text.length);
+                session.lastIndex = chunk.offset;
+                setCurrentCharIndex(chunk.offset);
+                if (session.documentId) {
+                    saveReadingPosition(session.documentId, chunk.offset);
+                }
+            },
+            onWord: (chunk, index, length) => {
+                session.lastIndex = index;
+                setCurrentCharIndex(index);
+                if (session.timingSpan) session.timing.markWord(session.timingSpan, index, length);
+            },
+            onChunkEnd: () => {
+                if (session.timingSpan) session.timing.endSpan(session.timingSpan);
+                session.timingSpan = null;
+            },
+            onChunkError: (chunk, { error, voice, skipped }) => {
+                if (session.timingSpan) session.timing.discardSpan(session.timingSpan);
+                session.timingSpan = null;
+                if (!skipped) return;
+                const reason = !navigator.onLine && voice && !voice.localService
+                    ? `"${voice.name}" is a network voice and cannot speak while offline`
+                    : error;
+                setError(`Speech Error: ${reason}. Skipped "${chunk.text.length > 40 ? chunk.text.substring(0, 40) + '...' : chunk.text}".`);
+            },
+            onFinish: () => finishSession(session),
+            onFail: (error) => failSession(session, error),
+        });
+    };
+
+    // Restarts dictation at the word under the given raw-text position
+    const handleSeek = (rawIndex) => {
+        // A chapter sleep timer follows to the chapter sought to
+        if (sleepTimer && sleepTimer.mode === 'chapter') setSleepTimer({ mode: 'chapter', chapterEnd: null });
+        handleSpeak(toCleanIndex(spokenText, rawIndex));
+    };
+
+    const finishSession = (session) => {
+        if (sessionRef.current !== session) return;
+        sessionRef.current = null;
+        if (session.proof) {
+            // Proofreading: wait after the sentence for repeat/flag/edit or the next one
+            session.timing.pause();
+            setProofPause({ ...session.proof, rawText: session.rawText, noteId: null });
+            if (session.documentId) {
+                saveReadingPosition(session.documentId, toCleanIndex(spokenText, session.proof.rawEnd));
             }
+            return;
+        }
+        if (session.documentId) {
+            saveReadingPosition(session.documentId, null); // Read to the end: nothing to continue
+        }
+        finishRun(null);
+        setCurrentCharIndex(-1); // Reset index
+        transportRef.current.itemEnded();
+    };
+
+    // Playback gave up (the voice kept failing or stalling): the run ends where it got to, which
+    // is kept as the document's resume position
+    const failSession = (session, reason) => {
+        if (sessionRef.current !== session) return;
+        sessionRef.current = null;
+        const endIndex = Math.max(session.lastIndex ?? 0, 0);
+        if (session.documentId) saveReadingPosition(session.documentId, endIndex);
+        finishRun(endIndex);
+        setCurrentCharIndex(-1);
+        setIsEditingPaused(false);
+        setError(`Dictation stopped: the voice keeps failing (${reason}). Check the voice or its connection, then continue.`);
+    };
+
+    // Ends the dictation run: keeps its timings for caption export, refines the voice's measured
+    // speed and adds the run to the document's listening history. endIndex: the spoken-text
+    // position where reading stopped (null = it reached the end).
+    const finishRun = (endIndex) => {
+        const run = runRef.current;
+        runRef.current = null;
+        setRunElapsed(0);
+        if (!run) return;
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const track = buildCaptionTrack(run.timing.finish(), { name: `dictation-${timestamp}`, source: 'dictation' });
+        if (track.words.length === 0) return;
+        setCaptionTrack(track);
+        setVoiceSpeeds(prev => recordReadingSpeed(prev, run.voiceName, track.words.length, track.duration, run.rate));
+
+        const doc = run.documentId && documents.find(d => d.id === run.documentId);
+        if (doc) {
+            updateDocument(doc.id, {
+                history: addHistoryEntry(doc.history, {
+                    startedAt: run.startedAt,
+                    duration: Math.round(track.duration),
+                    words: track.words.length,
+                    voice: run.voiceName,
+                    rate: run.rate,
+                    from: run.from,
+                    to: endIndex === null || run.textLength === 0 ? 1 : Math.min(endIndex / run.textLength, 1),
+                    completed: endIndex === null,
+                }),
+            });
+        }
+    };
+
+    // The engine utterance for a chunk. A character's own voice/rate/pitch replace the main ones in
+    // dialogue turns. Markup settings are multipliers on top of those (engine limits apply). The
+    // voice comes from resolveDeliveryVoice.
+    const prepareUtterance = (session, chunk) => {
+        const { settings } = chunk;
+        const role = (settings.speaker && session.cast[settings.speaker]) || {};
+        return {
+            text: chunk.text,
+            voice: resolveDeliveryVoice(settings, voices, session),
+            rate: Math.min(Math.max((role.rate ?? session.rate) * settings.rate, 0.1), 10),
+            pitch: Math.min(Math.max((role.pitch ?? session.pitch) * settings.pitch, 0), 2),
+            volume: Math.min(Math.max(session.volume * settings.volume * getSleepVolume(sleepTimerRef.current), 0), 1),
         };
+    };
 
-        utterance.onend = () => {
-            setIsSpeaking(false);
-            setCurrentCharIndex(-1); // Reset index
-            
-            if (isRecordingAttempt) {
-                setIsGeneratingAudio(false); 
+    const handleStop = () => {
+        if (audioAbortRef.current) {
+            audioAbortRef.current.abort();
+        }
+        if (sessionRef.current && sessionRef.current.documentId && currentCharIndex > -1) {
+            saveReadingPosition(sessionRef.current.documentId, currentCharIndex);
+        }
+        sessionRef.current = null;
+        playback.stop();
+        finishRun(Math.max(currentCharIndex, 0));
+        setCurrentCharIndex(-1);
+        setProofPause(null);
+        setIsEditingPaused(false);
+        setPlaylistCue(null);
+        setPlaylistIndex(null);
+    };
+
+    // --- Proofreading ---
+    const updateReviewNotes = (notes) => {
+        if (activeDocument) updateDocument(activeDocument.id, { reviewNotes: notes });
+    };
+
+    // Where the sentence just read is now, after any edits made during the pause
+    const locateProofSentence = (pause) => {
+        const range = findChangedRange(pause.rawText, textToHighlight);
+        const start = mapPosition(range, pause.rawStart);
+        const end = range && pause.rawEnd > range.start
+            ? Math.max(mapPosition(range, pause.rawEnd), range.newEnd)
+            : mapPosition(range, pause.rawEnd);
+        return { range, start, end };
+    };
+
+    // Continues after a proofreading pause: with the next sentence, the same one (repeat), or, when
+    // the text was edited, from the edited sentence. A correction to the sentence becomes a review note.
+    const continueProofreading = (repeat) => {
+        const pause = proofPause;
+        const { range, start, end } = locateProofSentence(pause);
+        let target = repeat ? start : mapPosition(range, pause.rawEnd);
+        if (range) {
+            target = Math.min(target, range.start);
+            const touchesSentence = range.start <= pause.rawEnd && range.oldEnd >= pause.rawStart;
+            const original = pause.rawText.slice(Math.min(pause.rawStart, range.start), Math.max(pause.rawEnd, range.oldEnd)).trim();
+            const edited = textToHighlight.slice(start, end).trim();
+            if (touchesSentence && original !== edited) {
+                updateReviewNotes(pause.noteId
+                    ? reviewNotes.map(note => (note.id === pause.noteId ? { ...note, edited } : note))
+                    : [...reviewNotes, { id: `note-${Date.now().toString(36)}`, sentence: original, edited, flagged: false, comment: '', rawStart: start, createdAt: Date.now() }]);
             }
-        };
-        
-        utterance.onerror = (event) => {
-            setError(`Speech Error: ${event.error}`);
-            setIsSpeaking(false);
+        }
+
+        const index = findSentenceAfter(target);
+        if (index === -1) {
+            // Proofread to the end
+            finishRun(null);
+            setProofPause(null);
             setCurrentCharIndex(-1);
-            if (isRecordingAttempt) {
-                setIsGeneratingAudio(false);
-            }
+            if (activeDocument && !selectedText) saveReadingPosition(activeDocument.id, null);
+            return;
+        }
+        handleSpeak(toCleanIndex(spokenText, sentenceData[index].start));
+    };
+
+    const handleFlagSentence = () => {
+        const comment = window.prompt('Note for this sentence (optional):', '');
+        if (comment === null) return;
+        const note = {
+            id: `note-${Date.now().toString(36)}`,
+            sentence: proofPause.rawText.slice(proofPause.rawStart, proofPause.rawEnd).trim(),
+            edited: null,
+            flagged: true,
+            comment: comment.trim(),
+            rawStart: proofPause.rawStart,
+            createdAt: Date.now(),
         };
+        updateReviewNotes([...reviewNotes, note]);
+        setProofPause({ ...proofPause, noteId: note.id });
+    };
 
-        synth.speak(utterance);
+    // Selects the sentence in the editor; reading continues from it once edited
+    const handleEditSentence = () => {
+        const { start, end } = locateProofSentence(proofPause);
+        setIsEditingPaused(true);
+        // The editor replaces the reader on the next render
+        setTimeout(() => {
+            const textarea = textareaRef.current;
+            if (!textarea) return;
+            textarea.focus();
+            textarea.setSelectionRange(start, end);
+        }, 0);
     };
 
-    const handleStop = () => {
-        if (synth) {
-            synth.cancel();
-            setIsSpeaking(false);
-            setIsPaused(false);
-            setIsGeneratingAudio(false);
+    const handleCopyReviewNotes = async () => {
+        const lines = reviewNotes.map(note => {
+            const body = note.edited === null ? note.sentence : `${note.sentence} → ${note.edited}`;
+            return `- ${body}${note.comment ? ` (${note.comment})` : ''}`;
+        });
+        try {
+            await navigator.clipboard.writeText(lines.join('\n'));
+        } catch (err) {
+            setError(`Could not copy the review notes: ${err.message}`);
         }
     };
+
+    const handleJumpToNote = (note) => {
+        const found = text.indexOf(note.edited ?? note.sentence);
+        handleSeek(found === -1 ? Math.min(note.rawStart, text.length) : found);
+    };
+
+    // --- Sentence/Paragraph Navigation ---
+    // direction: -1 (previous) or 1 (next). Returns true when a skip happened.
+    const handleSkip = (unit, direction) => {
+        if (!controls.skip || sentenceData.length === 0) return false;
+        const current = findSentenceIndex(sentenceData, Math.max(currentRawIndex, 0));
+
+        let target;
+        if (unit === 'sentence') {
+            target = current + direction;
+        } else {
+            const paragraph = Math.max(sentenceData[current].paragraph + direction, 0);
+            target = sentenceData.findIndex(sentence => sentence.paragraph === paragraph);
+        }
+        if (target < 0 && direction < 0) target = 0; // Already at the start: restart it
+        if (target < 0 || target >= sentenceData.length) return false;
+
+        handleSeek(sentenceData[target].start);
+        return true;
+    };
+
+    const handleTogglePlayback = () => {
+        if (controls.pause) {
+            handlePause();
+        } else if (controls.start && selectedVoice) {
+            handleSpeak();
+        }
+    };
+
+    useEffect(() => {
+        transportRef.current = {
+            togglePlayback: handleTogglePlayback,
+            play: () => {
+                if (!controls.pause) handleTogglePlayback();
+            },
+            pause: handlePause,
+            stop: () => {
+                if (!controls.stop) return false;
+                handleStop();
+                return true;
+            },
+            skip: handleSkip,
+            itemEnded: handleItemEnded,
+            loadCue: loadCuedItem,
+            startCued: () => handleSpeak(0),
+            sleep: handleSleep,
+            openIncoming: handleIncomingText,
+            openText: openIncomingText,
+        };
+    });
+
+    // --- Playlist & Sleep Timer ---
+    // Chapters are level-1 headings ('# Title'), produced by the EPUB/PDF/DOCX importers
+    const chapters = useMemo(() => extractChapters(text), [text]);
+
+    useEffect(() => {
+        sleepTimerRef.current = sleepTimer;
+    }, [sleepTimer]);
+
+    // The cued item is opened once the pause between items is over...
+    useEffect(() => {
+        if (!playlistCue || playlistCue.isLoaded) return undefined;
+        const timer = setTimeout(() => transportRef.current.loadCue(), Math.max(playlistCue.startsAt - Date.now(), 0));
+        return () => clearTimeout(timer);
+    }, [playlistCue]);
+
+    // ...and read once its text is the one on screen
+    useEffect(() => {
+        if (!playlistCue || !playlistCue.isLoaded) return;
+        const item = playlist[playlistCue.index];
+        if (!item || !activeDocument || activeDocument.id !== item.documentId) return;
+        if (textToHighlight !== (item.text || activeDocument.text)) return;
+        setPlaylistCue(null);
+        transportRef.current.startCued();
+    }, [playlistCue, playlist, activeDocument, textToHighlight]);
+
+    useEffect(() => {
+        if (!sleepTimer || sleepTimer.mode !== 'minutes') return undefined;
+        const tick = () => {
+            const remaining = Math.max(Math.ceil((sleepTimer.endsAt - Date.now()) / 1000), 0);
+            setSleepRemaining(remaining);
+            if (remaining === 0) transportRef.current.sleep();
+        };
+        tick();
+        const timer = setInterval(tick, 1000);
+        return () => clearInterval(timer);
+    }, [sleepTimer]);
+
+    // End of chapter: the chapter is the one being read when the timer is set (or reading starts)
+    useEffect(() => {
+        if (!sleepTimer || sleepTimer.mode !== 'chapter' || !isSpeaking || currentRawIndex < 0) return;
+        if (sleepTimer.chapterEnd === null) {
+            setSleepTimer({ mode: 'chapter', chapterEnd: findChapterEnd(selectedText ? [] : chapters, currentRawIndex, textToHighlight.length) });
+        } else if (currentRawIndex >= sleepTimer.chapterEnd) {
+            transportRef.current.sleep();
+        }
+    }, [sleepTimer, isSpeaking, currentRawIndex, selectedText, chapters, textToHighlight]);
+
+    // --- Incoming Text (links, the share sheet and the clipboard) ---
+    // Text in the page address is opened once the library has loaded, so it is not overwritten
+    useEffect(() => {
+        if (isLibraryLoading || incomingCheckedRef.current) return;
+        incomingCheckedRef.current = true;
+        const incoming = takeIncomingText();
+        if (incoming) transportRef.current.openIncoming(incoming);
+    }, [isLibraryLoading]);
+
+    // Text that asked to be read starts once its script is on screen and the voices are loaded
+    useEffect(() => {
+        if (!readOnOpen || readOnOpen.needsTap || !selectedVoice || voices.length === 0) return;
+        if (!activeDocument || activeDocument.id !== readOnOpen.documentId || textToHighlight !== activeDocument.text) return;
+        setReadOnOpen(null);
+        transportRef.current.startCued();
+    }, [readOnOpen, selectedVoice, voices, activeDocument, textToHighlight]);
+
+    // Global keyboard shortcuts (ignored while typing in a field)
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.ctrlKey || event.metaKey || event.altKey || !transportRef.current) return;
+            const target = event.target;
+            if (target && (['TEXTAREA', 'INPUT', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+
+            const transport = transportRef.current;
+            let handled = true;
+            switch (event.key) {
+                case ' ':
+                    transport.togglePlayback();
+                    break;
+                case 'Escape':
+                    handled = transport.stop();
+                    break;
+                case 'ArrowLeft':
+                    handled = transport.skip('sentence', -1);
+                    break;
+                case 'ArrowRight':
+                    handled = transport.skip('sentence', 1);
+                    break;
+                case 'ArrowUp':
+                    handled = transport.skip('paragraph', -1);
+                    break;
+                case 'ArrowDown':
+                    handled = transport.skip('paragraph', 1);
+                    break;
+                default:
+                    handled = false;
+            }
+            if (handled) event.preventDefault();
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    // Media Session: headset buttons and OS media keys
+    useEffect(() => {
+        if (!('mediaSession' in navigator)) return;
+        const actions = {
+            play: () => transportRef.current.play(),
+            pause: () => transportRef.current.pause(),
+            stop: () => transportRef.current.stop(),
+            previoustrack: () => transportRef.current.skip('sentence', -1),
+            nexttrack: () => transportRef.current.skip('sentence', 1),
+            seekbackward: () => transportRef.current.skip('paragraph', -1),
+            seekforward: () => transportRef.current.skip('paragraph', 1),
+        };
+        const setHandlers = (useHandlers) => {
+            for (const [action, handler] of Object.entries(actions)) {
+                try {
+                    navigator.mediaSession.setActionHandler(action, useHandlers ? handler : null);
+                } catch {
+                    // Action not supported by this browser
+                }
+            }
+        };
+        setHandlers(true);
+        return () => setHandlers(false);
+    }, []);
+
+    useEffect(() => {
+        if (!('mediaSession' in navigator)) return;
+        navigator.mediaSession.playbackState = isSpeaking ? 'playing' : (isPaused ? 'paused' : 'none');
+        if ((isSpeaking || isPaused) && typeof MediaMetadata !== 'undefined') {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: 'The Great Dictator',
+                artist: selectedVoice || '',
+                artwork: [{ src: '/dictator_logo.png', type: 'image/png' }],
+            });
+        }
+    }, [isSpeaking, isPaused, selectedVoice]);
     
-    const handleGenerateAudio = () => {
+    // --- Audio File Export ---
+    // The native voices cannot be captured, so the file is rendered by an in-browser engine
+    // using the current rate/pitch/volume and the selected voice's language.
+    const handleGenerateAudio = async () => {
         const textToUse = selectedText || text;
         if (!textToUse) {
             setError("Please enter text before attempting to generate audio.");
             return;
         }
-        
-        setIsGeneratingAudio(true);
-        
-        setError("Audio file generation requires replacing the native SpeechSynthesis API with a library that uses the Web Audio API (e.g., a pure JS TTS engine or a serverless cloud API integration) to access raw audio data for file encoding. Functionality not yet implemented.");
-        
-        setTimeout(() => setIsGeneratingAudio(false), 3000); 
+        if (!isAudioFormatSupported(audioFormat)) {
+            setError(`${AUDIO_EXPORT_FORMATS[audioFormat]?.label || audioFormat} export is not supported in this browser.`);
+            return;
+        }
+
+        if (!playback.startRendering()) return;
+        const controller = new AbortController();
+        audioAbortRef.current = controller;
+        setAudioProgress({ stage: 'Loading engine', progress: 0 });
+
+        try {
+            const voiceObj = voices.find(v => v.name === selectedVoice);
+            const options = {
+                lang: voiceObj ? voiceObj.lang : navigator.language,
+                rate,
+                pitch,
+                volume,
+                onProgress: setAudioProgress,
+                signal: controller.signal,
+            };
+            const { audioBuffer, timings } = await renderSpeech(getSynthesisEngine(audioEngine), spokenText.text, options);
+            const blob = await encodeAudioBuffer(audioBuffer, audioFormat, options);
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(blob, `dictation-${timestamp}.${AUDIO_EXPORT_FORMATS[audioFormat].extension}`);
+            // Captions for the file: the engine reports no word timings, so words are spread over each segment
+            const context = { spoken: spokenText, cleaned: cleanedText, sentences: sentenceData };
+            setCaptionTrack(buildCaptionTrack(
+                timings.map(timing => ({ ...timing, context, events: [], interrupted: false })),
+                { name: `dictation-${timestamp}`, source: 'render' }
+            ));
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error(err);
+                setError(`Audio generation failed: ${err.message}`);
+            }
+        } finally {
+            audioAbortRef.current = null;
+            playback.finishRendering();
+            setAudioProgress(null);
+        }
+    };
+
+    const handleSleepTimerChange = (value) => {
+        if (value === null) setSleepTimer(null);
+        else if (value === 'chapter') setSleepTimer({ mode: 'chapter', chapterEnd: null });
+        else setSleepTimer({ mode: 'minutes', endsAt: Date.now() + value * 60000 });
+    };
+
+    const handleSleep = () => {
+        setSleepTimer(null);
+        setPlaylistCue(null);
+        setPlaylistIndex(null);
+        if (controls.stop) handleStop();
+    };
+
+    const cueItem = (index, delay = normalizeItemGap(itemGap) * 1000) => {
+        setPlaylistCue({ index, startsAt: Date.now() + delay, isLoaded: false });
+    };
+
+    // A text was read to the end: the sleep timer, the repeat mode and the playlist decide what follows
+    const handleItemEnded = () => {
+        if (sleepTimer && sleepTimer.mode === 'chapter') {
+            handleSleep();
+            return;
+        }
+        const item = playlistIndex === null ? null : playlist[playlistIndex];
+        const isPlaylistItem = Boolean(item && activeDocument && item.documentId === activeDocument.id && (item.text || '') === selectedText);
+        if (!isPlaylistItem) {
+            setPlaylistIndex(null);
+            if (loopMode !== 'off') cueItem(null);
+            return;
+        }
+        const next = getNextItemIndex(playlist, playlistIndex, loopMode, documents);
+        if (next === -1) setPlaylistIndex(null);
+        else cueItem(next);
+    };
+
+    // Opens the cued item's document and selection; the text is read once they are on screen
+    const loadCuedItem = () => {
+        if (!playlistCue) return;
+        if (playlistCue.index === null) {
+            setPlaylistCue(null);
+            handleSpeak(0);
+            return;
+        }
+        const item = playlist[playlistCue.index];
+        if (!item || !documents.some(d => d.id === item.documentId)) {
+            setPlaylistCue(null);
+            setPlaylistIndex(null);
+            return;
+        }
+        if (!activeDocument || activeDocument.id !== item.documentId) handleOpenDocument(item.documentId);
+        setSelectedText(item.text || '');
+        setPlaylistIndex(playlistCue.index);
+        setPlaylistCue({ ...playlistCue, isLoaded: true });
+    };
+
+    const handlePlayPlaylist = (index) => {
+        if (isRendering) return;
+        if (controls.stop) handleStop();
+        if (dictation.isListening) dictation.stop();
+        cueItem(index, 0);
+    };
+
+    const handleAddToPlaylist = (withSelection) => {
+        if (!activeDocument) return;
+        setPlaylist(prev => [...prev, createPlaylistItem(activeDocument.id, withSelection ? selectedText : null)]);
+    };
+
+    const handleRemoveFromPlaylist = (index) => {
+        setPlaylist(prev => prev.filter((_, i) => i !== index));
+        // Keep pointing at the item being read
+        if (playlistIndex !== null && index < playlistIndex) setPlaylistIndex(playlistIndex - 1);
+        else if (index === playlistIndex) setPlaylistIndex(null);
+    };
+
+    const handleMovePlaylistItem = (index, direction) => {
+        setPlaylist(prev => moveItem(prev, index, direction));
+        if (playlistIndex === index) setPlaylistIndex(index + direction);
+        else if (playlistIndex === index + direction) setPlaylistIndex(index);
+    };
+
+    // --- Caption Export ---
+    const handleExportCaptions = () => {
+        if (!captionTrack) return;
+        const { extension, mimeType } = CAPTION_FORMATS[captionFormat] || CAPTION_FORMATS.srt;
+        downloadBlob(new Blob([serializeCaptions(captionTrack, captionFormat)], { type: mimeType }), `${captionTrack.name}.${extension}`);
+    };
+
+    // --- Voice Preview ---
+    // Previews are plain utterances outside any dictation session, so session handlers ignore
+    // their events. They are only offered while nothing is being dictated or rendered.
+    const handlePreviewVoice = (voice) => {
+        if (!engine.isSupported || isSessionBusy || dictation.isListening) return;
+        engine.cancel();
+        if (previewingVoice === voice.name) {
+            setPreviewingVoice(null);
+            return;
+        }
+        // A newer preview may already have replaced this one
+        const finish = () => setPreviewingVoice(current => (current === voice.name ? null : current));
+        setPreviewingVoice(voice.name);
+        engine.speak(
+            { text: getPreviewSentence(navigator.language), voice, lang: voice.lang, rate, pitch, volume },
+            { onEnd: finish, onError: finish }
+        );
+    };
+
+    const handleToggleFavouriteVoice = (voiceName) => {
+        setFavouriteVoices(prev => (prev.includes(voiceName) ? prev.filter(name => name !== voiceName) : [...prev, voiceName]));
+    };
+
+    // --- Voice Presets ---
+    const currentSettings = { voiceName: selectedVoice, rate, pitch, volume, cleaningOptions };
+    const activePreset = presets.find(preset => presetMatchesSettings(preset, currentSettings)) || null;
+
+    const applyPreset = (id) => {
+        const preset = presets.find(p => p.id === id);
+        if (!preset) return;
+        if (preset.voiceName && voices.length > 0 && !voices.some(v => v.name === preset.voiceName)) {
+            setError(`The voice "${preset.voiceName}" from the preset "${preset.name}" is not available in this browser; keeping the current voice.`);
+        } else if (preset.voiceName) {
+            setSelectedVoice(preset.voiceName);
+        }
+        setRate(preset.rate);
+        setPitch(preset.pitch);
+        setVolume(preset.volume);
+        setCleaningOptions(preset.cleaningOptions);
+        setLastPresetId(preset.id);
+    };
+
+    const handleSavePreset = (name) => {
+        const preset = createPreset(name, currentSettings);
+        setPresets(prev => [...prev, preset]);
+        setLastPresetId(preset.id);
+    };
+
+    const handleUpdatePreset = (id) => {
+        setPresets(prev => prev.map(preset => (
+            preset.id === id ? { ...createPreset(preset.name, currentSettings), id } : preset
+        )));
+    };
+
+    const handleDeletePreset = (id) => {
+        setPresets(prev => prev.filter(preset => preset.id !== id));
+        // Documents that used it open with the current settings from now on
+        documents.filter(doc => doc.presetId === id).forEach(doc => updateDocument(doc.id, { presetId: null }));
+    };
+
+    const handleImportPresets = async (file) => {
+        try {
+            const imported = parsePresets(await file.text());
+            setPresets(prev => mergePresets(prev, imported));
+        } catch (err) {
+            setError(`Could not import "${file.name}": ${err.message}`);
+        }
+    };
+
+    const handleExportPresets = () => {
+        downloadBlob(new Blob([serializePresets(presets)], { type: 'application/json' }), 'voice-presets.json');
+    };
+
+    // --- Dialogue Cast (saved per document) ---
+    const handleCastChange = (nextCast) => {
+        if (activeDocument) updateDocument(activeDocument.id, { cast: nextCast });
+    };
+
+    const handleAutoAssignCast = () => {
+        const voiceObj = voices.find(v => v.name === selectedVoice);
+        handleCastChange(autoAssignVoices(dialogue.speakers, cast, voices, voiceObj));
+    };
+
+    // --- Pronunciation Lexicon Import/Export ---
+    const handleImportLexicon = async (file) => {
+        try {
+            const { rules, skipped } = parseLexicon(await file.text());
+            // Imported rules are added after the existing ones, skipping exact duplicates
+            const isDuplicate = (rule) => lexicon.some(r => r.match === rule.match && r.isRegex === rule.isRegex
+                && r.scope === rule.scope && r.scopeValue === rule.scopeValue);
+            setLexicon([...lexicon, ...rules.filter(rule => !isDuplicate(rule))]);
+            if (skipped > 0) {
+                setError(`Imported ${rules.length} pronunciation rules; ${skipped} invalid entries in "${file.name}" were skipped.`);
+            }
+        } catch (err) {
+            setError(`Could not import "${file.name}": ${err.message}`);
+        }
+    };
+
+    const handleExportLexicon = () => {
+        downloadBlob(new Blob([serializeLexicon(lexicon)], { type: 'application/json' }), 'pronunciation-lexicon.json');
+    };
+
+    const handleClearSpeechCache = async () => {
+        try {
+            await clearSpeechCache();
+        } catch (err) {
+            console.error(err);
+            setError('Could not clear the audio cache.');
+        }
+    };
+
+    const handleOpenDocument = (id) => {
+        setSelectedText('');
+        setReadOnOpen(null);
+        openDocument(id);
+        // Opening a script switches to its default preset, if it has one
+        const doc = documents.find(d => d.id === id);
+        if (doc && doc.presetId) applyPreset(doc.presetId);
     };
 
     const handleClearData = () => {
         if (window.confirm("Are you sure you want to clear all saved text, settings, and local storage data?")) {
-            localStorage.removeItem('dictatorText');
             localStorage.removeItem('dictatorVoice');
             localStorage.removeItem('dictatorRate');
             localStorage.removeItem('dictatorPitch');
             localStorage.removeItem('dictatorVolume');
             localStorage.removeItem('dictatorControlsOpen');
-            localStorage.removeItem('dictatorDarkMode'); // New: Clear dark mode setting
+            localStorage.removeItem('dictatorAppearance');
+            localStorage.removeItem('dictatorVoiceThemes');
+            localStorage.removeItem('dictatorAudioFormat');
+            localStorage.removeItem('dictatorAudioEngine');
+            localStorage.removeItem('dictatorCaptionFormat');
+            localStorage.removeItem('dictatorCleaningOptions');
+            localStorage.removeItem('dictatorLexicon');
+            localStorage.removeItem('dictatorAutoLanguage');
+            localStorage.removeItem('dictatorPinnedVoices');
+            localStorage.removeItem('dictatorPresets');
+            localStorage.removeItem('dictatorLastPreset');
+            localStorage.removeItem('dictatorFavouriteVoices');
+            localStorage.removeItem('dictatorProofreading');
+            localStorage.removeItem('dictatorVoiceSpeeds');
+            localStorage.removeItem('dictatorHttpVoices');
+            localStorage.removeItem('dictatorPlaylist');
+            localStorage.removeItem('dictatorLoopMode');
+            localStorage.removeItem('dictatorItemGap');
+            localStorage.removeItem('dictatorActiveDocument');
             
             // Reset React states to defaults
-            setText(DEFAULT_TEXT);
+            resetLibrary();
+            setSelectedText('');
             setSelectedVoice(null);
             setRate(1.0);
             setPitch(1.0);
             setVolume(1.0);
             setIsControlsOpen(true);
-            setIsDarkMode(true); // Reset dark mode to default
+            setAppearance(DEFAULT_APPEARANCE);
+            setVoiceThemes({});
+            setAudioFormat('wav');
+            setAudioEngine(DEFAULT_SYNTHESIS_ENGINE);
+            setCaptionFormat('srt');
+            setCleaningOptions(DEFAULT_CLEANING_OPTIONS);
+            setLexicon([]);
+            setIsAutoLanguage(true);
+            setPinnedVoices({});
+            setPresets([]);
+            setLastPresetId(null);
+            setFavouriteVoices([]);
+            setIsProofreading(false);
+            setVoiceSpeeds({});
+            setHttpVoiceConfig(DEFAULT_HTTP_TTS_CONFIG);
+            setPlaylist([]);
+            setLoopMode('off');
+            setItemGap(DEFAULT_ITEM_GAP);
+            setPlaylistIndex(null);
+            setPlaylistCue(null);
+            setSleepTimer(null);
+            setReadOnOpen(null);
+            clearSpeechCache().catch(err => console.error(err));
             setError(null);
             
             loadVoices(); 
@@ -357,44 +1265,174 @@ function App() {
     };
 
     // --- File Handling ---
-    const handleFileChange = (file) => {
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => setText(e.target.result);
-        reader.onerror = () => setError("Error reading file.");
-        reader.readAsText(file);
+    // Each upload becomes a new library document instead of overwriting the current one
+    const handleFileChange = async (files) => {
+        const failures = [];
+        for (const file of files) {
+            try {
+                const { name, text: importedText } = await importFile(file);
+                createDocument(name, importedText);
+                setSelectedText('');
+            } catch (err) {
+                console.error(err);
+                failures.push(`"${file.name}": ${err.message}`);
+            }
+        }
+        if (failures.length > 0) {
+            setError(`Could not import ${failures.join('; ')}`);
+        }
     };
 
-    // --- Memoized Indexing for Highlighting ---
-    const textToHighlight = selectedText || text;
-    
-    const accentClass = currentTheme.accentBg.replace('bg-', '');
-
-    const tokenData = useMemo(() => {
-        if (!textToHighlight) return [];
-        const rawTokens = tokenizeText(textToHighlight);
-        
-        let visualTokens = []; 
-        let currentCleanIndex = 0;
-
-        for (const token of rawTokens) {
-            const isWord = /\S/.test(token);
-            const cleanedToken = isWord ? cleanText(token) : '';
+    // --- Incoming Text ---
+    // Opens pasted, linked or shared text as a new script (or reopens an identical one) and,
+    // with autoplay, reads it from the start
+    const openIncomingText = (incomingText, title, autoplay) => {
+        if (isRendering) return;
+        if (controls.stop) handleStop();
+        if (dictation.isListening) dictation.stop();
+        setPlaylistCue(null);
+        const name = title || titleFromText(incomingText);
+        let doc = documents.find(d => d.name === name && d.text === incomingText);
+        if (doc) {
+            handleOpenDocument(doc.id);
+        } else {
+            doc = createDocument(name, incomingText);
+            setSelectedText('');
+        }
+        setReadOnOpen(autoplay ? { documentId: doc.id, needsTap: !canSpeakUnprompted() } : null);
+    };
 
-            visualTokens.push({
-                token, 
-                isWord, 
-                cleanIndexStart: currentCleanIndex,
-                cleanLength: cleanedToken.length
-            });
+    // A shared page without text is fetched, which only works for sites that allow it (CORS)
+    const handleIncomingText = async ({ text: incomingText, title, url, autoplay }) => {
+        if (incomingText.trim()) {
+            openIncomingText(incomingText, title, autoplay);
+            return;
+        }
+        try {
+            const page = await fetchPageText(url);
+            if (!page.text.trim()) throw new Error('no readable text was found');
+            transportRef.current.openText(page.text, title || page.title, autoplay);
+        } catch (err) {
+            console.error(err);
+            setError(`Could not load ${url} (${err.message}). Most sites do not let other pages read them: open it, copy its text and use Paste & Read.`);
+        }
+    };
 
-            if (isWord && cleanedToken.length > 0) {
-                currentCleanIndex += cleanedToken.length + 1; 
+    const handlePasteAndRead = async () => {
+        try {
+            const pasted = await readClipboardText();
+            if (!pasted.trim()) {
+                setError('The clipboard does not contain any text.');
+                return;
             }
+            transportRef.current.openText(pasted, '', true);
+        } catch (err) {
+            console.error(err);
+            setError(`Could not read the clipboard: ${err.message}`);
         }
-        return visualTokens;
-    }, [textToHighlight]);
+    };
+
+    const isSessionBusy = controls.busy;
 
+    // Shared by the desktop sidebar and the mobile overlay
+    const controlsProps = {
+        voices,
+        selectedVoice,
+        onVoiceChange: setSelectedVoice,
+        rate,
+        onRateChange: setRate,
+        pitch,
+        onPitchChange: setPitch,
+        volume,
+        onVolumeChange: setVolume,
+        onFileChange: handleFileChange,
+        onClearData: handleClearData,
+        theme: currentTheme,
+        isDarkMode,
+        // The quick toggle pins the opposite of what is showing, overriding the system preference
+        onToggleDarkMode: () => handleAppearanceChange({ colorScheme: isDarkMode ? 'light' : 'dark' }),
+        appearance,
+        onAppearanceChange: handleAppearanceChange,
+        isVoiceThemeBound: Boolean(boundAppearance),
+        onToggleVoiceTheme: handleToggleVoiceTheme,
+        httpVoiceConfig,
+        onHttpVoiceConfigChange: (patch) => setHttpVoiceConfig(prev => normalizeHttpTtsConfig({ ...prev, ...patch })),
+        onClearSpeechCache: handleClearSpeechCache,
+        playlist,
+        playlistIndex,
+        onPlayPlaylist: handlePlayPlaylist,
+        onAddToPlaylist: () => handleAddToPlaylist(false),
+        onAddSelectionToPlaylist: () => handleAddToPlaylist(true),
+        canAddSelectionToPlaylist: Boolean(selectedText && activeDocument),
+        onRemoveFromPlaylist: handleRemoveFromPlaylist,
+        onMovePlaylistItem: handleMovePlaylistItem,
+        onClearPlaylist: () => {
+            setPlaylist([]);
+            setPlaylistIndex(null);
+            setPlaylistCue(null);
+        },
+        loopMode,
+        onLoopModeChange: setLoopMode,
+        itemGap,
+        onItemGapChange: (value) => setItemGap(normalizeItemGap(value)),
+        sleepTimer,
+        onSleepTimerChange: handleSleepTimerChange,
+        audioFormat,
+        onAudioFormatChange: setAudioFormat,
+        audioEngine,
+        onAudioEngineChange: setAudioEngine,
+        captionFormat,
+        onCaptionFormatChange: setCaptionFormat,
+        captionTrack,
+        onExportCaptions: handleExportCaptions,
+        documents,
+        activeDocumentId: activeDocument ? activeDocument.id : null,
+        onOpenDocument: handleOpenDocument,
+        onCreateDocument: (name) => {
+            setSelectedText('');
+            createDocument(name);
+        },
+        onRenameDocument: renameDocument,
+        onDuplicateDocument: duplicateDocument,
+        onDeleteDocument: deleteDocument,
+        isLibraryLocked: isSessionBusy,
+        cleaningOptions,
+        onCleaningOptionChange: (key, value) => setCleaningOptions(prev => ({ ...normalizeCleaningOptions(prev), [key]: value })),
+        lexicon,
+        onLexiconChange: setLexicon,
+        onImportLexicon: handleImportLexicon,
+        onExportLexicon: handleExportLexicon,
+        dialogueSpeakers: dialogue.speakers,
+        cast,
+        onCastChange: handleCastChange,
+        onAutoAssignCast: handleAutoAssignCast,
+        isAutoLanguage,
+        onToggleAutoLanguage: () => setIsAutoLanguage(prev => !prev),
+        detectedLanguages,
+        pinnedVoices,
+        presets,
+        activePresetId: activePreset ? activePreset.id : null,
+        lastPresetId,
+        documentPresetId: activeDocument ? activeDocument.presetId || null : null,
+        onApplyPreset: applyPreset,
+        onSavePreset: handleSavePreset,
+        onUpdatePreset: handleUpdatePreset,
+        onDeletePreset: handleDeletePreset,
+        onSetDocumentPreset: (presetId) => activeDocument && updateDocument(activeDocument.id, { presetId }),
+        onImportPresets: handleImportPresets,
+        onExportPresets: handleExportPresets,
+        favouriteVoices,
+        onToggleFavouriteVoice: handleToggleFavouriteVoice,
+        onPreviewVoice: handlePreviewVoice,
+        previewingVoice,
+        canPreviewVoices: !isSessionBusy && !dictation.isListening,
+        onPinVoice: (lang, voiceName) => setPinnedVoices(prev => {
+            const next = { ...prev };
+            if (voiceName) next[lang] = voiceName;
+            else delete next[lang];
+            return next;
+        }),
+    };
 
     return (
         <div className={`flex h-screen ${currentTheme.bg} ${currentTheme.text} overflow-hidden relative`}>
@@ -409,29 +1447,14 @@ function App() {
                            ${isControlsOpen ? 'w-1/4 min-w-[300px] max-w-sm' : 'w-12'}`}
             >
                 <div className={`h-full ${isControlsOpen ? 'w-full' : 'hidden'} overflow-y-auto`}>
-                    <DictatorControls
-                        voices={voices}
-                        selectedVoice={selectedVoice}
-                        onVoiceChange={setSelectedVoice}
-                        rate={rate}
-                        onRateChange={setRate}
-                        pitch={pitch}
-                        onPitchChange={setPitch}
-                        volume={volume}
-                        onVolumeChange={setVolume}
-                        onFileChange={handleFileChange}
-                        onClearData={handleClearData}
-                        theme={currentTheme}
-                        isDarkMode={isDarkMode}
-                        onToggleDarkMode={() => setIsDarkMode(prev => !prev)}
-                    />
+                    <DictatorControls {...controlsProps} />
                 </div>
                 
                 {/* Desktop Toggle Button */}
                 <button
                     onClick={() => setIsControlsOpen(prev => !prev)}
                     className={`absolute top-4 ${isControlsOpen ? '-right-4' : 'right-0'} 
-                                p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.highlightText} rounded-full shadow-lg transition-all duration-300 z-30 hidden md:block`}
+                                p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.onAccent} rounded-full shadow-lg transition-all duration-300 z-30 hidden md:block`}
                     aria-label={isControlsOpen ? "Collapse Controls" : "Expand Controls"}
                 >
                     {isControlsOpen ? (
@@ -448,26 +1471,11 @@ function App() {
                            ${isControlsOpen ? 'translate-x-0' : '-translate-x-full'} 
                            ${currentTheme.sidebarBg} shadow-2xl md:hidden`}
             >
-                <DictatorControls
-                    voices={voices}
-                    selectedVoice={selectedVoice}
-                    onVoiceChange={setSelectedVoice}
-                    rate={rate}
-                    onRateChange={setRate}
-                    pitch={pitch}
-                    onPitchChange={setPitch}
-                    volume={volume}
-                    onVolumeChange={setVolume}
-                    onFileChange={handleFileChange}
-                    onClearData={handleClearData}
-                    theme={currentTheme}
-                    isDarkMode={isDarkMode}
-                    onToggleDarkMode={() => setIsDarkMode(prev => !prev)}
-                />
+                <DictatorControls {...controlsProps} />
                 {/* Mobile Close Button (inside the sidebar) */}
                 <button
                     onClick={() => setIsControlsOpen(false)}
-                    className={`absolute top-4 right-4 p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.highlightText} rounded-full shadow-lg transition-all duration-300 z-40`}
+                    className={`absolute top-4 right-4 p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.onAccent} rounded-full shadow-lg transition-all duration-300 z-40`}
                     aria-label="Collapse Controls"
                 >
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 19l-7-7 7-7m8 14l-7-7 7-7"></path></svg>
@@ -486,7 +1494,7 @@ function App() {
             {!isControlsOpen && (
                 <button
                     onClick={() => setIsControlsOpen(true)}
-                    className={`fixed top-4 right-4 p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.highlightText} rounded-full shadow-lg transition-all duration-300 z-40 md:hidden`}
+                    className={`fixed top-4 right-4 p-2 ${currentTheme.accentBg} hover:opacity-90 ${currentTheme.onAccent} rounded-full shadow-lg transition-all duration-300 z-40 md:hidden`}
                     aria-label="Expand Controls"
                 >
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16"></path></svg>
@@ -499,10 +1507,20 @@ function App() {
                     <div>
                         <h1 className={`text-4xl md:text-5xl font-extrabold ${currentTheme.headerAccent}`}>The Great Dictator</h1>
                         <p className={`text-sm md:text-md ${currentTheme.infoText} mt-1`}>Commanding clarity, one word at a time.</p>
+                        {activeDocument && (
+                            <p className={`text-sm font-semibold ${currentTheme.accent} mt-1 truncate`}>
+                                Script: {activeDocument.name}
+                            </p>
+                        )}
                     </div>
-                    {/* New: Online Status Indicator */}
-                    <div className={`flex items-center text-sm font-medium p-2 rounded-lg 
-                                    ${isOnline ? 'bg-green-600 text-white' : 'bg-red-600 text-white'}`}>
+                    {/* Connection and offline-readiness indicator */}
+                    <div
+                        className={`flex items-center text-sm font-medium p-2 rounded-lg 
+                                    ${isOnline ? 'bg-green-600 text-white' : isOfflineReady ? 'bg-amber-600 text-white' : 'bg-red-600 text-white'}`}
+                        title={isOfflineReady
+                            ? 'The app is saved on this device and keeps working offline with on-device voices.'
+                            : 'The app has not been saved for offline use yet.'}
+                    >
                         <span className="mr-2">
                             {isOnline ? (
                                 <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg"><path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd"></path></svg>
@@ -511,6 +1529,16 @@ function App() {
                             )}
                         </span>
                         {isOnline ? 'Online' : 'Offline'}
+                        {isOfflineReady && <span className="ml-1 font-normal opacity-90">· Offline ready</span>}
+                        {applyUpdate && (
+                            <button
+                                onClick={() => (!isSessionBusy || window.confirm('Reloading stops the current reading. Update now?')) && applyUpdate()}
+                                className="ml-2 underline font-semibold"
+                                title="A new version of the app has been downloaded"
+                            >
+                                Update available · Reload
+                            </button>
+                        )}
                     </div>
                 </header>
 
@@ -520,65 +1548,187 @@ function App() {
                     </div>
                 )}
 
-                {/* Text Display/Input Area */}
-                
-                {isSpeaking ? (
-                    // 1. Highlighted Text Display (Read-only)
-                    <div 
-                        ref={textDisplayRef}
-                        className={`flex-1 w-full p-4 text-lg ${currentTheme.inputBg} rounded-lg border-2 ${currentTheme.inputBorder} overflow-y-auto font-mono text-left select-none`}
-                        style={{ whiteSpace: 'pre-wrap' }}
-                    >
-                        {tokenData.map((item, mapIndex) => {
-                            let highlightClass = '';
-                            let isCurrentWord = false;
+                {!isOnline && networkVoicesInUse.length > 0 && (
+                    <div className="bg-amber-900 text-amber-100 p-3 rounded mb-4 border border-amber-600 text-sm">
+                        You are offline. {networkVoicesInUse.map(name => `"${name}"`).join(', ')}
+                        {networkVoicesInUse.length === 1 ? ' is a network voice' : ' are network voices'} and will not speak
+                        until you reconnect. Choose an on-device voice (filter the voice list by "On-device only") to keep dictating.
+                    </div>
+                )}
+
+                {/* Chapter Navigation */}
+                {chapters.length > 1 && !selectedText && (
+                    <div className="mb-3 flex items-center gap-2">
+                        <label className={`text-sm font-medium ${currentTheme.infoText}`} htmlFor="chapter-select">
+                            Chapter
+                        </label>
+                        <select
+                            id="chapter-select"
+                            value=""
+                            onChange={(e) => {
+                                if (e.target.value !== '') handleSeek(Number(e.target.value));
+                            }}
+                            disabled={!selectedVoice || !(controls.start || controls.skip)}
+                            className={`flex-1 p-2 text-sm ${currentTheme.inputBg} ${currentTheme.text} rounded-lg border ${currentTheme.inputBorder} cursor-pointer disabled:opacity-50`}
+                        >
+                            <option value="">Jump to a chapter and read from there ({chapters.length})...</option>
+                            {chapters.map((chapter) => (
+                                <option key={chapter.rawStart} value={chapter.rawStart}>{chapter.title}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {/* Text Display/Input Area, with the proofreading notes beside it */}
+                <div className="flex-1 flex flex-col md:flex-row gap-4 min-h-0">
+                    <div className="flex-1 flex flex-col min-h-0">
+                        {isSpeaking || (isPaused && !isEditingPaused) ? (
+                            // 1. Highlighted Text Display (Read-only), kept while paused unless editing
+                            <div 
+                                ref={textDisplayRef}
+                                className={`flex-1 w-full p-4 text-reader font-reader ${currentTheme.inputBg} rounded-lg border-2 ${currentTheme.inputBorder} overflow-y-auto text-left select-none`}
+                                title="Click any word to continue dictation from there"
+                                style={{ whiteSpace: 'pre-wrap' }}
+                            >
+                                {tokenData.map((item, mapIndex) => {
+                                    let highlightClass = '';
+                                    let isCurrentWord = false;
                             
-                            if (item.isWord && currentCharIndex > -1) {
-                                const start = item.cleanIndexStart;
-                                const end = item.cleanIndexStart + item.cleanLength;
-                                
-                                if (currentCharIndex >= start && currentCharIndex < end) {
-                                    isCurrentWord = true;
-                                    highlightClass = `${currentTheme.highlightText} rounded px-0.5 font-semibold underline decoration-wavy decoration-${accentClass} decoration-2 bg-${accentClass}/30`;
-                                }
-                            }
+                                    if (item.isWord && currentRawIndex > -1) {
+                                        if (currentRawIndex >= item.rawStart && currentRawIndex < item.rawEnd) {
+                                            isCurrentWord = true;
+                                            highlightClass = HIGHLIGHT_STYLES[appearance.highlightStyle].className;
+                                        }
+                                    }
                             
-                            return (
-                                <span 
-                                    key={mapIndex} 
-                                    className={highlightClass}
-                                    ref={isCurrentWord ? highlightedWordRef : null}
-                                >
-                                    {item.token}
-                                </span>
-                            );
-                        })}
-                    </div>
-                ) : (
-                    // 2. Editable Text Input
-                    <textarea
-                        className={`flex-1 w-full p-4 text-lg ${currentTheme.inputBg} rounded-lg border-2 ${currentTheme.inputBorder} focus:border-${accentClass} transition duration-200 resize-none font-mono text-left`}
-                        placeholder="Enter the text to be dictated..."
-                        value={text}
-                        onChange={(e) => {
-                            setText(e.target.value);
-                            setSelectedText(''); // Clear selection on edit
-                        }}
-                        onMouseUp={(e) => {
-                            const textarea = e.target;
-                            const start = textarea.selectionStart;
-                            const end = textarea.selectionEnd;
+                                    return (
+                                        <span 
+                                            key={mapIndex} 
+                                            className={item.isWord ? `${highlightClass} cursor-pointer hover:underline` : highlightClass}
+                                            style={item.speaker ? { color: getSpeakerColor(dialogue.speakers, cast, item.speaker) } : undefined}
+                                            ref={isCurrentWord ? highlightedWordRef : null}
+                                            onClick={item.isWord ? () => handleSeek(item.rawStart) : undefined}
+                                        >
+                                            {item.token}
+                                        </span>
+                                    );
+                                })}
+                            </div>
+                        ) : (
+                            // 2. Editable Text Input
+                            <textarea
+                                ref={textareaRef}
+                                className={`flex-1 w-full p-4 text-reader font-reader ${currentTheme.inputBg} rounded-lg border-2 ${currentTheme.inputBorder} focus:border-dictator-accent transition duration-200 resize-none text-left`}
+                                placeholder={isLibraryLoading ? "Loading your script library..." : "Enter the text to be dictated..."}
+                                disabled={isLibraryLoading}
+                                value={text}
+                                onChange={(e) => {
+                                    setText(e.target.value);
+                                    setSelectedText(''); // Clear selection on edit
+                                }}
+                                onMouseUp={(e) => {
+                                    // While paused, selecting is for editing; reading continues where it was
+                                    if (isPaused) return;
+                                    const textarea = e.target;
+                                    const start = textarea.selectionStart;
+                                    const end = textarea.selectionEnd;
                             
-                            if (start !== end) {
-                                const selected = text.substring(start, end);
-                                setSelectedText(selected);
-                            } else {
-                                setSelectedText('');
-                            }
-                        }}
-                    />
+                                    if (start !== end) {
+                                        const selected = text.substring(start, end);
+                                        setSelectedText(selected);
+                                    } else {
+                                        setSelectedText('');
+                                    }
+                                }}
+                            />
+                        )}
+                    </div>
+                    {(isProofreading || reviewNotes.length > 0) && (
+                        <ReviewNotesPanel
+                            notes={reviewNotes}
+                            onJump={handleJumpToNote}
+                            canJump={!selectedText && (controls.start || controls.skip)}
+                            onRemove={(id) => updateReviewNotes(reviewNotes.filter(note => note.id !== id))}
+                            onClear={() => updateReviewNotes([])}
+                            onCopy={handleCopyReviewNotes}
+                            theme={currentTheme}
+                        />
+                    )}
+                </div>
+
+                {/* Proofreading actions for the sentence just read */}
+                {proofPause && (
+                    <div className={`mt-2 flex flex-wrap items-center gap-2 text-sm ${currentTheme.infoText}`}>
+                        <span className="italic truncate max-w-full">
+                            Paused after: "{proofPause.rawText.slice(proofPause.rawStart, proofPause.rawEnd).trim().substring(0, 80)}"
+                        </span>
+                        {[
+                            { label: 'Repeat', onClick: () => continueProofreading(true), title: 'Read this sentence again' },
+                            { label: proofPause.noteId ? 'Flagged' : 'Flag', onClick: handleFlagSentence, title: 'Add this sentence to the review notes', disabled: Boolean(proofPause.noteId) },
+                            { label: 'Edit', onClick: handleEditSentence, title: 'Select this sentence in the editor; reading continues from your correction', disabled: Boolean(selectedText) },
+                        ].map(({ label, onClick, title, disabled }) => (
+                            <button
+                                key={title}
+                                onClick={onClick}
+                                title={title}
+                                disabled={disabled}
+                                className={`py-1 px-3 rounded-lg font-semibold ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText} disabled:opacity-50`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
                 )}
-                
+
+                {/* Playlist position, the next item during the pause between items, and the sleep timer */}
+                {(playlistIndex !== null || playlistCue || sleepTimer) && (
+                    <div className={`mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-sm ${currentTheme.infoText}`}>
+                        {playlistIndex !== null && playlist[playlistIndex] && (
+                            <span>Playlist {playlistIndex + 1}/{playlist.length}: {describePlaylistItem(playlist[playlistIndex], documents).title}</span>
+                        )}
+                        {playlistCue && !playlistCue.isLoaded && (
+                            <span>
+                                Up next: {playlistCue.index === null ? 'this text again' : describePlaylistItem(playlist[playlistCue.index] || {}, documents).title}
+                                {' '}<button onClick={() => { setPlaylistCue(null); setPlaylistIndex(null); }} className="underline">Cancel</button>
+                            </span>
+                        )}
+                        {sleepTimer && (
+                            <span>
+                                {sleepTimer.mode === 'minutes'
+                                    ? `Sleep in ${formatDuration(sleepRemaining ?? 0)}`
+                                    : 'Stopping at the end of this chapter'}
+                                {' '}<button onClick={() => setSleepTimer(null)} className="underline">Cancel</button>
+                            </span>
+                        )}
+                    </div>
+                )}
+
+                {/* Opened from a link that asked to be read: the browser needs a tap before speaking */}
+                {readOnOpen && readOnOpen.needsTap && activeDocument && activeDocument.id === readOnOpen.documentId && (
+                    <div className={`mt-2 flex flex-wrap items-center gap-3 text-sm ${currentTheme.infoText}`}>
+                        <button
+                            onClick={() => setReadOnOpen({ ...readOnOpen, needsTap: false })}
+                            disabled={!selectedVoice || !controls.start}
+                            className={`py-1 px-3 rounded-lg font-semibold ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText} disabled:opacity-50`}
+                        >
+                            Start reading
+                        </button>
+                        <span>"{activeDocument.name}" was opened from a link.</span>
+                        <button onClick={() => setReadOnOpen(null)} className="underline">Dismiss</button>
+                    </div>
+                )}
+
+                {/* Listen mode status */}
+                {dictation.isListening && (
+                    <p className={`mt-2 text-sm ${currentTheme.infoText}`}>
+                        <span className="text-red-500 animate-pulse">●</span> Listening in {getLanguageName(recognitionLang)}.
+                        {dictationCommands.length > 0 && (
+                            <> Say {dictationCommands.map(({ phrase, symbol }) => `"${phrase}" (${symbol})`).join(', ')} for punctuation
+                                {getLiteralWord(recognitionLang) && <>, or "{getLiteralWord(recognitionLang)} {dictationCommands[0].phrase}" for the word itself</>}.</>
+                        )}
+                    </p>
+                )}
+
                 {/* Status Message for Selection */}
                 {selectedText && !isSpeaking && (
                     <p className={`mt-2 text-sm ${currentTheme.infoText}`}>
@@ -588,26 +1738,59 @@ function App() {
                     </p>
                 )}
 
+                {/* Resume Prompt for a previously interrupted reading */}
+                {savedPosition !== null && !controls.skip && (
+                    <div className={`mt-2 flex flex-wrap items-center gap-3 text-sm ${currentTheme.infoText}`}>
+                        <button
+                            onClick={() => handleSpeak(savedPosition)}
+                            disabled={!selectedVoice || !controls.start}
+                            className={`py-1 px-3 rounded-lg font-semibold ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText} disabled:opacity-50`}
+                        >
+                            Continue from where you stopped
+                        </button>
+                        <span className="italic truncate max-w-full">
+                            "...{spokenText.text.substring(savedPosition, savedPosition + 60)}..."
+                        </span>
+                        <button
+                            onClick={() => saveReadingPosition(activeDocument.id, null)}
+                            className="underline"
+                        >
+                            Dismiss
+                        </button>
+                    </div>
+                )}
+
+                {/* Script statistics, or the progress of the current run */}
+                <ReadingStats
+                    stats={readingStats}
+                    estimate={readingEstimate}
+                    rate={rate}
+                    progress={readingProgress}
+                    history={selectedText || !activeDocument ? null : activeDocument.history || []}
+                    onClearHistory={() => updateDocument(activeDocument.id, { history: [] })}
+                    theme={currentTheme}
+                />
+
                 {/* Action Buttons */}
                 <div className="mt-6 flex flex-wrap gap-4 items-center">
                     
                     {/* Speak / Pause / Resume Button */}
                     <button
-                        onClick={isSpeaking ? handlePause : () => handleSpeak(false)}
-                        disabled={!selectedVoice || (!text && !synth.paused) || isGeneratingAudio}
+                        onClick={controls.pause ? handlePause : () => handleSpeak(dictationStatus === 'error' ? savedPosition : null)}
+                        disabled={!controls.pause && (!selectedVoice || (!text && !isPaused) || !controls.start)}
                         className={`py-3 px-8 text-xl font-bold rounded-lg transition duration-200 min-w-[180px] 
                             ${isSpeaking 
                                 ? 'bg-yellow-600 hover:bg-yellow-700 text-white shadow-lg shadow-yellow-600/50' 
                                 : isPaused
                                     ? 'bg-blue-600 hover:bg-blue-700 text-white shadow-lg shadow-blue-600/50'
-                                    : `${currentTheme.accentBg} hover:opacity-90 ${currentTheme.highlightText} shadow-lg shadow-rose-600/50`}`
+                                    : `${currentTheme.accentBg} hover:opacity-90 ${currentTheme.onAccent} shadow-lg shadow-dictator-accent/50`}`
                         }
                     >
-                        {isSpeaking ? 'PAUSE' : (isPaused ? 'RESUME DICTATION' : 'START DICTATION')}
+                        {isSpeaking ? 'PAUSE' : proofPause ? 'NEXT SENTENCE' : isPaused ? 'RESUME DICTATION' : (dictationStatus === 'error' ? 'TRY AGAIN' : 'START DICTATION')}
                     </button>
 
                     {/* Stop Button (appears when speaking or paused or generating audio) */}
-                    {(isSpeaking || isPaused || isGeneratingAudio) && (
+                    {controls.stop && (
                         <button
                             onClick={handleStop}
                             className={`py-3 px-6 text-lg font-semibold rounded-lg bg-red-600 hover:bg-red-700 ${currentTheme.highlightText} shadow-md shadow-red-600/50`}
@@ -615,28 +1798,101 @@ function App() {
                             STOP
                         </button>
                     )}
+
+                    {/* While paused, the reader can give way to the editor (reading continues from edits) */}
+                    {isPaused && (
+                        <button
+                            onClick={() => setIsEditingPaused(editing => !editing)}
+                            className={`py-3 px-6 text-lg font-semibold rounded-lg ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText}`}
+                        >
+                            {isEditingPaused ? 'SHOW READER' : 'EDIT TEXT'}
+                        </button>
+                    )}
+
+                    {/* Skip Controls (Keyboard: arrows; Media keys: previous/next track) */}
+                    {controls.skip && (
+                        <div className="flex gap-2">
+                            {[
+                                { unit: 'paragraph', direction: -1, label: '«¶', title: 'Previous paragraph (Arrow Up)' },
+                                { unit: 'sentence', direction: -1, label: '‹', title: 'Previous sentence (Arrow Left)' },
+                                { unit: 'sentence', direction: 1, label: '›', title: 'Next sentence (Arrow Right)' },
+                                { unit: 'paragraph', direction: 1, label: '¶»', title: 'Next paragraph (Arrow Down)' },
+                            ].map(({ unit, direction, label, title }) => (
+                                <button
+                                    key={title}
+                                    onClick={() => handleSkip(unit, direction)}
+                                    title={title}
+                                    aria-label={title}
+                                    className={`py-3 px-4 text-lg font-semibold rounded-lg ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText}`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                     
+                    {/* Listen (speech-to-text) Button */}
+                    {!isSpeaking && (
+                        <button
+                            onClick={dictation.isListening ? dictation.stop : dictation.start}
+                            disabled={!dictation.isSupported || !controls.listen || isLibraryLoading}
+                            title={dictation.isSupported
+                                ? 'Type by speaking: recognized words are inserted at the cursor'
+                                : 'Speech recognition is not supported in this browser'}
+                            className={`py-3 px-6 text-lg font-semibold rounded-lg disabled:opacity-50 ${dictation.isListening
+                                ? 'bg-red-600 hover:bg-red-700 text-white shadow-md shadow-red-600/50'
+                                : `${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText}`}`}
+                        >
+                            {dictation.isListening ? 'STOP LISTENING' : 'LISTEN'}
+                        </button>
+                    )}
+
+                    <label
+                        className={`flex items-center gap-2 text-sm ${currentTheme.infoText}`}
+                        title="Read one sentence at a time, pausing after each to repeat, flag or edit it"
+                    >
+                        <input type="checkbox" checked={isProofreading} onChange={() => setIsProofreading(prev => !prev)} disabled={isSpeaking} />
+                        Proofread
+                    </label>
+
                     <button
                         onClick={() => setText('')}
-                        disabled={isSpeaking || isPaused || isGeneratingAudio}
+                        disabled={!controls.clear}
                         className={`py-3 px-6 text-lg font-semibold rounded-lg ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText} disabled:opacity-50`}
                     >
                         Clear Text
                     </button>
+
+                    {/* Opens the clipboard (rich text keeps its headings and lists) as a script and reads it */}
+                    <button
+                        onClick={handlePasteAndRead}
+                        disabled={!isClipboardSupported() || !controls.clear || isLibraryLoading}
+                        title={isClipboardSupported()
+                            ? 'Open the clipboard as a new script and read it aloud'
+                            : 'This browser does not allow reading the clipboard'}
+                        className={`py-3 px-6 text-lg font-semibold rounded-lg ${currentTheme.buttonSecondaryBg} ${currentTheme.buttonSecondaryHover} ${currentTheme.buttonSecondaryText} disabled:opacity-50`}
+                    >
+                        Paste & Read
+                    </button>
                     
                     {/* New Generate Audio Button */}
                     <button
                         onClick={handleGenerateAudio}
-                        disabled={isSpeaking || isPaused || isGeneratingAudio || (!text && !selectedText)}
+                        disabled={!controls.render || (!text && !selectedText)}
                         className={`py-3 px-6 text-lg font-semibold rounded-lg transition duration-200 min-w-[180px] 
-                            ${isGeneratingAudio 
+                            ${isRendering 
                                 ? 'bg-indigo-800 text-white cursor-not-allowed'
                                 : `bg-green-600 hover:bg-green-700 ${currentTheme.highlightText} shadow-md shadow-green-600/50 disabled:opacity-50`}`
                         }
                     >
-                        {isGeneratingAudio ? 'RECORDING (Dictating)' : 'Generate Audio File'}
+                        {isRendering && audioProgress
+                            ? `${audioProgress.stage.toUpperCase()} ${Math.round(audioProgress.progress * 100)}%`
+                            : `Generate ${AUDIO_EXPORT_FORMATS[audioFormat]?.extension.toUpperCase() || 'Audio'} File`}
                     </button>
                 </div>
+                <p className={`mt-3 text-xs ${currentTheme.infoText}`}>
+                    Shortcuts: Space play/pause · Esc stop · ←/→ sentence · ↑/↓ paragraph
+                </p>
             </div>
         </div>
     );
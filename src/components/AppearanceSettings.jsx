@@ -0,0 +1,103 @@
+import React from 'react';
+import { ACCENT_SWATCHES, COLOR_SCHEMES, CONTRAST_MODES, FONT_FAMILIES, HIGHLIGHT_STYLES } from '../utils/themeEngine';
+
+const AppearanceSettings = ({
+    appearance,
+    onChange, // (patch) => void
+    selectedVoice,
+    isVoiceThemeBound, // The selected voice has its own look, which is what is being edited
+    onToggleVoiceTheme,
+    theme,
+}) => {
+    const selectClass = `w-1/2 p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`;
+    const rowClass = 'mb-2 flex justify-between items-center gap-2';
+    const labelClass = `text-sm font-medium ${theme.infoText}`;
+
+    return (
+        <div>
+            <div className={rowClass}>
+                <label htmlFor="appearance-scheme" className={labelClass}>Colour scheme</label>
+                <select id="appearance-scheme" className={selectClass} value={appearance.colorScheme} onChange={(e) => onChange({ colorScheme: e.target.value })}>
+                    {Object.entries(COLOR_SCHEMES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <div className={rowClass}>
+                <label htmlFor="appearance-contrast" className={labelClass}>Contrast</label>
+                <select id="appearance-contrast" className={selectClass} value={appearance.contrast} onChange={(e) => onChange({ contrast: e.target.value })}>
+                    {Object.entries(CONTRAST_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <div className={rowClass}>
+                <span className={labelClass}>Accent</span>
+                <div className="flex items-center gap-1">
+                    {ACCENT_SWATCHES.map(color => (
+                        <button
+                            key={color}
+                            onClick={() => onChange({ accent: color })}
+                            className={`w-4 h-4 rounded-full ${appearance.accent === color ? 'ring-2 ring-offset-1 ring-dictator-text' : ''}`}
+                            style={{ backgroundColor: color }}
+                            aria-label={`Accent ${color}`}
+                        />
+                    ))}
+                    <input
+                        type="color"
+                        value={appearance.accent}
+                        onChange={(e) => onChange({ accent: e.target.value })}
+                        className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+                        aria-label="Custom accent colour"
+                    />
+                </div>
+            </div>
+            <div className={rowClass}>
+                <label htmlFor="appearance-font" className={labelClass}>Reader font</label>
+                <select id="appearance-font" className={selectClass} value={appearance.fontFamily} onChange={(e) => onChange({ fontFamily: e.target.value })}>
+                    {Object.entries(FONT_FAMILIES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <label className={`block ${labelClass}`}>
+                Text size: {appearance.fontSize}px
+                <input
+                    type="range"
+                    min="12"
+                    max="40"
+                    step="1"
+                    value={appearance.fontSize}
+                    onChange={(e) => onChange({ fontSize: parseInt(e.target.value, 10) })}
+                    className={`w-full h-2 ${theme.sliderTrack} rounded-lg appearance-none cursor-pointer accent-dictator-accent`}
+                />
+            </label>
+            <label className={`block mt-2 ${labelClass}`}>
+                Line height: {appearance.lineHeight.toFixed(1)}
+                <input
+                    type="range"
+                    min="1"
+                    max="3"
+                    step="0.1"
+                    value={appearance.lineHeight}
+                    onChange={(e) => onChange({ lineHeight: parseFloat(e.target.value) })}
+                    className={`w-full h-2 ${theme.sliderTrack} rounded-lg appearance-none cursor-pointer accent-dictator-accent`}
+                />
+            </label>
+            <div className={`${rowClass} mt-2`}>
+                <label htmlFor="appearance-highlight" className={labelClass}>Word highlight</label>
+                <select id="appearance-highlight" className={selectClass} value={appearance.highlightStyle} onChange={(e) => onChange({ highlightStyle: e.target.value })}>
+                    {Object.entries(HIGHLIGHT_STYLES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <p className={`mb-3 p-2 rounded-lg border ${theme.inputBorder} ${theme.inputBg} text-reader font-reader`}>
+                The <span className={HIGHLIGHT_STYLES[appearance.highlightStyle].className}>current</span> word is highlighted like this.
+            </p>
+            <label className="flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={isVoiceThemeBound} onChange={onToggleVoiceTheme} disabled={!selectedVoice} />
+                Use a separate look for {selectedVoice ? `"${selectedVoice}"` : 'the selected voice'}
+            </label>
+            {isVoiceThemeBound && (
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    Changes above apply only while this voice is selected.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AppearanceSettings;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { getSpeakerColor } from '../utils/dialogueCast';
+
+const CastEditor = ({
+    speakers,
+    cast,
+    onChange,
+    onAutoAssign,
+    voices,
+    rate, // Main rate/pitch, used for characters without their own
+    pitch,
+    theme,
+}) => {
+    const updateRole = (speaker, patch) => {
+        onChange({ ...cast, [speaker]: { ...cast[speaker], ...patch } });
+    };
+
+    const selectClass = `w-full p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`;
+
+    return (
+        <div>
+            <ul className="space-y-3">
+                {speakers.map(speaker => {
+                    const role = cast[speaker] || {};
+                    const roleRate = role.rate ?? rate;
+                    const rolePitch = role.pitch ?? pitch;
+                    return (
+                        <li key={speaker} className={`p-2 rounded-lg border ${theme.inputBorder}`}>
+                            <div className="flex items-center gap-2 mb-1">
+                                <input
+                                    type="color"
+                                    value={getSpeakerColor(speakers, cast, speaker)}
+                                    onChange={(e) => updateRole(speaker, { color: e.target.value })}
+                                    className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+                                    aria-label={`Highlight colour for ${speaker}`}
+                                />
+                                <span className="text-sm font-semibold truncate">{speaker}</span>
+                            </div>
+                            <select
+                                value={role.voiceName || ''}
+                                onChange={(e) => updateRole(speaker, { voiceName: e.target.value || null })}
+                                className={selectClass}
+                                aria-label={`Voice for ${speaker}`}
+                            >
+                                <option value="">Main voice</option>
+                                {voices.map(voice => (
+                                    <option key={voice.name} value={voice.name}>{voice.name} ({voice.lang})</option>
+                                ))}
+                            </select>
+                            <label className={`block text-xs mt-1 ${theme.infoText}`}>
+                                Speed: {roleRate.toFixed(1)}x
+                                <input
+                                    type="range"
+                                    min="0.5"
+                                    max="4"
+                                    step="0.1"
+                                    value={roleRate}
+                                    onChange={(e) => updateRole(speaker, { rate: parseFloat(e.target.value) })}
+                                    className="w-full cursor-pointer"
+                                />
+                            </label>
+                            <label className={`block text-xs ${theme.infoText}`}>
+                                Pitch: {rolePitch.toFixed(1)}
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max="2"
+                                    step="0.1"
+                                    value={rolePitch}
+                                    onChange={(e) => updateRole(speaker, { pitch: parseFloat(e.target.value) })}
+                                    className="w-full cursor-pointer"
+                                />
+                            </label>
+                        </li>
+                    );
+                })}
+            </ul>
+            <button
+                onClick={onAutoAssign}
+                className={`mt-2 px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText}`}
+            >
+                Give each character a different voice
+            </button>
+        </div>
+    );
+};
+
+export default CastEditor;
@@ -1,4 +1,18 @@
 import React from 'react';
+import DocumentLibrary from './DocumentLibrary';
+import PronunciationLexicon from './PronunciationLexicon';
+import CastEditor from './CastEditor';
+import PresetPicker from './PresetPicker';
+import VoiceBrowser from './VoiceBrowser';
+import AppearanceSettings from './AppearanceSettings';
+import HttpVoiceSettings from './HttpVoiceSettings';
+import PlaylistPanel from './PlaylistPanel';
+import { SUPPORTED_IMPORT_EXTENSIONS } from '../utils/documentImport';
+import { listSynthesisEngines } from '../utils/synthesisEngines';
+import { AUDIO_EXPORT_FORMATS, isAudioFormatSupported } from '../utils/audioExport';
+import { CAPTION_FORMATS } from '../utils/captionExport';
+import { CLEANING_OPTIONS } from '../utils/textCleaning';
+import { getLanguageName } from '../utils/languageDetection';
 
 const DictatorControls = ({
     voices,
@@ -15,16 +29,90 @@ const DictatorControls = ({
     theme,
     isDarkMode, // New: Dark mode state
     onToggleDarkMode, // New: Function to toggle dark mode
+    audioFormat,
+    onAudioFormatChange,
+    audioEngine,
+    onAudioEngineChange,
+    captionFormat,
+    onCaptionFormatChange,
+    captionTrack, // Word timings of the last dictation run or rendered file (null before either)
+    onExportCaptions,
+    documents,
+    activeDocumentId,
+    onOpenDocument,
+    onCreateDocument,
+    onRenameDocument,
+    onDuplicateDocument,
+    onDeleteDocument,
+    isLibraryLocked,
+    cleaningOptions,
+    onCleaningOptionChange,
+    lexicon,
+    onLexiconChange,
+    onImportLexicon,
+    onExportLexicon,
+    dialogueSpeakers,
+    cast,
+    onCastChange,
+    onAutoAssignCast,
+    isAutoLanguage,
+    onToggleAutoLanguage,
+    detectedLanguages,
+    pinnedVoices,
+    onPinVoice,
+    presets,
+    activePresetId,
+    lastPresetId,
+    documentPresetId,
+    onApplyPreset,
+    onSavePreset,
+    onUpdatePreset,
+    onDeletePreset,
+    onSetDocumentPreset,
+    onImportPresets,
+    onExportPresets,
+    favouriteVoices,
+    onToggleFavouriteVoice,
+    onPreviewVoice,
+    previewingVoice,
+    canPreviewVoices,
+    appearance,
+    onAppearanceChange,
+    isVoiceThemeBound,
+    onToggleVoiceTheme,
+    httpVoiceConfig,
+    onHttpVoiceConfigChange,
+    onClearSpeechCache,
+    playlist,
+    playlistIndex,
+    onPlayPlaylist,
+    onAddToPlaylist,
+    onAddSelectionToPlaylist,
+    canAddSelectionToPlaylist,
+    onRemoveFromPlaylist,
+    onMovePlaylistItem,
+    onClearPlaylist,
+    loopMode,
+    onLoopModeChange,
+    itemGap,
+    onItemGapChange,
+    sleepTimer,
+    onSleepTimerChange,
 }) => {
 
     const handleFileChange = (event) => {
-        const file = event.target.files[0];
-        if (file) {
-            onFileChange(file);
+        const files = Array.from(event.target.files);
+        if (files.length > 0) {
+            onFileChange(files);
         }
+        event.target.value = ''; // Allow re-importing the same file
     };
 
-    const accentClass = theme.accentBg.replace('bg-', '');
+    const selectedVoiceObj = voices.find(v => v.name === selectedVoice);
+
+    // Languages in this script plus any with a pinned voice
+    const routedLanguages = [...new Set([...detectedLanguages, ...Object.keys(pinnedVoices)])];
+    const voicesForLanguage = (lang) => voices.filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === lang);
 
     return (
         <div className={`p-6 ${theme.sidebarBg} ${theme.text} h-full overflow-y-auto`}>
@@ -51,22 +139,83 @@ const DictatorControls = ({
                 </button>
             </div>
 
+            {/* Script Library */}
+            <DocumentLibrary
+                documents={documents}
+                activeDocumentId={activeDocumentId}
+                onOpen={onOpenDocument}
+                onCreate={onCreateDocument}
+                onRename={onRenameDocument}
+                onDuplicate={onDuplicateDocument}
+                onDelete={onDeleteDocument}
+                disabled={isLibraryLocked}
+                theme={theme}
+            />
+
+            {/* Playlist, repeat and sleep timer */}
+            <div className="mb-6">
+                <label className={`block text-lg font-bold mb-2 ${theme.headerAccent}`}>
+                    Playlist ({playlist.length})
+                </label>
+                <PlaylistPanel
+                    items={playlist}
+                    documents={documents}
+                    playingIndex={playlistIndex}
+                    onPlay={onPlayPlaylist}
+                    onAddDocument={onAddToPlaylist}
+                    onAddSelection={onAddSelectionToPlaylist}
+                    canAddSelection={canAddSelectionToPlaylist}
+                    onRemove={onRemoveFromPlaylist}
+                    onMove={onMovePlaylistItem}
+                    onClear={onClearPlaylist}
+                    loopMode={loopMode}
+                    onLoopModeChange={onLoopModeChange}
+                    itemGap={itemGap}
+                    onItemGapChange={onItemGapChange}
+                    sleepTimer={sleepTimer}
+                    onSleepTimerChange={onSleepTimerChange}
+                    theme={theme}
+                />
+            </div>
+
+            {/* Named Presets */}
+            <PresetPicker
+                presets={presets}
+                activePresetId={activePresetId}
+                lastPresetId={lastPresetId}
+                documentPresetId={documentPresetId}
+                onApply={onApplyPreset}
+                onSave={onSavePreset}
+                onUpdate={onUpdatePreset}
+                onDelete={onDeletePreset}
+                onSetDocumentDefault={onSetDocumentPreset}
+                onImport={onImportPresets}
+                onExport={onExportPresets}
+                disabled={isLibraryLocked}
+                theme={theme}
+            />
+
             {/* Voice Selection */}
             <div className="mb-6">
                 <label className={`block text-sm font-medium mb-2 ${theme.infoText}`}>
-                    Voice Selector ({voices.length} available)
+                    Voice: <span className={theme.text}>{selectedVoice || 'None selected'}</span>
                 </label>
-                <select
-                    className={`w-full p-2 ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} focus:ring-${accentClass} focus:border-${accentClass} appearance-none cursor-pointer`}
-                    value={selectedVoice}
-                    onChange={(e) => onVoiceChange(e.target.value)}
-                >
-                    {voices.map((voice, index) => (
-                        <option key={index} value={voice.name} className={`${theme.text}`}>
-                            {voice.name} ({voice.lang}) {voice.default ? ' (Default)' : ''}
-                        </option>
-                    ))}
-                </select>
+                <VoiceBrowser
+                    voices={voices}
+                    selectedVoice={selectedVoice}
+                    onSelect={onVoiceChange}
+                    favourites={favouriteVoices}
+                    onToggleFavourite={onToggleFavouriteVoice}
+                    onPreview={onPreviewVoice}
+                    previewingVoice={previewingVoice}
+                    canPreview={canPreviewVoices}
+                    theme={theme}
+                />
+                {selectedVoiceObj && !selectedVoiceObj.localService && (
+                    <p className="text-xs mt-1 text-amber-500">
+                        This is a network voice: it needs an internet connection and will not work offline.
+                    </p>
+                )}
                 <p className={`text-xs mt-1 ${theme.infoText}`}>
                     Voice count depends entirely on your operating system and browser settings. 
                     <br/>
@@ -86,7 +235,7 @@ const DictatorControls = ({
                     step="0.1"
                     value={rate}
                     onChange={(e) => onRateChange(parseFloat(e.target.value))}
-                    className={`w-full h-2 ${theme.inputBorder.replace('border-', 'bg-')} rounded-lg appearance-none cursor-pointer accent-${accentClass}`}
+                    className={`w-full h-2 ${theme.sliderTrack} rounded-lg appearance-none cursor-pointer accent-dictator-accent`}
                 />
             </div>
             
@@ -102,7 +251,7 @@ const DictatorControls = ({
                     step="0.1"
                     value={volume}
                     onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
-                    className={`w-full h-2 ${theme.inputBorder.replace('border-', 'bg-')} rounded-lg appearance-none cursor-pointer accent-${accentClass}`}
+                    className={`w-full h-2 ${theme.sliderTrack} rounded-lg appearance-none cursor-pointer accent-dictator-accent`}
                 />
             </div>
 
@@ -118,30 +267,232 @@ const DictatorControls = ({
                     step="0.1"
                     value={pitch}
                     onChange={(e) => onPitchChange(parseFloat(e.target.value))}
-                    className={`w-full h-2 ${theme.inputBorder.replace('border-', 'bg-')} rounded-lg appearance-none cursor-pointer accent-${accentClass}`}
+                    className={`w-full h-2 ${theme.sliderTrack} rounded-lg appearance-none cursor-pointer accent-dictator-accent`}
+                />
+            </div>
+
+            {/* Language Switching */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Languages
+                </label>
+                <label className="flex items-center gap-2 text-sm mb-3">
+                    <input type="checkbox" checked={isAutoLanguage} onChange={onToggleAutoLanguage} />
+                    Switch voices for passages in other languages
+                </label>
+                {isAutoLanguage && routedLanguages.map(lang => (
+                    <div key={lang} className="mb-2 flex justify-between items-center gap-2">
+                        <label htmlFor={`pinned-voice-${lang}`} className={`text-sm font-medium ${theme.infoText}`}>
+                            {getLanguageName(lang)}
+                        </label>
+                        <select
+                            id={`pinned-voice-${lang}`}
+                            className={`w-1/2 p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`}
+                            value={pinnedVoices[lang] || ''}
+                            onChange={(e) => onPinVoice(lang, e.target.value)}
+                        >
+                            <option value="">{voicesForLanguage(lang).length > 0 ? 'Best match' : 'No voice installed'}</option>
+                            {voicesForLanguage(lang).map(voice => (
+                                <option key={voice.name} value={voice.name}>{voice.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    The language of each sentence is detected automatically; HTML <code>lang</code> attributes override it. Text in your main voice's language always uses the main voice. Pin a voice to choose which one reads a language.
+                </p>
+            </div>
+
+            {/* Dialogue Cast */}
+            {dialogueSpeakers.length > 0 && (
+                <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                    <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                        Cast ({dialogueSpeakers.length} characters)
+                    </label>
+                    <CastEditor
+                        speakers={dialogueSpeakers}
+                        cast={cast}
+                        onChange={onCastChange}
+                        onAutoAssign={onAutoAssignCast}
+                        voices={voices}
+                        rate={rate}
+                        pitch={pitch}
+                        theme={theme}
+                    />
+                    <p className={`text-xs mt-2 ${theme.infoText}`}>
+                        Lines starting with a character name ("ALICE: ...") are read in that character's voice; the name itself is not read. List the cast in front matter (<code>cast: Alice, Bob</code> between <code>---</code> lines) to use names that are not in capitals. Saved with this script.
+                    </p>
+                </div>
+            )}
+
+            {/* Markup Reading */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Reading Markdown &amp; HTML
+                </label>
+                {Object.entries(CLEANING_OPTIONS).map(([key, { label, choices }]) => (
+                    <div key={key} className="mb-2 flex justify-between items-center gap-2">
+                        <label htmlFor={`cleaning-${key}`} className={`text-sm font-medium ${theme.infoText}`}>
+                            {label}
+                        </label>
+                        <select
+                            id={`cleaning-${key}`}
+                            className={`w-1/2 p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`}
+                            value={cleaningOptions[key]}
+                            onChange={(e) => onCleaningOptionChange(key, e.target.value)}
+                            disabled={isLibraryLocked}
+                        >
+                            {Object.entries(choices).map(([value, choiceLabel]) => (
+                                <option key={value} value={value}>{choiceLabel}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    Formatting marks, link addresses and HTML tags are never read aloud. These can't be changed while dictating.
+                </p>
+                <p className={`text-xs mt-2 ${theme.infoText}`}>
+                    Delivery markup: <code>{'<break time="800ms"/>'}</code>, <code>{'<prosody rate="slow" pitch="high">'}</code>, <code>{'<emphasis>'}</code> and <code>{'<voice name="...">'}</code> change how passages are spoken and are hidden while reading.
+                </p>
+            </div>
+
+            {/* Pronunciation Lexicon */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Pronunciation ({lexicon.length} rules)
+                </label>
+                <PronunciationLexicon
+                    rules={lexicon}
+                    onChange={onLexiconChange}
+                    onImport={onImportLexicon}
+                    onExport={onExportLexicon}
+                    voices={voices}
+                    selectedVoice={selectedVoice}
+                    theme={theme}
+                />
+                <p className={`text-xs mt-2 ${theme.infoText}`}>
+                    Rules run top to bottom on the cleaned text. Regex replacements can use $1, $2... for captured groups. Edits apply from the next time you press Start.
+                </p>
+            </div>
+
+            {/* Server (neural) voices */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Neural Voices (TTS Server)
+                </label>
+                <HttpVoiceSettings
+                    config={httpVoiceConfig}
+                    onChange={onHttpVoiceConfigChange}
+                    onClearCache={onClearSpeechCache}
+                    disabled={isLibraryLocked}
+                    theme={theme}
+                />
+            </div>
+
+            {/* Appearance */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Appearance
+                </label>
+                <AppearanceSettings
+                    appearance={appearance}
+                    onChange={onAppearanceChange}
+                    selectedVoice={selectedVoice}
+                    isVoiceThemeBound={isVoiceThemeBound}
+                    onToggleVoiceTheme={onToggleVoiceTheme}
+                    theme={theme}
                 />
             </div>
 
+            {/* Audio Export Settings */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Audio File Export
+                </label>
+                <label className={`block text-sm font-medium mb-2 ${theme.infoText}`}>
+                    Synthesis Engine
+                </label>
+                <select
+                    className={`w-full p-2 mb-4 ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`}
+                    value={audioEngine}
+                    onChange={(e) => onAudioEngineChange(e.target.value)}
+                >
+                    {listSynthesisEngines().map((engine) => (
+                        <option key={engine.id} value={engine.id}>{engine.name}</option>
+                    ))}
+                </select>
+                <label className={`block text-sm font-medium mb-2 ${theme.infoText}`}>
+                    File Format
+                </label>
+                <select
+                    className={`w-full p-2 ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`}
+                    value={audioFormat}
+                    onChange={(e) => onAudioFormatChange(e.target.value)}
+                >
+                    {Object.entries(AUDIO_EXPORT_FORMATS).map(([format, { label }]) => (
+                        <option key={format} value={format} disabled={!isAudioFormatSupported(format)}>
+                            {label}{isAudioFormatSupported(format) ? '' : ' (unsupported)'}
+                        </option>
+                    ))}
+                </select>
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    Browser voices cannot be recorded, so files are rendered by the engine above using the voice's language and your speed, pitch and volume. OGG encodes in real time.
+                </p>
+            </div>
+
+            {/* Caption Export */}
+            <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
+                <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
+                    Caption Export
+                </label>
+                <div className="flex gap-2">
+                    <select
+                        className={`flex-1 p-2 ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`}
+                        value={captionFormat}
+                        onChange={(e) => onCaptionFormatChange(e.target.value)}
+                    >
+                        {Object.entries(CAPTION_FORMATS).map(([format, { label }]) => (
+                            <option key={format} value={format}>{label}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={onExportCaptions}
+                        disabled={!captionTrack}
+                        className={`px-4 py-2 text-sm font-semibold rounded-lg ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`}
+                    >
+                        Export Captions
+                    </button>
+                </div>
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    {captionTrack
+                        ? `${captionTrack.source === 'render' ? 'Last rendered file' : 'Last dictation run'}: ${captionTrack.words.length} words, ${Math.floor(captionTrack.duration / 60)}:${String(Math.floor(captionTrack.duration % 60)).padStart(2, '0')}.`
+                        : 'Dictate or render an audio file first; its word timings become the captions.'}
+                    {' '}Dictation is timed from the voice's word events, with pauses left out. Rendered files are timed per segment, so word times within a segment are estimates.
+                </p>
+            </div>
+
             {/* File Upload */}
             <div className={`mt-8 pt-4 border-t ${theme.headerBorder}`}>
                 <label className={`block text-lg font-bold mb-3 ${theme.headerAccent}`}>
-                    Upload Your Script (TXT, MD, HTML)
+                    Upload Your Script (TXT, MD, HTML, PDF, DOCX, EPUB)
                 </label>
                 <input
                     type="file"
-                    accept=".txt,.md,.html"
+                    accept={SUPPORTED_IMPORT_EXTENSIONS.join(',')}
+                    multiple
                     onChange={handleFileChange}
                     className={`w-full text-sm ${theme.text} p-3 rounded-lg border ${theme.inputBorder} ${theme.logoBg}
                         file:mr-4 file:py-2 file:px-4
                         file:rounded-full file:border-0
-                        file:${theme.buttonSecondaryBg} file:${theme.highlightText}
                         file:text-sm file:font-semibold
-                        file:${theme.accentBg}
+                        file:bg-dictator-accent file:text-dictator-on-accent
                         hover:file:opacity-90
                     `}
                 />
                 <p className={`text-xs mt-2 ${theme.infoText}`}>
-                    Note: Complex formats like PDF require server-side parsing and cannot be fully supported client-side.
+                    Uploaded files are added to your Script Library as new documents.
+                    <br/>
+                    PDFs are read from their text layer (scanned pages need OCR first). EPUB chapters can be jumped to from the reader.
                 </p>
             </div>
             
@@ -154,7 +505,7 @@ const DictatorControls = ({
                     Clear All Saved Data & Settings
                 </button>
                 <p className={`text-xs mt-2 ${theme.infoText}`}>
-                    Resets all settings and input text stored locally in your browser.
+                    Resets all settings and deletes every script stored locally in your browser.
                 </p>
             </div>
         </div>
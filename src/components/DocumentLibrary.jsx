@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+const formatLastOpened = (timestamp) => {
+    const date = new Date(timestamp);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString();
+};
+
+const DocumentLibrary = ({
+    documents,
+    activeDocumentId,
+    onOpen,
+    onCreate,
+    onRename,
+    onDuplicate,
+    onDelete,
+    disabled, // Switching documents is blocked while dictating
+    theme,
+}) => {
+    const [query, setQuery] = useState('');
+
+    const normalizedQuery = query.trim().toLowerCase();
+    const filteredDocuments = normalizedQuery
+        ? documents.filter(doc => doc.name.toLowerCase().includes(normalizedQuery) || doc.text.toLowerCase().includes(normalizedQuery))
+        : documents;
+
+    const handleCreate = () => {
+        const name = window.prompt('Name for the new script:', 'Untitled Script');
+        if (name && name.trim()) onCreate(name.trim());
+    };
+
+    const handleRename = (doc) => {
+        const name = window.prompt('Rename script:', doc.name);
+        if (name && name.trim() && name.trim() !== doc.name) onRename(doc.id, name.trim());
+    };
+
+    const handleDelete = (doc) => {
+        if (window.confirm(`Delete "${doc.name}"? This cannot be undone.`)) onDelete(doc.id);
+    };
+
+    const actionClass = `px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`;
+
+    return (
+        <div className="mb-6">
+            <div className="flex justify-between items-center mb-2">
+                <label className={`block text-lg font-bold ${theme.headerAccent}`}>
+                    Script Library ({documents.length})
+                </label>
+                <button
+                    onClick={handleCreate}
+                    disabled={disabled}
+                    className={`px-3 py-1 text-sm font-semibold rounded-lg ${theme.accentBg} ${theme.onAccent} hover:opacity-90 disabled:opacity-50`}
+                >
+                    + New
+                </button>
+            </div>
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search scripts..."
+                className={`w-full p-2 mb-2 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder}`}
+            />
+            <ul className={`max-h-64 overflow-y-auto rounded-lg border ${theme.inputBorder}`}>
+                {filteredDocuments.map(doc => {
+                    const isActive = doc.id === activeDocumentId;
+                    return (
+                        <li
+                            key={doc.id}
+                            className={`p-2 border-b last:border-b-0 ${theme.inputBorder} ${isActive ? theme.inputBg : ''}`}
+                        >
+                            <button
+                                onClick={() => onOpen(doc.id)}
+                                disabled={disabled || isActive}
+                                className="w-full text-left disabled:cursor-default"
+                                title={isActive ? 'Currently open' : `Open "${doc.name}"`}
+                            >
+                                <span className={`block text-sm font-semibold truncate ${isActive ? theme.accent : ''}`}>
+                                    {doc.name}
+                                </span>
+                                <span className={`block text-xs ${theme.infoText}`}>
+                                    {doc.text.length.toLocaleString()} chars · opened {formatLastOpened(doc.lastOpenedAt)}
+                                    {doc.lastPosition > 0 ? ' · in progress' : ''}
+                                </span>
+                            </button>
+                            <div className="flex gap-1 mt-1">
+                                <button onClick={() => handleRename(doc)} className={actionClass}>Rename</button>
+                                <button onClick={() => onDuplicate(doc.id)} disabled={disabled} className={actionClass}>Duplicate</button>
+                                <button onClick={() => handleDelete(doc)} disabled={disabled && isActive} className={actionClass}>Delete</button>
+                            </div>
+                        </li>
+                    );
+                })}
+                {filteredDocuments.length === 0 && (
+                    <li className={`p-2 text-sm ${theme.infoText}`}>No scripts match "{query}".</li>
+                )}
+            </ul>
+        </div>
+    );
+};
+
+export default DocumentLibrary;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { HTTP_TTS_FORMATS } from '../utils/httpSpeechEngine';
+
+// Connection to a self-hosted neural TTS server. Its voices join the voice list when enabled.
+const HttpVoiceSettings = ({
+    config, // { enabled, format, endpoint, apiKey, model, voices }
+    onChange, // (patch) => void
+    onClearCache,
+    disabled, // While dictating: the engine cannot be swapped mid-run
+    theme,
+}) => {
+    const inputClass = `w-full p-2 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} disabled:opacity-50`;
+    const labelClass = `block text-sm font-medium mb-1 ${theme.infoText}`;
+
+    return (
+        <div>
+            <label className={`flex items-center gap-2 text-sm ${theme.text} mb-3`}>
+                <input
+                    type="checkbox"
+                    checked={config.enabled}
+                    onChange={() => onChange({ enabled: !config.enabled })}
+                    disabled={disabled}
+                />
+                Use voices from a TTS server
+            </label>
+            <div className="space-y-2">
+                <div>
+                    <label htmlFor="http-tts-format" className={labelClass}>Server type</label>
+                    <select
+                        id="http-tts-format"
+                        className={`${inputClass} appearance-none cursor-pointer`}
+                        value={config.format}
+                        onChange={(e) => onChange({ format: e.target.value })}
+                        disabled={disabled}
+                    >
+                        {Object.entries(HTTP_TTS_FORMATS).map(([format, { label }]) => (
+                            <option key={format} value={format}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="http-tts-endpoint" className={labelClass}>Endpoint</label>
+                    <input
+                        id="http-tts-endpoint"
+                        type="url"
+                        className={inputClass}
+                        value={config.endpoint}
+                        onChange={(e) => onChange({ endpoint: e.target.value })}
+                        disabled={disabled}
+                        placeholder="http://localhost:8000/v1/audio/speech"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="http-tts-key" className={labelClass}>API key (optional)</label>
+                    <input
+                        id="http-tts-key"
+                        type="password"
+                        autoComplete="off"
+                        className={inputClass}
+                        value={config.apiKey}
+                        onChange={(e) => onChange({ apiKey: e.target.value })}
+                        disabled={disabled}
+                    />
+                </div>
+                {config.format === 'openai' && (
+                    <div>
+                        <label htmlFor="http-tts-model" className={labelClass}>Model</label>
+                        <input
+                            id="http-tts-model"
+                            className={inputClass}
+                            value={config.model}
+                            onChange={(e) => onChange({ model: e.target.value })}
+                            disabled={disabled}
+                        />
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="http-tts-voices" className={labelClass}>Voices</label>
+                    <textarea
+                        id="http-tts-voices"
+                        rows={2}
+                        className={inputClass}
+                        value={config.voices}
+                        onChange={(e) => onChange({ voices: e.target.value })}
+                        disabled={disabled}
+                        placeholder="alloy, nova, thorsten=de-DE"
+                    />
+                </div>
+            </div>
+            <button
+                onClick={onClearCache}
+                className={`mt-2 px-3 py-1 text-sm font-semibold rounded-lg ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText}`}
+            >
+                Clear Audio Cache
+            </button>
+            <p className={`text-xs mt-2 ${theme.infoText}`}>
+                Voice ids as the server knows them, separated by commas; add =language (like thorsten=de-DE) for automatic language switching. The key is stored in this browser and sent as a Bearer token.
+                Audio is cached, so replaying a script does not ask the server again. Word highlighting follows the server's word timings when it returns them, otherwise it is estimated.
+                {import.meta.env.DEV && ' In development, /__mock-tts on this server is a stand-in that beeps each word (either server type).'}
+            </p>
+        </div>
+    );
+};
+
+export default HttpVoiceSettings;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { LOOP_MODES, MAX_ITEM_GAP, SLEEP_TIMER_MINUTES, SLEEP_FADE_SECONDS, describePlaylistItem } from '../utils/playlist';
+
+// The listening queue: scripts and selections read back-to-back, with repeat, the pause between
+// items and the sleep timer
+const PlaylistPanel = ({
+    items,
+    documents,
+    playingIndex, // Item being read (or waiting to be), else null
+    onPlay, // (index) => void
+    onAddDocument,
+    onAddSelection,
+    canAddSelection,
+    onRemove, // (index) => void
+    onMove, // (index, direction) => void
+    onClear,
+    loopMode,
+    onLoopModeChange,
+    itemGap, // Seconds between items
+    onItemGapChange,
+    sleepTimer, // { mode: 'minutes', endsAt } | { mode: 'chapter' } | null
+    onSleepTimerChange, // (minutes | 'chapter' | null) => void
+    theme,
+}) => {
+    const actionClass = `px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`;
+    const selectClass = `w-1/2 p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer`;
+    const rowClass = 'mb-2 flex justify-between items-center gap-2';
+    const labelClass = `text-sm font-medium ${theme.infoText}`;
+
+    const sleepValue = !sleepTimer ? '' : sleepTimer.mode === 'chapter' ? 'chapter' : 'running';
+
+    return (
+        <div>
+            <div className="flex gap-2 mb-2">
+                <button onClick={onAddDocument} className={actionClass}>+ Current script</button>
+                <button onClick={onAddSelection} disabled={!canAddSelection} className={actionClass} title="Select text in the editor first">
+                    + Selection
+                </button>
+                {items.length > 0 && (
+                    <button onClick={() => window.confirm('Remove every item from the playlist?') && onClear()} className={`${actionClass} ml-auto`}>
+                        Clear
+                    </button>
+                )}
+            </div>
+            {items.length > 0 ? (
+                <ol className={`max-h-48 overflow-y-auto rounded-lg border ${theme.inputBorder} mb-3`}>
+                    {items.map((item, index) => {
+                        const { title, detail, isMissing } = describePlaylistItem(item, documents);
+                        const isPlaying = index === playingIndex;
+                        return (
+                            <li key={item.id} className={`p-2 border-b last:border-b-0 ${theme.inputBorder} ${isPlaying ? theme.inputBg : ''} flex items-center gap-2`}>
+                                <button
+                                    onClick={() => onPlay(index)}
+                                    disabled={isMissing}
+                                    className="flex-1 min-w-0 text-left disabled:opacity-50"
+                                    title={isMissing ? 'This script was deleted; it is skipped' : 'Play the list from here'}
+                                >
+                                    <span className={`block text-sm font-semibold truncate ${isPlaying ? theme.accent : ''}`}>
+                                        {index + 1}. {title}
+                                    </span>
+                                    {detail && <span className={`block text-xs ${theme.infoText}`}>{detail}</span>}
+                                </button>
+                                <button onClick={() => onMove(index, -1)} disabled={index === 0} className={actionClass} aria-label="Move up">↑</button>
+                                <button onClick={() => onMove(index, 1)} disabled={index === items.length - 1} className={actionClass} aria-label="Move down">↓</button>
+                                <button onClick={() => onRemove(index)} className={actionClass} aria-label="Remove">×</button>
+                            </li>
+                        );
+                    })}
+                </ol>
+            ) : (
+                <p className={`text-xs mb-3 ${theme.infoText}`}>
+                    Add scripts or selections to listen to them back-to-back. Click an item to start the list there.
+                </p>
+            )}
+            <div className={rowClass}>
+                <label htmlFor="playlist-loop" className={labelClass}>Repeat</label>
+                <select id="playlist-loop" className={selectClass} value={loopMode} onChange={(e) => onLoopModeChange(e.target.value)}>
+                    {Object.entries(LOOP_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+            </div>
+            <div className={rowClass}>
+                <label htmlFor="playlist-gap" className={labelClass}>Pause between items (s)</label>
+                <input
+                    id="playlist-gap"
+                    type="number"
+                    min="0"
+                    max={MAX_ITEM_GAP}
+                    step="0.5"
+                    value={itemGap}
+                    onChange={(e) => onItemGapChange(e.target.value)}
+                    className={`w-1/2 p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder}`}
+                />
+            </div>
+            <div className={rowClass}>
+                <label htmlFor="playlist-sleep" className={labelClass}>Sleep timer</label>
+                <select
+                    id="playlist-sleep"
+                    className={selectClass}
+                    value={sleepValue}
+                    onChange={(e) => {
+                        const { value } = e.target;
+                        if (value === 'running') return;
+                        onSleepTimerChange(value === '' ? null : value === 'chapter' ? 'chapter' : Number(value));
+                    }}
+                >
+                    <option value="">Off</option>
+                    {sleepValue === 'running' && <option value="running">Running</option>}
+                    {SLEEP_TIMER_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+                    <option value="chapter">End of chapter</option>
+                </select>
+            </div>
+            <p className={`text-xs ${theme.infoText}`}>
+                Repeat applies to a single script too. A timed sleep fades the voice out over its last {SLEEP_FADE_SECONDS} seconds, then stops; "End of chapter" stops before the next # heading, or at the end of the item.
+            </p>
+        </div>
+    );
+};
+
+export default PlaylistPanel;
@@ -0,0 +1,91 @@
+import React from 'react';
+
+const PresetPicker = ({
+    presets,
+    activePresetId, // The preset matching the current settings, if any
+    lastPresetId, // The preset applied or saved most recently (target of "Update")
+    documentPresetId, // The open document's default preset
+    onApply,
+    onSave,
+    onUpdate,
+    onDelete,
+    onSetDocumentDefault,
+    onImport,
+    onExport,
+    disabled, // Switching presets is blocked while dictating
+    theme,
+}) => {
+    const activePreset = presets.find(p => p.id === activePresetId) || null;
+    const documentPreset = presets.find(p => p.id === documentPresetId) || null;
+    const lastPreset = presets.find(p => p.id === lastPresetId) || null;
+    const canUpdate = lastPreset && lastPreset.id !== activePresetId;
+
+    const handleSave = () => {
+        const name = window.prompt('Name for this preset:', 'My Preset');
+        if (name && name.trim()) onSave(name.trim());
+    };
+
+    const handleUpdate = () => {
+        if (window.confirm(`Overwrite "${lastPreset.name}" with the current settings?`)) onUpdate(lastPreset.id);
+    };
+
+    const handleDelete = () => {
+        if (activePreset && window.confirm(`Delete the preset "${activePreset.name}"?`)) onDelete(activePreset.id);
+    };
+
+    const handleImport = (event) => {
+        const file = event.target.files[0];
+        if (file) onImport(file);
+        event.target.value = '';
+    };
+
+    const actionClass = `px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`;
+
+    return (
+        <div className="mb-6">
+            <label className={`block text-sm font-medium mb-2 ${theme.infoText}`}>
+                Preset ({presets.length} saved)
+            </label>
+            <select
+                className={`w-full p-2 ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder} appearance-none cursor-pointer disabled:opacity-50`}
+                value={activePreset ? activePreset.id : ''}
+                onChange={(e) => e.target.value && onApply(e.target.value)}
+                disabled={disabled || presets.length === 0}
+            >
+                <option value="">{presets.length > 0 ? 'Custom settings' : 'No presets yet'}</option>
+                {presets.map(preset => (
+                    <option key={preset.id} value={preset.id}>
+                        {preset.name}{preset.id === documentPresetId ? ' (script default)' : ''}
+                    </option>
+                ))}
+            </select>
+            <div className="flex flex-wrap gap-1 mt-2">
+                <button onClick={handleSave} className={actionClass}>Save as New</button>
+                <button onClick={handleUpdate} disabled={!canUpdate} className={actionClass}>
+                    {canUpdate ? `Update "${lastPreset.name}"` : 'Update'}
+                </button>
+                <button onClick={handleDelete} disabled={!activePreset} className={actionClass}>Delete</button>
+                <button
+                    onClick={() => onSetDocumentDefault(activePreset ? activePreset.id : null)}
+                    disabled={!activePreset && !documentPreset}
+                    className={actionClass}
+                    title="The script's default preset is applied whenever the script is opened"
+                >
+                    {activePreset ? 'Use for This Script' : 'Clear Script Default'}
+                </button>
+                <label className={`${actionClass} cursor-pointer`}>
+                    Import
+                    <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+                </label>
+                <button onClick={onExport} disabled={presets.length === 0} className={actionClass}>Export</button>
+            </div>
+            {documentPreset && (
+                <p className={`text-xs mt-1 ${theme.infoText}`}>
+                    This script opens with "{documentPreset.name}".
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PresetPicker;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { LEXICON_SCOPES, createLexiconRule, validateLexiconRule } from '../utils/pronunciationLexicon';
+
+const EMPTY_FORM = { match: '', replacement: '', isRegex: false, caseSensitive: false, scope: 'global', scopeValue: '' };
+
+// Language options offered for language-scoped rules: every voice language plus its base language
+const listLanguages = (voices) => {
+    const langs = new Set();
+    for (const voice of voices) {
+        if (!voice.lang) continue;
+        langs.add(voice.lang.split(/[-_]/)[0].toLowerCase());
+        langs.add(voice.lang.replace('_', '-'));
+    }
+    return [...langs].sort();
+};
+
+const describeScope = (rule) => {
+    if (rule.scope === 'voice') return `voice: ${rule.scopeValue}`;
+    if (rule.scope === 'lang') return `language: ${rule.scopeValue}`;
+    return 'all voices';
+};
+
+const PronunciationLexicon = ({
+    rules,
+    onChange,
+    onImport,
+    onExport,
+    voices,
+    selectedVoice,
+    theme,
+}) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editingId, setEditingId] = useState(null);
+    const [formError, setFormError] = useState(null);
+
+    const updateForm = (patch) => {
+        setForm(prev => ({ ...prev, ...patch }));
+        setFormError(null);
+    };
+
+    const handleScopeChange = (scope) => {
+        // Preselect the current voice (or its language) as the scope target
+        const voiceObj = voices.find(v => v.name === selectedVoice);
+        let scopeValue = '';
+        if (scope === 'voice') scopeValue = selectedVoice || '';
+        else if (scope === 'lang' && voiceObj) scopeValue = voiceObj.lang.split(/[-_]/)[0].toLowerCase();
+        updateForm({ scope, scopeValue });
+    };
+
+    const resetForm = () => {
+        setForm(EMPTY_FORM);
+        setEditingId(null);
+        setFormError(null);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const rule = createLexiconRule(form);
+        const problem = validateLexiconRule(rule);
+        if (problem) {
+            setFormError(problem);
+            return;
+        }
+        if (editingId) {
+            onChange(rules.map(r => (r.id === editingId ? { ...rule, id: editingId, enabled: r.enabled } : r)));
+        } else {
+            onChange([...rules, rule]);
+        }
+        resetForm();
+    };
+
+    const handleEdit = (rule) => {
+        const { match, replacement, isRegex, caseSensitive, scope, scopeValue } = rule;
+        setForm({ match, replacement, isRegex, caseSensitive, scope, scopeValue });
+        setEditingId(rule.id);
+        setFormError(null);
+    };
+
+    const handleDelete = (rule) => {
+        if (window.confirm(`Delete the rule for "${rule.match}"?`)) {
+            onChange(rules.filter(r => r.id !== rule.id));
+            if (editingId === rule.id) resetForm();
+        }
+    };
+
+    const handleImport = (event) => {
+        const file = event.target.files[0];
+        if (file) onImport(file);
+        event.target.value = '';
+    };
+
+    const inputClass = `w-full p-2 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder}`;
+    const actionClass = `px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`;
+
+    return (
+        <div>
+            <form onSubmit={handleSubmit} className="space-y-2 mb-3">
+                <div className="flex gap-2">
+                    <input
+                        type="text"
+                        value={form.match}
+                        onChange={(e) => updateForm({ match: e.target.value })}
+                        placeholder={form.isRegex ? 'Pattern, e.g. (\\d+)km' : 'Word, e.g. SQL'}
+                        className={inputClass}
+                        aria-label="Text to replace"
+                    />
+                    <input
+                        type="text"
+                        value={form.replacement}
+                        onChange={(e) => updateForm({ replacement: e.target.value })}
+                        placeholder={form.isRegex ? 'Say, e.g. $1 kilometres' : 'Say, e.g. sequel'}
+                        className={inputClass}
+                        aria-label="Spoken replacement"
+                    />
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs">
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.isRegex} onChange={(e) => updateForm({ isRegex: e.target.checked })} />
+                        Regular expression
+                    </label>
+                    <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={form.caseSensitive} onChange={(e) => updateForm({ caseSensitive: e.target.checked })} />
+                        Match case
+                    </label>
+                </div>
+                <div className="flex gap-2">
+                    <select
+                        value={form.scope}
+                        onChange={(e) => handleScopeChange(e.target.value)}
+                        className={`${inputClass} appearance-none cursor-pointer`}
+                        aria-label="Rule scope"
+                    >
+                        {Object.entries(LEXICON_SCOPES).map(([scope, label]) => (
+                            <option key={scope} value={scope}>{label}</option>
+                        ))}
+                    </select>
+                    {form.scope === 'voice' && (
+                        <select
+                            value={form.scopeValue}
+                            onChange={(e) => updateForm({ scopeValue: e.target.value })}
+                            className={`${inputClass} appearance-none cursor-pointer`}
+                            aria-label="Voice"
+                        >
+                            <option value="">Choose a voice...</option>
+                            {voices.map(voice => (
+                                <option key={voice.name} value={voice.name}>{voice.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    {form.scope === 'lang' && (
+                        <select
+                            value={form.scopeValue}
+                            onChange={(e) => updateForm({ scopeValue: e.target.value })}
+                            className={`${inputClass} appearance-none cursor-pointer`}
+                            aria-label="Language"
+                        >
+                            <option value="">Choose a language...</option>
+                            {listLanguages(voices).map(lang => (
+                                <option key={lang} value={lang}>{lang}</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+                {formError && <p className="text-xs text-red-500">{formError}</p>}
+                <div className="flex gap-2">
+                    <button
+                        type="submit"
+                        className={`px-3 py-1 text-sm font-semibold rounded-lg ${theme.accentBg} ${theme.onAccent} hover:opacity-90`}
+                    >
+                        {editingId ? 'Save Rule' : '+ Add Rule'}
+                    </button>
+                    {editingId && (
+                        <button type="button" onClick={resetForm} className={actionClass}>Cancel</button>
+                    )}
+                </div>
+            </form>
+
+            <ul className={`max-h-48 overflow-y-auto rounded-lg border ${theme.inputBorder}`}>
+                {rules.map(rule => (
+                    <li key={rule.id} className={`p-2 border-b last:border-b-0 ${theme.inputBorder} ${rule.enabled ? '' : 'opacity-50'}`}>
+                        <span className="block text-sm truncate">
+                            <code>{rule.match}</code> → {rule.replacement ? `"${rule.replacement}"` : '(silent)'}
+                        </span>
+                        <span className={`block text-xs ${theme.infoText}`}>
+                            {rule.isRegex ? 'regex' : 'whole word'}{rule.caseSensitive ? ', match case' : ''} · {describeScope(rule)}
+                        </span>
+                        <div className="flex gap-1 mt-1">
+                            <button onClick={() => onChange(rules.map(r => (r.id === rule.id ? { ...r, enabled: !r.enabled } : r)))} className={actionClass}>
+                                {rule.enabled ? 'Disable' : 'Enable'}
+                            </button>
+                            <button onClick={() => handleEdit(rule)} className={actionClass}>Edit</button>
+                            <button onClick={() => handleDelete(rule)} className={actionClass}>Delete</button>
+                        </div>
+                    </li>
+                ))}
+                {rules.length === 0 && (
+                    <li className={`p-2 text-sm ${theme.infoText}`}>No rules yet.</li>
+                )}
+            </ul>
+
+            <div className="flex gap-2 mt-2">
+                <label className={`${actionClass} cursor-pointer`}>
+                    Import JSON
+                    <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+                </label>
+                <button onClick={onExport} disabled={rules.length === 0} className={actionClass}>Export JSON</button>
+            </div>
+        </div>
+    );
+};
+
+export default PronunciationLexicon;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { formatDuration } from '../utils/readingStats';
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+// Counts and the estimated listening time of the script; while dictating, a progress bar with
+// elapsed and remaining time. The document's past listening sessions can be expanded below.
+const ReadingStats = ({
+    stats, // { words, characters, sentences }
+    estimate, // { seconds, wpm, samples } for the current voice and rate (samples = measured runs)
+    rate,
+    progress, // { fraction, elapsed, remaining } while dictating, else null
+    history, // The document's listening sessions, oldest first (null for a selection)
+    onClearHistory,
+    theme,
+}) => {
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+
+    if (progress) {
+        return (
+            <div className={`mt-3 text-sm ${theme.infoText}`}>
+                <div className={`h-2 w-full rounded-full overflow-hidden ${theme.sliderTrack}`}>
+                    <div className={`h-full ${theme.accentBg} transition-all duration-300`} style={{ width: percent(progress.fraction) }} />
+                </div>
+                <div className="mt-1 flex justify-between">
+                    <span>{formatDuration(progress.elapsed)} elapsed</span>
+                    <span>{percent(progress.fraction)}</span>
+                    <span>about {formatDuration(progress.remaining)} left</span>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className={`mt-3 text-sm ${theme.infoText}`}>
+            <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+                <span>{stats.words.toLocaleString()} words · {stats.characters.toLocaleString()} characters · {stats.sentences.toLocaleString()} sentences</span>
+                <span
+                    title={estimate.samples > 0
+                        ? `This voice averaged ${Math.round(estimate.wpm)} words per minute at normal speed over ${estimate.samples} measured run${estimate.samples === 1 ? '' : 's'}.`
+                        : `Not measured for this voice yet: assuming ${estimate.wpm} words per minute at normal speed. Finished runs refine it.`}
+                >
+                    · about {formatDuration(estimate.seconds)} at {rate.toFixed(1)}×{estimate.samples > 0 ? '' : ' (typical speed)'}
+                </span>
+                {history && history.length > 0 && (
+                    <button onClick={() => setIsHistoryOpen(open => !open)} className="underline">
+                        {isHistoryOpen ? 'Hide' : 'Show'} listening history ({history.length})
+                    </button>
+                )}
+            </div>
+            {isHistoryOpen && history && history.length > 0 && (
+                <div className={`mt-2 p-2 rounded-lg border ${theme.inputBorder} max-h-40 overflow-y-auto`}>
+                    <ul className="space-y-1">
+                        {[...history].reverse().map(entry => (
+                            <li key={entry.startedAt} className="flex flex-wrap justify-between gap-x-3">
+                                <span>{new Date(entry.startedAt).toLocaleString()}</span>
+                                <span>
+                                    {formatDuration(entry.duration)} · {entry.words} words · {entry.voice} at {entry.rate.toFixed(1)}×
+                                    · {percent(entry.from)}–{percent(entry.to)}{entry.completed ? ' (finished)' : ''}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                    <button
+                        onClick={() => window.confirm('Delete the listening history of this script?') && onClearHistory()}
+                        className="mt-2 underline"
+                    >
+                        Clear history
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReadingStats;
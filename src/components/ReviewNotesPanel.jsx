@@ -0,0 +1,67 @@
+import React from 'react';
+import { diffWords } from '../utils/textDiff';
+
+// Review notes collected while proofreading: flagged sentences (with an optional comment) and
+// sentences corrected during a pause, shown as a word diff against what was read.
+const ReviewNotesPanel = ({
+    notes, // [{ id, sentence, edited, flagged, comment, rawStart, createdAt }]
+    onJump, // Reads from the note's sentence
+    canJump,
+    onRemove,
+    onClear,
+    onCopy,
+    theme,
+}) => (
+    <aside className={`w-full md:w-72 flex-shrink-0 flex flex-col min-h-0 p-3 rounded-lg border ${theme.inputBorder} ${theme.inputBg}`}>
+        <div className="flex justify-between items-center mb-2">
+            <h3 className={`font-bold ${theme.headerAccent}`}>Review Notes ({notes.length})</h3>
+            <div className="flex gap-1">
+                <button
+                    onClick={onCopy}
+                    disabled={notes.length === 0}
+                    className={`px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`}
+                >
+                    Copy
+                </button>
+                <button
+                    onClick={() => window.confirm('Remove all review notes for this script?') && onClear()}
+                    disabled={notes.length === 0}
+                    className={`px-2 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`}
+                >
+                    Clear
+                </button>
+            </div>
+        </div>
+        {notes.length === 0 ? (
+            <p className={`text-sm ${theme.infoText}`}>
+                Flag sentences while proofreading to collect them here. Sentences you correct during a pause are listed with their changes.
+            </p>
+        ) : (
+            <ul className="space-y-2 overflow-y-auto">
+                {notes.map(note => (
+                    <li key={note.id} className={`p-2 rounded border ${theme.inputBorder} text-sm`}>
+                        <p className="break-words">
+                            {note.edited === null
+                                ? note.sentence
+                                : diffWords(note.sentence, note.edited).map((part, index) => (
+                                    part.type === 'same' ? <span key={index}>{part.text}</span>
+                                        : part.type === 'removed' ? <del key={index} className="text-red-500">{part.text}</del>
+                                            : <ins key={index} className="text-green-500 no-underline">{part.text}</ins>
+                                ))}
+                        </p>
+                        {note.comment && <p className={`mt-1 text-xs italic ${theme.infoText}`}>{note.comment}</p>}
+                        <div className={`mt-1 flex justify-between text-xs ${theme.infoText}`}>
+                            <span>{[note.flagged && 'Flagged', note.edited !== null && 'Edited'].filter(Boolean).join(', ')}</span>
+                            <span className="flex gap-2">
+                                <button onClick={() => onJump(note)} disabled={!canJump} className="underline disabled:opacity-50">Read</button>
+                                <button onClick={() => onRemove(note.id)} className="underline">Remove</button>
+                            </span>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </aside>
+);
+
+export default ReviewNotesPanel;
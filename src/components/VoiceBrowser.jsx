@@ -0,0 +1,144 @@
+import React, { useMemo, useState } from 'react';
+import { filterVoices, groupVoicesByLanguage, listVoiceLanguages, listVoiceRegions } from '../utils/voiceCatalog';
+
+const INITIAL_FILTERS = { query: '', lang: '', region: '', source: 'all', defaultOnly: false, favouritesOnly: false };
+
+const VoiceBrowser = ({
+    voices,
+    selectedVoice,
+    onSelect,
+    favourites, // Voice names
+    onToggleFavourite,
+    onPreview, // Starts (or, for the voice being previewed, stops) a sample sentence
+    previewingVoice, // Name of the voice currently previewing, if any
+    canPreview, // Previews are unavailable while dictating so they cannot interrupt it
+    theme,
+}) => {
+    const [filters, setFilters] = useState(INITIAL_FILTERS);
+
+    const languages = useMemo(() => listVoiceLanguages(voices), [voices]);
+    const regions = useMemo(() => listVoiceRegions(voices, filters.lang), [voices, filters.lang]);
+    const groups = useMemo(
+        () => groupVoicesByLanguage(filterVoices(voices, filters, favourites), favourites),
+        [voices, filters, favourites]
+    );
+    const matchCount = groups.reduce((sum, group) => sum + group.voices.length, 0);
+    const isFiltered = Object.keys(INITIAL_FILTERS).some(key => filters[key] !== INITIAL_FILTERS[key]);
+
+    const updateFilter = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+
+    const inputClass = `p-1 text-sm ${theme.inputBg} ${theme.text} rounded-lg border ${theme.inputBorder}`;
+    const smallButtonClass = `px-1.5 py-0.5 text-xs rounded ${theme.buttonSecondaryBg} ${theme.buttonSecondaryHover} ${theme.buttonSecondaryText} disabled:opacity-50`;
+
+    return (
+        <div>
+            <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => updateFilter({ query: e.target.value })}
+                placeholder="Search by name or language..."
+                className={`w-full mb-2 ${inputClass}`}
+                aria-label="Search voices"
+            />
+            <div className="grid grid-cols-2 gap-1 mb-2">
+                <select
+                    value={filters.lang}
+                    onChange={(e) => updateFilter({ lang: e.target.value, region: '' })}
+                    className={`${inputClass} cursor-pointer`}
+                    aria-label="Filter by language"
+                >
+                    <option value="">All languages</option>
+                    {languages.map(lang => <option key={lang.value} value={lang.value}>{lang.label}</option>)}
+                </select>
+                <select
+                    value={filters.region}
+                    onChange={(e) => updateFilter({ region: e.target.value })}
+                    className={`${inputClass} cursor-pointer`}
+                    aria-label="Filter by region"
+                    disabled={regions.length === 0}
+                >
+                    <option value="">All regions</option>
+                    {regions.map(region => <option key={region.value} value={region.value}>{region.label}</option>)}
+                </select>
+                <select
+                    value={filters.source}
+                    onChange={(e) => updateFilter({ source: e.target.value })}
+                    className={`${inputClass} cursor-pointer`}
+                    aria-label="Filter by voice source"
+                >
+                    <option value="all">On-device & network</option>
+                    <option value="local">On-device only</option>
+                    <option value="network">Network only</option>
+                </select>
+                <div className="flex flex-col justify-center text-xs">
+                    <label className="flex items-center gap-1 cursor-pointer">
+                        <input type="checkbox" checked={filters.favouritesOnly} onChange={(e) => updateFilter({ favouritesOnly: e.target.checked })} />
+                        Favourites
+                    </label>
+                    <label className="flex items-center gap-1 cursor-pointer">
+                        <input type="checkbox" checked={filters.defaultOnly} onChange={(e) => updateFilter({ defaultOnly: e.target.checked })} />
+                        Default only
+                    </label>
+                </div>
+            </div>
+            <div className={`flex justify-between text-xs mb-1 ${theme.infoText}`}>
+                <span>{matchCount} of {voices.length} voices</span>
+                {isFiltered && (
+                    <button onClick={() => setFilters(INITIAL_FILTERS)} className="underline">Clear filters</button>
+                )}
+            </div>
+            <div className={`max-h-72 overflow-y-auto rounded-lg border ${theme.inputBorder}`} role="listbox" aria-label="Voices">
+                {groups.length === 0 && (
+                    <p className={`p-2 text-sm ${theme.infoText}`}>No voices match these filters.</p>
+                )}
+                {groups.map(group => (
+                    <div key={group.lang}>
+                        <div className={`sticky top-0 px-2 py-1 text-xs font-semibold ${theme.inputBg} ${theme.infoText}`}>
+                            {group.label} ({group.voices.length})
+                        </div>
+                        <ul>
+                            {group.voices.map(voice => {
+                                const isSelected = voice.name === selectedVoice;
+                                const isFavourite = favourites.includes(voice.name);
+                                const isPreviewing = voice.name === previewingVoice;
+                                return (
+                                    <li
+                                        key={voice.name}
+                                        role="option"
+                                        aria-selected={isSelected}
+                                        className={`flex items-center gap-1 px-2 py-1 text-sm ${isSelected ? `${theme.accentBg} ${theme.onAccent}` : ''}`}
+                                    >
+                                        <button
+                                            onClick={() => onToggleFavourite(voice.name)}
+                                            className={isFavourite ? 'text-yellow-400' : theme.infoText}
+                                            title={isFavourite ? 'Remove from favourites' : 'Add to favourites'}
+                                            aria-pressed={isFavourite}
+                                        >
+                                            {isFavourite ? '★' : '☆'}
+                                        </button>
+                                        <button onClick={() => onSelect(voice.name)} className="flex-1 min-w-0 text-left truncate" title={voice.name}>
+                                            {voice.name}
+                                            <span className={`ml-1 text-xs ${isSelected ? '' : theme.infoText}`}>
+                                                {voice.lang}{voice.localService ? '' : ' · network'}{voice.default ? ' · default' : ''}
+                                            </span>
+                                        </button>
+                                        <button
+                                            onClick={() => onPreview(voice)}
+                                            disabled={!canPreview}
+                                            className={smallButtonClass}
+                                            title={canPreview ? 'Play a sample sentence' : 'Previews are unavailable while dictating'}
+                                        >
+                                            {isPreviewing ? 'Stop' : 'Preview'}
+                                        </button>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default VoiceBrowser;
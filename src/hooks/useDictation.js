@@ -0,0 +1,306 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// How often a failed chunk is retried before it is skipped
+const MAX_CHUNK_RETRIES = 1;
+// Chunks skipped in a row before playback gives up: the voice (or its server) is gone
+const MAX_CONSECUTIVE_SKIPS = 3;
+// Watchdog: an utterance that reports nothing for this long has stalled (Chrome silently stops
+// speaking after about 15 seconds). Until its first word event, the time to say the whole text
+// slowly is allowed on top, for voices without word events and engines that fetch audio first.
+const STALL_TIMEOUT_MS = 10000;
+const SLOW_MS_PER_CHARACTER = 150;
+const WATCHDOG_INTERVAL_MS = 1000;
+// Restarts of a stalled chunk (from its last word) before it counts as failed
+const MAX_STALL_RESTARTS = 2;
+
+// Dictation states and the actions each one allows; anything else is ignored.
+// 'finish' is the queue running out (the last utterance can end just as pause is pressed).
+// 'fail' is playback giving up; the error state lasts until the next start (the "try again").
+// A render ends in idle whether or not it worked: the caller reports errors, and retrying a
+// render is rendering again, not playing.
+const TRANSITIONS = {
+    idle: { play: 'speaking', render: 'rendering' },
+    speaking: { play: 'speaking', pause: 'paused', stop: 'idle', finish: 'idle', fail: 'error' },
+    paused: { play: 'speaking', resume: 'speaking', stop: 'idle', finish: 'idle', fail: 'error' },
+    rendering: { rendered: 'idle', stop: 'idle' },
+    error: { play: 'speaking', render: 'rendering', stop: 'idle' },
+};
+
+// What the controls can do in each state, so every button, shortcut and media key agrees.
+// busy: a session or render owns the text, voice and settings.
+export const DICTATION_CONTROLS = {
+    idle: { start: true, pause: false, stop: false, skip: false, listen: true, clear: true, render: true, busy: false },
+    speaking: { start: false, pause: true, stop: true, skip: true, listen: false, clear: false, render: false, busy: true },
+    paused: { start: true, pause: false, stop: true, skip: true, listen: false, clear: false, render: false, busy: true },
+    rendering: { start: false, pause: false, stop: true, skip: false, listen: false, clear: false, render: false, busy: true },
+    error: { start: true, pause: false, stop: false, skip: false, listen: true, clear: true, render: true, busy: false },
+};
+
+const noop = () => {};
+
+const advance = (queue) => {
+    queue.index += 1;
+    queue.retries = 0;
+    queue.stalls = 0;
+    queue.resumeFrom = 0;
+    queue.silenceDone = false;
+};
+
+// A failed (or stalled) utterance is retried, then skipped; too many skips in a row end playback
+const failChunk = (engine, queueRef, queue, part, voice, error, onDone) => {
+    const skipped = queue.retries >= MAX_CHUNK_RETRIES;
+    queue.onChunkError(part, { error, voice, skipped });
+    if (!skipped) {
+        queue.retries += 1;
+    } else {
+        queue.skips += 1;
+        if (queue.skips >= MAX_CONSECUTIVE_SKIPS) {
+            queueRef.current = null;
+            onDone(queue, error);
+            return;
+        }
+        advance(queue);
+    }
+    speakNext(engine, queueRef, queue, onDone);
+};
+
+// Speaks the queue's current chunk (after its <break> silence) and moves on when it ends.
+// Engine events are ignored once the queue is no longer the active one (stop, or a new play)
+// or the watchdog gave up on the utterance. onDone(queue, error) ends the queue.
+const speakNext = (engine, queueRef, queue, onDone) => {
+    if (queueRef.current !== queue) return;
+    queue.watch = null;
+    const chunk = queue.chunks[queue.index];
+    if (!chunk) {
+        queueRef.current = null;
+        onDone(queue, null);
+        return;
+    }
+
+    // <break> silences are timed here rather than spoken; pausing during one cancels the timer
+    if (chunk.pauseBefore > 0 && !queue.silenceDone) {
+        queue.silenceTimer = setTimeout(() => {
+            queue.silenceTimer = null;
+            queue.silenceDone = true;
+            speakNext(engine, queueRef, queue, onDone);
+        }, chunk.pauseBefore);
+        return;
+    }
+
+    // After a stall the chunk continues from the last word it reported
+    const part = queue.resumeFrom > 0
+        ? { ...chunk, text: chunk.text.slice(queue.resumeFrom), offset: chunk.offset + queue.resumeFrom, pauseBefore: 0 }
+        : chunk;
+    const utterance = queue.prepare(part);
+    const token = {};
+    queue.utterance = token;
+    const isActive = () => queueRef.current === queue && queue.utterance === token;
+    const watch = {
+        chunk,
+        part,
+        voice: utterance.voice,
+        lastWord: part.offset,
+        lastEventAt: Date.now(),
+        limit: STALL_TIMEOUT_MS + (part.text.length * SLOW_MS_PER_CHARACTER) / (utterance.rate || 1),
+    };
+    queue.watch = watch;
+    // Some engines fire both onerror and onend for the same utterance
+    let settled = false;
+
+    engine.speak(utterance, {
+        onStart: () => {
+            if (!isActive()) return;
+            watch.lastEventAt = Date.now();
+            queue.onChunkStart(part);
+            // Engines that fetch their audio can get the next chunk ready meanwhile
+            const next = queue.chunks[queue.index + 1];
+            if (next && engine.prefetch) engine.prefetch(queue.prepare(next));
+        },
+        onBoundary: (event) => {
+            if (!isActive() || event.name !== 'word') return;
+            watch.lastWord = part.offset + event.charIndex;
+            watch.lastEventAt = Date.now();
+            watch.limit = STALL_TIMEOUT_MS; // Words are coming: a long silence now means a stall
+            queue.onWord(part, watch.lastWord, event.charLength || 0);
+        },
+        onEnd: () => {
+            if (settled || !isActive()) return;
+            settled = true;
+            queue.onChunkEnd(part);
+            queue.skips = 0;
+            advance(queue);
+            speakNext(engine, queueRef, queue, onDone);
+        },
+        onError: ({ error }) => {
+            if (settled || !isActive()) return;
+            settled = true;
+            // Cancelling the queue (stop/restart) reports these; they are not failures
+            if (error === 'interrupted' || error === 'canceled') return;
+            failChunk(engine, queueRef, queue, part, utterance.voice, error, onDone);
+        },
+    });
+};
+
+// Run by the watchdog while speaking: a stalled utterance is cut off and its chunk restarted from
+// the last reported word, or counted as failed when restarting did not help
+const checkStall = (engine, queueRef, onDone) => {
+    const queue = queueRef.current;
+    const watch = queue && queue.watch;
+    if (!watch || Date.now() - watch.lastEventAt < watch.limit) return;
+    queue.utterance = null; // Its events, should it wake up, are ignored
+    queue.watch = null;
+    engine.cancel();
+    if (queue.stalls >= MAX_STALL_RESTARTS) {
+        queue.stalls = 0;
+        failChunk(engine, queueRef, queue, watch.part, watch.voice, 'stalled', onDone);
+        return;
+    }
+    queue.stalls += 1;
+    queue.resumeFrom = watch.lastWord - watch.chunk.offset;
+    speakNext(engine, queueRef, queue, onDone);
+};
+
+// Dictation playback through a SpeechEngine (see speechEngine.js): speaks a queue of chunks
+// ({ text, offset, pauseBefore } over some text) one utterance at a time, with <break> silences,
+// retries, pause and resume, and a watchdog that restarts stalled utterances. Rendering an audio
+// file goes through the same state machine, so it and dictation exclude each other.
+// What to say and how is up to the caller:
+// play({
+//     chunks,
+//     prepare: (chunk) => utterance,           // { text, voice, rate, pitch, volume } for the engine
+//     onChunkStart: (chunk) => {},
+//     onWord: (chunk, index, length) => {},    // index is in the chunks' text (chunk.offset + charIndex)
+//     onChunkEnd: (chunk) => {},
+//     onChunkError: (chunk, { error, voice, skipped }) => {}, // skipped: no more retries, moving on
+//     onFinish: () => {},                      // the whole queue was spoken (not called after stop or a new play)
+//     onFail: (error) => {},                   // playback gave up after repeated failures (state 'error')
+// })
+// A chunk restarted after a stall reaches the callbacks as the part still to be spoken.
+const useDictation = (engine) => {
+    const [status, setStatus] = useState('idle');
+    const statusRef = useRef('idle'); // For handlers running before the next render
+    const queueRef = useRef(null);
+
+    const transition = useCallback((action) => {
+        const next = TRANSITIONS[statusRef.current][action];
+        if (!next) return false;
+        statusRef.current = next;
+        setStatus(next);
+        return true;
+    }, []);
+
+    const dropQueue = useCallback(() => {
+        const queue = queueRef.current;
+        queueRef.current = null; // Before cancelling, so the cancelled utterance's events are ignored
+        if (queue && queue.silenceTimer) clearTimeout(queue.silenceTimer);
+        engine.cancel();
+    }, [engine]);
+
+    const handleDone = useCallback((queue, error) => {
+        if (error) {
+            transition('fail');
+            queue.onFail(error);
+        } else {
+            transition('finish');
+            queue.onFinish();
+        }
+    }, [transition]);
+
+    const play = useCallback((options) => {
+        if (!transition('play')) return;
+        dropQueue();
+        const queue = {
+            onChunkStart: noop,
+            onWord: noop,
+            onChunkEnd: noop,
+            onChunkError: noop,
+            onFinish: noop,
+            onFail: noop,
+            ...options,
+            index: 0,
+            retries: 0,
+            skips: 0,
+            stalls: 0,
+            resumeFrom: 0,
+            silenceDone: false,
+            silenceTimer: null,
+            isPausedInSilence: false,
+            utterance: null,
+            watch: null,
+        };
+        queueRef.current = queue;
+        speakNext(engine, queueRef, queue, handleDone);
+    }, [engine, transition, dropQueue, handleDone]);
+
+    const pause = useCallback(() => {
+        const queue = queueRef.current;
+        if (!queue || !transition('pause')) return;
+        if (queue.silenceTimer) {
+            // Paused during a <break>: the rest of the silence is skipped on resume
+            clearTimeout(queue.silenceTimer);
+            queue.silenceTimer = null;
+            queue.isPausedInSilence = true;
+        } else {
+            engine.pause();
+        }
+    }, [engine, transition]);
+
+    const resume = useCallback(() => {
+        const queue = queueRef.current;
+        if (!queue || !transition('resume')) return;
+        if (queue.isPausedInSilence) {
+            queue.isPausedInSilence = false;
+            queue.silenceDone = true;
+            speakNext(engine, queueRef, queue, handleDone);
+        } else {
+            if (queue.watch) queue.watch.lastEventAt = Date.now(); // The pause was not a stall
+            engine.resume();
+        }
+    }, [engine, transition, handleDone]);
+
+    const stop = useCallback(() => {
+        transition('stop');
+        dropQueue();
+    }, [transition, dropQueue]);
+
+    // Rendering a file: false when dictation (or another render) is in the way. It ends the same
+    // way whether the file was made or not.
+    const startRendering = useCallback(() => transition('render'), [transition]);
+    const finishRendering = useCallback(() => {
+        transition('rendered');
+    }, [transition]);
+
+    // The watchdog only runs while something should be audible
+    useEffect(() => {
+        if (status !== 'speaking') return undefined;
+        const intervalId = setInterval(() => checkStall(engine, queueRef, handleDone), WATCHDOG_INTERVAL_MS);
+        return () => clearInterval(intervalId);
+    }, [status, engine, handleDone]);
+
+    // Nothing keeps speaking after the component goes away or the engine is replaced
+    useEffect(() => () => {
+        const queue = queueRef.current;
+        queueRef.current = null;
+        if (queue) {
+            clearTimeout(queue.silenceTimer);
+            engine.cancel();
+        }
+        statusRef.current = 'idle';
+        setStatus('idle');
+    }, [engine]);
+
+    return {
+        status,
+        isSpeaking: status === 'speaking',
+        isPaused: status === 'paused',
+        isRendering: status === 'rendering',
+        play,
+        pause,
+        resume,
+        stop,
+        startRendering,
+        finishRendering,
+    };
+};
+
+export default useDictation;
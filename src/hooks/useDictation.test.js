@@ -0,0 +1,240 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useDictation from './useDictation';
+import { createFakeSpeechEngine, FAKE_VOICES } from '../utils/speechEngine';
+import { splitIntoChunks } from '../utils/textChunking';
+
+const MS_PER_CHARACTER = 10;
+
+// Chunks over text (from startAt on), offset into the whole text the way App builds its queue
+const chunksFor = (text, startAt = 0) => splitIntoChunks(text.slice(startAt))
+    .map(chunk => ({ ...chunk, offset: chunk.offset + startAt, pauseBefore: 0 }));
+
+const setup = (engineOptions = {}) => {
+    const engine = createFakeSpeechEngine({ msPerCharacter: MS_PER_CHARACTER, ...engineOptions });
+    const { result } = renderHook(() => useDictation(engine));
+    return { engine, result };
+};
+
+// play() with spies for every callback; words collects [index, length] pairs
+const startPlayback = (result, chunks) => {
+    const calls = {
+        words: [],
+        onChunkStart: vi.fn(),
+        onChunkEnd: vi.fn(),
+        onChunkError: vi.fn(),
+        onFinish: vi.fn(),
+        onFail: vi.fn(),
+    };
+    act(() => {
+        result.current.play({
+            chunks,
+            prepare: (chunk) => ({ text: chunk.text, voice: FAKE_VOICES[0], rate: 1, pitch: 1, volume: 1 }),
+            onWord: (chunk, index, length) => calls.words.push([index, length]),
+            onChunkStart: calls.onChunkStart,
+            onChunkEnd: calls.onChunkEnd,
+            onChunkError: calls.onChunkError,
+            onFinish: calls.onFinish,
+            onFail: calls.onFail,
+        });
+    });
+    return calls;
+};
+
+const advance = (ms) => act(() => {
+    vi.advanceTimersByTime(ms);
+});
+
+const wordsOf = (text, words) => words.map(([index, length]) => text.slice(index, index + length));
+
+beforeEach(() => {
+    vi.useFakeTimers();
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('useDictation', () => {
+    it('pauses and resumes where it left off', () => {
+        const text = 'Hello there world. Second sentence here.';
+        const { engine, result } = setup();
+        const calls = startPlayback(result, chunksFor(text));
+        expect(result.current.status).toBe('speaking');
+
+        advance(70); // Into "there"
+        act(() => result.current.pause());
+        expect(result.current.status).toBe('paused');
+        expect(engine.isPaused()).toBe(true);
+        const spokenBeforePause = calls.words.length;
+
+        advance(60000); // Nothing moves while paused, and the watchdog does not count it as a stall
+        expect(calls.words.length).toBe(spokenBeforePause);
+        expect(calls.onChunkError).not.toHaveBeenCalled();
+
+        act(() => result.current.resume());
+        expect(result.current.status).toBe('speaking');
+        advance(text.length * MS_PER_CHARACTER * 2);
+
+        expect(wordsOf(text, calls.words)).toEqual(['Hello', 'there', 'world.', 'Second', 'sentence', 'here.']);
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+        expect(result.current.status).toBe('idle');
+    });
+
+    it('ignores the interrupted and canceled events of a stopped queue', () => {
+        const text = 'One two three. Four five six.';
+        const { engine, result } = setup();
+        const calls = startPlayback(result, chunksFor(text));
+
+        advance(50);
+        act(() => result.current.stop());
+        expect(result.current.status).toBe('idle');
+        expect(engine.log.some(entry => entry.type === 'error')).toBe(true);
+
+        const spokenAtStop = calls.words.length;
+        advance(10000);
+        expect(calls.words.length).toBe(spokenAtStop);
+        expect(calls.onChunkError).not.toHaveBeenCalled();
+        expect(calls.onFail).not.toHaveBeenCalled();
+        expect(calls.onFinish).not.toHaveBeenCalled();
+        expect(engine.log.filter(entry => entry.type === 'start')).toHaveLength(1);
+    });
+
+    it('does not count an outside cancel as a failed chunk', () => {
+        const text = 'Cut off by another page.';
+        const { engine, result } = setup();
+        const calls = startPlayback(result, chunksFor(text));
+
+        advance(50);
+        engine.cancel(); // Another tab cancelling speech reports 'interrupted' to this utterance
+        expect(calls.onChunkError).not.toHaveBeenCalled();
+        expect(result.current.status).toBe('speaking');
+
+        // The watchdog picks the reading up again from the last word
+        advance(11000);
+        expect(calls.onChunkStart.mock.calls[1][0].text).toBe('off by another page.');
+        advance(1000);
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports positions in the whole text when starting part-way', () => {
+        const text = 'Skipped opening. Read from here. And on.';
+        const startAt = text.indexOf('Read');
+        const { result } = setup();
+        const calls = startPlayback(result, chunksFor(text, startAt));
+
+        advance(text.length * MS_PER_CHARACTER * 2);
+
+        expect(wordsOf(text, calls.words)).toEqual(['Read', 'from', 'here.', 'And', 'on.']);
+        expect(calls.onChunkStart.mock.calls.map(([chunk]) => chunk.offset)).toEqual([startAt, text.indexOf('And')]);
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+    });
+
+    it('reads a selection with offsets relative to the selected text', () => {
+        const selection = 'only these words';
+        const { result } = setup();
+        const calls = startPlayback(result, chunksFor(selection));
+
+        advance(selection.length * MS_PER_CHARACTER * 2);
+
+        expect(calls.words).toEqual([[0, 4], [5, 5], [11, 5]]);
+        expect(wordsOf(selection, calls.words)).toEqual(['only', 'these', 'words']);
+    });
+
+    it('skips the rest of a <break> silence that was paused', () => {
+        const { engine, result } = setup();
+        const calls = startPlayback(result, [{ text: 'After the break.', offset: 0, pauseBefore: 2000 }]);
+
+        advance(500);
+        act(() => result.current.pause());
+        expect(result.current.status).toBe('paused');
+        expect(engine.isPaused()).toBe(false); // Nothing was speaking, so the engine was left alone
+
+        advance(5000);
+        expect(engine.log).toHaveLength(0);
+
+        act(() => result.current.resume());
+        advance(1);
+        expect(engine.log[0].type).toBe('start');
+        expect(calls.onChunkStart).toHaveBeenCalledTimes(1);
+
+        advance(1000);
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a failing chunk once, then skips it and carries on', () => {
+        const { result } = setup({ failUtterance: (text) => (text.startsWith('Bad') ? 'synthesis-failed' : null) });
+        const calls = startPlayback(result, [
+            { text: 'Bad chunk.', offset: 0, pauseBefore: 0 },
+            { text: 'Good chunk.', offset: 11, pauseBefore: 0 },
+        ]);
+
+        advance(1000);
+
+        expect(calls.onChunkError.mock.calls.map(([chunk, { error, skipped }]) => [chunk.text, error, skipped])).toEqual([
+            ['Bad chunk.', 'synthesis-failed', false],
+            ['Bad chunk.', 'synthesis-failed', true],
+        ]);
+        expect(calls.onChunkStart.mock.calls.map(([chunk]) => chunk.text)).toEqual(['Good chunk.']);
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+        expect(result.current.status).toBe('idle');
+    });
+
+    it('gives up after three chunks in a row are skipped', () => {
+        const { engine, result } = setup({ failUtterance: (text) => (text.startsWith('Bad') ? 'network' : null) });
+        const calls = startPlayback(result, [
+            { text: 'Bad one.', offset: 0, pauseBefore: 0 },
+            { text: 'Bad two.', offset: 9, pauseBefore: 0 },
+            { text: 'Bad three.', offset: 18, pauseBefore: 0 },
+            { text: 'Never reached.', offset: 29, pauseBefore: 0 },
+        ]);
+
+        advance(1000);
+
+        expect(calls.onChunkError.mock.calls.filter(([, { skipped }]) => skipped)).toHaveLength(3);
+        expect(calls.onFail).toHaveBeenCalledWith('network');
+        expect(calls.onFinish).not.toHaveBeenCalled();
+        expect(result.current.status).toBe('error');
+        expect(engine.log.some(entry => entry.text === 'Never reached.')).toBe(false);
+
+        // The error state lasts until the next start
+        startPlayback(result, [{ text: 'Fine.', offset: 0, pauseBefore: 0 }]);
+        expect(result.current.status).toBe('speaking');
+    });
+
+    it('keeps playback out while rendering and ends a render in idle', () => {
+        const { result } = setup();
+        act(() => {
+            expect(result.current.startRendering()).toBe(true);
+        });
+        expect(result.current.status).toBe('rendering');
+
+        const calls = startPlayback(result, chunksFor('Not now.'));
+        advance(1000);
+        expect(calls.onChunkStart).not.toHaveBeenCalled();
+        expect(result.current.status).toBe('rendering');
+
+        act(() => result.current.finishRendering());
+        expect(result.current.status).toBe('idle');
+    });
+
+    it('restarts a stalled utterance from the last word it reported', () => {
+        const text = 'Alpha beta gamma delta.';
+        const { engine, result } = setup();
+        const calls = startPlayback(result, chunksFor(text));
+
+        advance(65); // "Alpha" and "beta" reported
+        engine.pause(); // The engine goes silent without telling anyone, like Chrome's 15-second cut-off
+
+        advance(11000);
+        expect(calls.onChunkStart).toHaveBeenCalledTimes(2);
+        const restarted = calls.onChunkStart.mock.calls[1][0];
+        expect(restarted.text).toBe('beta gamma delta.');
+        expect(restarted.offset).toBe(text.indexOf('beta'));
+
+        advance(1000);
+        expect(wordsOf(text, calls.words)).toEqual(['Alpha', 'beta', 'beta', 'gamma', 'delta.']);
+        expect(calls.onChunkError).not.toHaveBeenCalled();
+        expect(calls.onFinish).toHaveBeenCalledTimes(1);
+    });
+});
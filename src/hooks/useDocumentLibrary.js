@@ -0,0 +1,210 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import useLocalStorage from './useLocalStorage';
+import { createDocumentRecord, getAllDocuments, putDocument, removeDocument, clearDocuments } from '../utils/documentStore';
+
+// Before the library existed the whole script lived in this localStorage key
+const LEGACY_TEXT_KEY = 'dictatorText';
+// Typing is persisted after this pause instead of on every keystroke
+const SAVE_DELAY = 500;
+
+const readLegacyText = () => {
+    try {
+        const item = window.localStorage.getItem(LEGACY_TEXT_KEY);
+        return item ? JSON.parse(item) : null;
+    } catch (error) {
+        console.error(error);
+        return null;
+    }
+};
+
+const byLastOpened = (a, b) => b.lastOpenedAt - a.lastOpenedAt;
+
+// Shared across mounts so StrictMode's double effect cannot migrate the legacy text twice
+let libraryLoadPromise = null;
+
+const loadLibrary = (defaultText) => {
+    if (!libraryLoadPromise) {
+        libraryLoadPromise = (async () => {
+            const docs = await getAllDocuments();
+            if (docs.length > 0) return docs;
+
+            const legacyText = readLegacyText();
+            const first = createDocumentRecord(legacyText ? 'My Script' : 'Welcome', legacyText ?? defaultText);
+            await putDocument(first);
+            window.localStorage.removeItem(LEGACY_TEXT_KEY);
+            return [first];
+        })();
+        libraryLoadPromise.catch(() => {
+            libraryLoadPromise = null;
+        });
+    }
+    return libraryLoadPromise;
+};
+
+// Custom Hook for the multi-document script library stored in IndexedDB
+const useDocumentLibrary = (defaultText, onError) => {
+    const [documents, setDocuments] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [activeId, setActiveId] = useLocalStorage('dictatorActiveDocument', null);
+
+    // Mirrors `documents` so callbacks held by long-running sessions never see stale data
+    const documentsRef = useRef([]);
+    const saveTimersRef = useRef(new Map());
+    const onErrorRef = useRef(onError);
+
+    useEffect(() => {
+        onErrorRef.current = onError;
+    });
+
+    const reportError = useCallback((message, error) => {
+        console.error(error);
+        if (onErrorRef.current) onErrorRef.current(`${message}: ${error.message}`);
+    }, []);
+
+    const commit = useCallback((nextDocuments) => {
+        documentsRef.current = nextDocuments;
+        setDocuments(nextDocuments);
+    }, []);
+
+    const persist = useCallback((doc) => {
+        putDocument(doc).catch(error => reportError(`Could not save "${doc.name}"`, error));
+    }, [reportError]);
+
+    const scheduleSave = useCallback((id) => {
+        const timers = saveTimersRef.current;
+        clearTimeout(timers.get(id));
+        timers.set(id, setTimeout(() => {
+            timers.delete(id);
+            const doc = documentsRef.current.find(d => d.id === id);
+            if (doc) persist(doc);
+        }, SAVE_DELAY));
+    }, [persist]);
+
+    // Initial load (and one-time migration of the legacy localStorage text)
+    useEffect(() => {
+        let cancelled = false;
+        loadLibrary(defaultText)
+            .then((docs) => {
+                if (!cancelled) commit(docs);
+            })
+            .catch((error) => {
+                reportError('Could not open the document library (changes will not be saved)', error);
+                if (!cancelled) commit([createDocumentRecord('Unsaved Script', readLegacyText() ?? defaultText)]);
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [defaultText, commit, reportError]);
+
+    // Write pending edits before the page goes away
+    useEffect(() => {
+        const timers = saveTimersRef.current;
+        const flush = () => {
+            for (const [id, timer] of timers) {
+                clearTimeout(timer);
+                const doc = documentsRef.current.find(d => d.id === id);
+                if (doc) persist(doc);
+            }
+            timers.clear();
+        };
+        window.addEventListener('pagehide', flush);
+        return () => {
+            window.removeEventListener('pagehide', flush);
+            flush();
+        };
+    }, [persist]);
+
+    const sortedDocuments = useMemo(() => [...documents].sort(byLastOpened), [documents]);
+
+    const activeDocument = useMemo(
+        () => documents.find(d => d.id === activeId) || sortedDocuments[0] || null,
+        [documents, sortedDocuments, activeId]
+    );
+
+    const updateDocument = useCallback((id, patch) => {
+        if (!documentsRef.current.some(d => d.id === id)) return;
+        commit(documentsRef.current.map(d => (d.id === id ? { ...d, ...patch } : d)));
+        scheduleSave(id);
+    }, [commit, scheduleSave]);
+
+    const openDocument = useCallback((id) => {
+        setActiveId(id);
+        updateDocument(id, { lastOpenedAt: Date.now() });
+    }, [setActiveId, updateDocument]);
+
+    const addDocument = useCallback((doc) => {
+        commit([...documentsRef.current, doc]);
+        persist(doc);
+        setActiveId(doc.id);
+        return doc;
+    }, [commit, persist, setActiveId]);
+
+    const createDocument = useCallback((name, text = '') => (
+        addDocument(createDocumentRecord(name, text))
+    ), [addDocument]);
+
+    const duplicateDocument = useCallback((id) => {
+        const source = documentsRef.current.find(d => d.id === id);
+        if (!source) return null;
+        return addDocument({ ...source, ...createDocumentRecord(`${source.name} (copy)`, source.text), cast: source.cast || {}, presetId: source.presetId || null, reviewNotes: source.reviewNotes || [] });
+    }, [addDocument]);
+
+    const renameDocument = useCallback((id, name) => {
+        updateDocument(id, { name, updatedAt: Date.now() });
+    }, [updateDocument]);
+
+    const deleteDocument = useCallback((id) => {
+        clearTimeout(saveTimersRef.current.get(id));
+        saveTimersRef.current.delete(id);
+        const remaining = documentsRef.current.filter(d => d.id !== id);
+        removeDocument(id).catch(error => reportError('Could not delete the document', error));
+
+        if (remaining.length === 0) {
+            commit([]);
+            createDocument('Untitled Script');
+            return;
+        }
+        commit(remaining);
+        if (activeDocument && activeDocument.id === id) {
+            setActiveId([...remaining].sort(byLastOpened)[0].id);
+        }
+    }, [activeDocument, commit, createDocument, reportError, setActiveId]);
+
+    // Editing the text invalidates the saved reading position
+    const setActiveText = useCallback((text) => {
+        if (!activeDocument) return;
+        updateDocument(activeDocument.id, { text, lastPosition: null, updatedAt: Date.now() });
+    }, [activeDocument, updateDocument]);
+
+    // Used by "Clear All Saved Data": wipes the library and starts over with one document
+    const resetLibrary = useCallback(async () => {
+        for (const timer of saveTimersRef.current.values()) clearTimeout(timer);
+        saveTimersRef.current.clear();
+        try {
+            await clearDocuments();
+        } catch (error) {
+            reportError('Could not clear the document library', error);
+        }
+        commit([]);
+        createDocument('Welcome', defaultText);
+    }, [commit, createDocument, defaultText, reportError]);
+
+    return {
+        documents: sortedDocuments,
+        activeDocument,
+        isLoading,
+        openDocument,
+        createDocument,
+        duplicateDocument,
+        renameDocument,
+        deleteDocument,
+        updateDocument,
+        setActiveText,
+        resetLibrary,
+    };
+};
+
+export default useDocumentLibrary;
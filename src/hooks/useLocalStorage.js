@@ -0,0 +1,34 @@
+import { useState, useCallback } from 'react';
+
+// Custom Hook for Local Storage (for settings and text persistence)
+const useLocalStorage = (key, initialValue) => {
+    const [storedValue, setStoredValue] = useState(() => {
+        try {
+            const item = window.localStorage.getItem(key);
+            // Handle boolean initialValue specifically to avoid `true` being parsed as "true" string
+            if (typeof initialValue === 'boolean' && item !== null) {
+                return JSON.parse(item);
+            }
+            return item ? JSON.parse(item) : initialValue;
+        } catch (error) {
+            console.error(error);
+            return initialValue;
+        }
+    });
+
+    // Stable across renders, and functional updates see the latest value rather than this render's
+    const setValue = useCallback((value) => {
+        setStoredValue(previous => {
+            const valueToStore = value instanceof Function ? value(previous) : value;
+            try {
+                window.localStorage.setItem(key, JSON.stringify(valueToStore));
+            } catch (error) {
+                console.error(error);
+            }
+            return valueToStore;
+        });
+    }, [key]);
+    return [storedValue, setValue];
+};
+
+export default useLocalStorage;
@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+// Tracks whether a CSS media query matches (e.g. '(prefers-color-scheme: dark)')
+const useMediaQuery = (query) => {
+    const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+
+    useEffect(() => {
+        const mediaQuery = window.matchMedia(query);
+        const handleChange = () => setMatches(mediaQuery.matches);
+        handleChange();
+        mediaQuery.addEventListener('change', handleChange);
+        return () => mediaQuery.removeEventListener('change', handleChange);
+    }, [query]);
+
+    return matches;
+};
+
+export default useMediaQuery;
@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createRecognizer, isSpeechRecognitionSupported } from '../utils/speechRecognizer';
+import { insertTranscript } from '../utils/dictationCommands';
+
+const getSelection = (textarea, text) => (
+    textarea ? { start: textarea.selectionStart, end: textarea.selectionEnd } : { start: text.length, end: text.length }
+);
+
+// Listen mode: streams recognized speech into the text at the textarea's cursor.
+// Each phrase is spliced into a snapshot of the text taken when the phrase began, so interim
+// results simply replace one another until the final result commits the phrase.
+const useSpeechDictation = ({ lang, text, setText, textareaRef, onError }) => {
+    const [isListening, setIsListening] = useState(false);
+    const recognizerRef = useRef(null);
+    const wantsListeningRef = useRef(false); // Cleared by stop() and fatal errors; otherwise auto-restart
+    const phraseRef = useRef(null); // { base, start, end, result } for the phrase being heard
+    const latestRef = useRef({ text, setText, onError });
+    latestRef.current = { text, setText, onError };
+
+    const write = useCallback((transcript, isFinal) => {
+        const { text: currentText, setText: updateText } = latestRef.current;
+        let phrase = phraseRef.current;
+        // The user edited the text since the last result: start over from the current cursor
+        if (!phrase || phrase.result !== currentText) {
+            const { start, end } = getSelection(textareaRef.current, currentText);
+            phrase = { base: currentText, start, end, result: currentText };
+        }
+        if (!transcript.trim() && !isFinal) {
+            // Interim results were withdrawn; restore the text without them
+            if (phrase.result !== phrase.base) updateText(phrase.base);
+            phraseRef.current = { ...phrase, result: phrase.base };
+            return;
+        }
+        const { text: nextText, cursor } = insertTranscript(phrase.base, phrase.start, phrase.end, transcript, lang);
+        updateText(nextText);
+        latestRef.current.text = nextText; // Results can arrive before the next render
+        // After React has rendered the new text
+        requestAnimationFrame(() => {
+            if (textareaRef.current) textareaRef.current.setSelectionRange(cursor, cursor);
+        });
+        phraseRef.current = isFinal
+            ? { base: nextText, start: cursor, end: cursor, result: nextText }
+            : { ...phrase, result: nextText };
+    }, [lang, textareaRef]);
+
+    const startRecognizer = useCallback(() => {
+        const recognizer = createRecognizer({
+            lang,
+            onInterim: (transcript) => write(transcript, false),
+            onFinal: (transcript) => write(transcript, true),
+            onError: ({ code, message, isFatal }) => {
+                if (isFatal) wantsListeningRef.current = false;
+                // Pauses in speech are normal while dictating
+                if (code !== 'no-speech') latestRef.current.onError(message);
+            },
+            onEnd: () => {
+                if (recognizerRef.current !== recognizer) return;
+                // Browsers end continuous recognition after a silence; keep going until stopped
+                if (wantsListeningRef.current) {
+                    try {
+                        recognizer.start();
+                        return;
+                    } catch (err) {
+                        console.error(err);
+                    }
+                }
+                recognizerRef.current = null;
+                phraseRef.current = null;
+                setIsListening(false);
+            },
+        });
+        recognizerRef.current = recognizer;
+        recognizer.start();
+    }, [lang, write]);
+
+    const start = useCallback(() => {
+        if (recognizerRef.current) return;
+        try {
+            wantsListeningRef.current = true;
+            phraseRef.current = null;
+            startRecognizer();
+            setIsListening(true);
+        } catch (err) {
+            wantsListeningRef.current = false;
+            recognizerRef.current = null;
+            latestRef.current.onError(err.message);
+        }
+    }, [startRecognizer]);
+
+    const stop = useCallback(() => {
+        wantsListeningRef.current = false;
+        if (recognizerRef.current) recognizerRef.current.stop(); // onEnd finishes the cleanup
+    }, []);
+
+    // A new language (the voice changed) needs a new recognizer
+    useEffect(() => {
+        const recognizer = recognizerRef.current;
+        if (!recognizer) return;
+        recognizerRef.current = null;
+        recognizer.stop();
+        try {
+            startRecognizer();
+        } catch (err) {
+            wantsListeningRef.current = false;
+            setIsListening(false);
+            latestRef.current.onError(err.message);
+        }
+    }, [startRecognizer]);
+
+    // Stop listening when the component goes away
+    useEffect(() => () => {
+        wantsListeningRef.current = false;
+        if (recognizerRef.current) recognizerRef.current.stop();
+    }, []);
+
+    return { isListening, isSupported: isSpeechRecognitionSupported(), start, stop };
+};
+
+export default useSpeechDictation;
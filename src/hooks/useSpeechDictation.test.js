@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import useSpeechDictation from './useSpeechDictation';
+import { createFakeRecognizer, setRecognizerFactory } from '../utils/speechRecognizer';
+
+let fake;
+
+// The hook over text kept in state, with the cursor at `cursor` in a textarea holding the text
+const setup = (initialText, cursor = initialText.length) => {
+    const textarea = document.createElement('textarea');
+    textarea.value = initialText;
+    textarea.setSelectionRange(cursor, cursor);
+    const textareaRef = { current: textarea }; // Stable, like App's ref
+    const onError = vi.fn();
+    const { result } = renderHook(() => {
+        const [text, setText] = useState(initialText);
+        return { text, ...useSpeechDictation({ lang: 'en-US', text, setText, textareaRef, onError }) };
+    });
+    act(() => result.current.start());
+    return { result, onError };
+};
+
+// Every recognizer event goes through React state
+const hear = (transcript) => act(() => fake.hear(transcript));
+const say = (transcript) => act(() => fake.say(transcript));
+
+beforeEach(() => {
+    fake = createFakeRecognizer();
+    setRecognizerFactory(fake.factory);
+});
+
+afterEach(() => {
+    setRecognizerFactory(null);
+});
+
+describe('useSpeechDictation', () => {
+    it('replaces interim results until the final one commits the phrase', () => {
+        const { result } = setup('Hello world.');
+        expect(result.current.isListening).toBe(true);
+
+        hear('this is');
+        expect(result.current.text).toBe('Hello world. This is');
+        hear('this is a test');
+        expect(result.current.text).toBe('Hello world. This is a test');
+        say('this is a test period');
+        expect(result.current.text).toBe('Hello world. This is a test.');
+
+        // The next phrase follows the committed one
+        hear('next');
+        expect(result.current.text).toBe('Hello world. This is a test. Next');
+        say('next one');
+        expect(result.current.text).toBe('Hello world. This is a test. Next one');
+    });
+
+    it('splices phrases in at the cursor and withdraws interim results', () => {
+        const { result } = setup('Start end.', 6);
+
+        hear('middle');
+        expect(result.current.text).toBe('Start middle end.');
+        hear('');
+        expect(result.current.text).toBe('Start end.');
+
+        say('middle part');
+        say('comma more');
+        expect(result.current.text).toBe('Start middle part, more end.');
+    });
+
+    it('restarts after an error or a silence until stopped', () => {
+        const { result, onError } = setup('');
+
+        act(() => fake.fail('network'));
+        expect(onError).toHaveBeenCalledWith('Speech recognition needs a network connection in this browser.');
+        expect(fake.isListening()).toBe(true);
+        expect(result.current.isListening).toBe(true);
+
+        act(() => fake.fail('no-speech')); // Pauses are normal while dictating
+        act(() => fake.end());
+        expect(onError).toHaveBeenCalledTimes(1);
+        expect(fake.log.filter(entry => entry.type === 'start')).toHaveLength(4);
+
+        say('still here');
+        expect(result.current.text).toBe('Still here');
+
+        act(() => result.current.stop());
+        expect(fake.isListening()).toBe(false);
+        expect(result.current.isListening).toBe(false);
+    });
+
+    it('stops listening after a fatal error', () => {
+        const { result, onError } = setup('');
+
+        act(() => fake.fail('not-allowed'));
+        expect(onError).toHaveBeenCalledWith('Microphone access was denied.');
+        expect(fake.isListening()).toBe(false);
+        expect(result.current.isListening).toBe(false);
+        expect(fake.log.filter(entry => entry.type === 'start')).toHaveLength(1);
+    });
+});
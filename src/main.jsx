@@ -2,6 +2,15 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './utils/serviceWorker'
+import { setSpeechEngine, createFakeSpeechEngine } from './utils/speechEngine'
+
+registerServiceWorker()
+
+// Development aid: ?engine=fake dictates silently with the deterministic fake engine
+if (import.meta.env.DEV && new URLSearchParams(window.location.search).get('engine') === 'fake') {
+  setSpeechEngine(createFakeSpeechEngine())
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
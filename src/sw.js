@@ -0,0 +1,60 @@
+// Service worker: precaches the whole build so the app loads and dictates with on-device voices
+// without a network. Not bundled with the app: the build (vite.config.js) replaces the
+// placeholder below with { version, files } and emits this file as /sw.js.
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'dictator-precache-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_MANIFEST.version}`;
+
+const toUrl = (file) => new URL(file, self.registration.scope).href;
+const PRECACHE_URLS = new Set(PRECACHE_MANIFEST.files.map(toUrl));
+const APP_SHELL_URL = toUrl('index.html');
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll([...PRECACHE_URLS])));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        // Take over pages opened before the first install so they work offline right away
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting (newer) worker to take over when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') self.skipWaiting();
+});
+
+// Navigations go to the network first, so a deploy shows up on the next load, and fall back to
+// the cached app shell offline. Precached (content-hashed) files are served from the cache.
+// Everything else (voices fetched by the browser, other origins) goes to the network.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith((async () => {
+            try {
+                return await fetch(request);
+            } catch (err) {
+                const cached = await caches.match(APP_SHELL_URL, { cacheName: CACHE_NAME });
+                if (cached) return cached;
+                throw err;
+            }
+        })());
+        return;
+    }
+
+    const cacheUrl = request.url.split('#')[0];
+    if (!PRECACHE_URLS.has(cacheUrl)) return;
+
+    event.respondWith((async () => {
+        const cached = await caches.match(cacheUrl, { cacheName: CACHE_NAME });
+        return cached || fetch(request);
+    })());
+});
@@ -0,0 +1,211 @@
+// Audio file export: renders text through a synthesis engine, mixes the PCM with the
+// Web Audio API (applying volume) and encodes the result as WAV, MP3 or OGG.
+
+import { splitIntoChunks } from './textChunking';
+
+export const AUDIO_EXPORT_FORMATS = {
+    wav: { label: 'WAV (lossless)', extension: 'wav', mimeType: 'audio/wav' },
+    mp3: { label: 'MP3 (128 kbps)', extension: 'mp3', mimeType: 'audio/mpeg' },
+    ogg: { label: 'OGG (Opus)', extension: 'ogg', mimeType: 'audio/ogg;codecs=opus' },
+};
+
+// Silence inserted between synthesized segments, in seconds
+const SEGMENT_GAP = 0.15;
+// Longer segments make eSpeak-style engines block the UI for too long
+const MAX_SEGMENT_LENGTH = 400;
+
+const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) {
+        throw new DOMException('Audio generation was cancelled.', 'AbortError');
+    }
+};
+
+// Gives React a chance to paint progress between synchronous engine calls
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+export const isAudioFormatSupported = (format) => {
+    if (format === 'ogg') {
+        return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(AUDIO_EXPORT_FORMATS.ogg.mimeType);
+    }
+    return Boolean(AUDIO_EXPORT_FORMATS[format]);
+};
+
+// Synthesizes the text and mixes it into a single AudioBuffer. Returns { audioBuffer, timings }
+// where timings are [{ offset, length, start, end }]: where each synthesized segment of the text
+// plays in the file, in seconds (for caption export).
+export const renderSpeech = async (engine, text, { lang, rate, pitch, volume, onProgress, signal } = {}) => {
+    const segments = splitIntoChunks(text, MAX_SEGMENT_LENGTH, lang);
+    if (segments.length === 0) throw new Error('There is no speakable text to render.');
+
+    const rendered = [];
+    for (let i = 0; i < segments.length; i++) {
+        throwIfAborted(signal);
+        rendered.push(await engine.synthesize(segments[i].text, { lang, rate, pitch }));
+        if (onProgress) onProgress({ stage: 'Synthesizing', progress: (i + 1) / segments.length });
+        await nextTick();
+    }
+    throwIfAborted(signal);
+
+    const sampleRate = rendered[0].sampleRate;
+    const gapFrames = Math.round(SEGMENT_GAP * sampleRate);
+    const totalFrames = rendered.reduce(
+        (sum, pcm) => sum + Math.ceil(pcm.samples.length * sampleRate / pcm.sampleRate) + gapFrames, 0
+    );
+
+    if (onProgress) onProgress({ stage: 'Mixing', progress: 0 });
+    const context = new OfflineAudioContext(1, totalFrames, sampleRate);
+    const gain = context.createGain();
+    gain.gain.value = volume;
+    gain.connect(context.destination);
+
+    const timings = [];
+    let startTime = 0;
+    rendered.forEach((pcm, i) => {
+        const buffer = context.createBuffer(1, pcm.samples.length, pcm.sampleRate);
+        buffer.copyToChannel(pcm.samples, 0);
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(gain);
+        source.start(startTime);
+        timings.push({ offset: segments[i].offset, length: segments[i].text.length, start: startTime, end: startTime + buffer.duration });
+        startTime += buffer.duration + SEGMENT_GAP;
+    });
+
+    const audioBuffer = await context.startRendering();
+    if (onProgress) onProgress({ stage: 'Mixing', progress: 1 });
+    return { audioBuffer, timings };
+};
+
+const floatTo16BitPcm = (samples) => {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = s < 0 ? s * 0x8000 : s * 0x7fff;
+    }
+    return pcm;
+};
+
+const encodeWav = (audioBuffer) => {
+    const samples = floatTo16BitPcm(audioBuffer.getChannelData(0));
+    const dataSize = samples.length * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // mono
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * 2, true); // byte rate
+    view.setUint16(32, 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    new Int16Array(view.buffer, 44).set(samples);
+
+    return new Blob([view], { type: AUDIO_EXPORT_FORMATS.wav.mimeType });
+};
+
+const encodeMp3 = async (audioBuffer, { onProgress, signal }) => {
+    const { Mp3Encoder } = await import('@breezystack/lamejs');
+    const encoder = new Mp3Encoder(1, audioBuffer.sampleRate, 128);
+    const samples = floatTo16BitPcm(audioBuffer.getChannelData(0));
+    const blockSize = 1152;
+    const blocksPerTick = 200;
+    const chunks = [];
+
+    for (let i = 0; i < samples.length; i += blockSize) {
+        const encoded = encoder.encodeBuffer(samples.subarray(i, i + blockSize));
+        if (encoded.length > 0) chunks.push(new Uint8Array(encoded));
+        if ((i / blockSize) % blocksPerTick === 0) {
+            throwIfAborted(signal);
+            if (onProgress) onProgress({ stage: 'Encoding', progress: i / samples.length });
+            await nextTick();
+        }
+    }
+    const tail = encoder.flush();
+    if (tail.length > 0) chunks.push(new Uint8Array(tail));
+
+    return new Blob(chunks, { type: AUDIO_EXPORT_FORMATS.mp3.mimeType });
+};
+
+// Browsers have no offline Opus encoder, so the buffer is played silently into a MediaRecorder.
+// This runs in real time.
+const encodeOgg = (audioBuffer, { onProgress, signal }) => new Promise((resolve, reject) => {
+    const context = new AudioContext({ sampleRate: audioBuffer.sampleRate });
+    const destination = context.createMediaStreamDestination();
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(destination);
+
+    const recorder = new MediaRecorder(destination.stream, { mimeType: AUDIO_EXPORT_FORMATS.ogg.mimeType });
+    const chunks = [];
+    let progressTimer = null;
+    let cancelled = false;
+
+    const cleanup = () => {
+        clearInterval(progressTimer);
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        context.close();
+    };
+    const handleAbort = () => {
+        cancelled = true;
+        source.stop();
+    };
+
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        cleanup();
+        if (cancelled) {
+            reject(new DOMException('Audio generation was cancelled.', 'AbortError'));
+        } else {
+            resolve(new Blob(chunks, { type: AUDIO_EXPORT_FORMATS.ogg.mimeType }));
+        }
+    };
+    recorder.onerror = (e) => {
+        cleanup();
+        reject(e.error || new Error('Recording the OGG stream failed.'));
+    };
+    source.onended = () => recorder.stop();
+
+    if (signal) signal.addEventListener('abort', handleAbort);
+    recorder.start();
+    source.start();
+    const startedAt = context.currentTime;
+    progressTimer = setInterval(() => {
+        if (onProgress) {
+            onProgress({ stage: 'Encoding', progress: Math.min((context.currentTime - startedAt) / audioBuffer.duration, 1) });
+        }
+    }, 250);
+});
+
+export const encodeAudioBuffer = async (audioBuffer, format, options = {}) => {
+    switch (format) {
+        case 'mp3':
+            return encodeMp3(audioBuffer, options);
+        case 'ogg':
+            return encodeOgg(audioBuffer, options);
+        case 'wav':
+        default:
+            return encodeWav(audioBuffer);
+    }
+};
+
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
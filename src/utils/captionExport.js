@@ -0,0 +1,255 @@
+// Caption export: word and cue timings from a dictation run or a rendered audio file, written
+// as SubRip, WebVTT, JSON word timings or karaoke LRC.
+//
+// A run is recorded as spans, one per utterance (or rendered segment):
+// { context, offset, length, start, end, events, interrupted }
+// where [offset, offset + length) is in context.spoken.text, start/end are seconds on the run's
+// clock, and events are the word boundary events [{ index, length, time }] the engine reported.
+// Words without a boundary event are spread over the time around them by length.
+// context is { spoken, cleaned, sentences } as they were when the span was spoken.
+
+import { toCleanIndex } from './textCleaning';
+import { findSentenceIndex } from './textSegmentation';
+
+export const CAPTION_FORMATS = {
+    srt: { label: 'SubRip (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+    json: { label: 'Word timings (.json)', extension: 'json', mimeType: 'application/json' },
+    lrc: { label: 'Karaoke lyrics (.lrc)', extension: 'lrc', mimeType: 'text/plain' },
+};
+
+// Common subtitle limits: two lines of 42 characters, on screen for at most 7 seconds
+const MAX_LINE_LENGTH = 42;
+const MAX_CUE_LENGTH = MAX_LINE_LENGTH * 2;
+const MAX_CUE_DURATION = 7;
+
+// Times a dictation run. The clock only runs while speaking, so a paused run produces the
+// timeline of an uninterrupted recording.
+export const createTimingRecorder = () => {
+    const spans = [];
+    let elapsed = 0;
+    let runningSince = null;
+    let openSpan = null;
+
+    const now = () => elapsed + (runningSince === null ? 0 : (performance.now() - runningSince) / 1000);
+    const closeOpenSpan = () => {
+        if (!openSpan) return;
+        openSpan.end = now();
+        openSpan.interrupted = true;
+        openSpan = null;
+    };
+
+    return {
+        resume: () => {
+            if (runningSince === null) runningSince = performance.now();
+        },
+        pause: () => {
+            elapsed = now();
+            runningSince = null;
+        },
+        // Only one utterance speaks at a time: one that never ended was cut off by this one
+        startSpan: (context, offset, length) => {
+            closeOpenSpan();
+            openSpan = { context, offset, length, start: now(), end: null, events: [], interrupted: false };
+            spans.push(openSpan);
+            return openSpan;
+        },
+        markWord: (span, index, length) => {
+            span.events.push({ index, length, time: now() });
+        },
+        endSpan: (span) => {
+            span.end = now();
+            if (openSpan === span) openSpan = null;
+        },
+        // Failed utterances are retried or skipped; their partial timing is not kept
+        discardSpan: (span) => {
+            const index = spans.indexOf(span);
+            if (index !== -1) spans.splice(index, 1);
+            if (openSpan === span) openSpan = null;
+        },
+        elapsed: () => now(),
+        finish: () => {
+            closeOpenSpan();
+            return spans;
+        },
+    };
+};
+
+// Spreads the start times of words [from, to) over [startTime, endTime) in proportion to their length
+const spreadTimes = (words, from, to, startTime, endTime) => {
+    let total = 0;
+    for (let i = from; i < to; i++) total += words[i].length + 1;
+    let done = 0;
+    for (let i = from; i < to; i++) {
+        words[i].start = startTime + (endTime - startTime) * (done / total);
+        done += words[i].length + 1;
+    }
+};
+
+// Timed words of one span in spoken-text positions: [{ index, length, start, end }]
+const timeSpanWords = (span) => {
+    const spokenText = span.context.spoken.text;
+    let words = Array.from(spokenText.slice(span.offset, span.offset + span.length).matchAll(/\S+/g), match => ({
+        index: span.offset + match.index,
+        length: match[0].length,
+        start: null,
+    }));
+    if (words.length === 0) return [];
+
+    // A boundary event times the word it falls in
+    let lastTimed = -1;
+    for (const event of span.events) {
+        const wordIndex = words.findIndex(word => event.index < word.index + word.length);
+        if (wordIndex === -1 || words[wordIndex].start !== null) continue;
+        words[wordIndex].start = event.time;
+        lastTimed = Math.max(lastTimed, wordIndex);
+    }
+    // An utterance cut off mid-way was only spoken up to its last reported word
+    if (span.interrupted && lastTimed !== -1) words = words.slice(0, lastTimed + 1);
+
+    // Untimed runs between timed words (or the span edges) share the time around them
+    if (words[0].start === null) words[0].start = span.start;
+    let anchor = 0;
+    for (let i = 1; i <= words.length; i++) {
+        if (i < words.length && words[i].start === null) continue;
+        if (i - anchor > 1) {
+            // The timed word keeps its start; the run after it follows in proportion
+            spreadTimes(words, anchor, i, words[anchor].start, i < words.length ? words[i].start : span.end);
+        }
+        anchor = i;
+    }
+    words.forEach((word, i) => {
+        word.end = i + 1 < words.length ? words[i + 1].start : span.end;
+    });
+    return words;
+};
+
+// The words as written (cleaned text, before pronunciation rules) rather than as spoken
+const toDisplayWord = (word, context) => {
+    const { spoken, cleaned, sentences } = context;
+    const rawStart = spoken.rawStart[word.index];
+    const rawEnd = spoken.rawEnd[word.index + word.length - 1];
+    const cleanStart = toCleanIndex(cleaned, rawStart);
+    const cleanEnd = Math.max(toCleanIndex(cleaned, rawEnd - 1) + 1, cleanStart);
+    return {
+        text: cleaned.text.slice(cleanStart, cleanEnd).replace(/\s+/g, ' ').trim(),
+        start: word.start,
+        end: word.end,
+        rawStart,
+        rawEnd,
+        sentence: findSentenceIndex(sentences, rawStart),
+        context,
+    };
+};
+
+// Cues follow sentences, split where a sentence is too long to read in one go
+const buildCues = (words) => {
+    const cues = [];
+    let cue = null;
+    for (const word of words) {
+        const sameSentence = cue && word.context === cue.context && word.sentence === cue.sentence;
+        const fits = cue && cue.text.length + 1 + word.text.length <= MAX_CUE_LENGTH && word.end - cue.start <= MAX_CUE_DURATION;
+        if (sameSentence && fits) {
+            cue.text += ` ${word.text}`;
+            cue.end = word.end;
+            cue.words.push(word);
+        } else {
+            cue = { start: word.start, end: word.end, text: word.text, words: [word], context: word.context, sentence: word.sentence };
+            cues.push(cue);
+        }
+    }
+    return cues.map(({ start, end, text, words: cueWords }) => ({ start, end, text, words: cueWords }));
+};
+
+// Returns { name, source, duration, words: [{ text, start, end }], cues: [{ start, end, text, words }] }
+export const buildCaptionTrack = (spans, { name, source }) => {
+    const words = [];
+    for (const span of spans) {
+        for (const word of timeSpanWords(span)) {
+            const display = toDisplayWord(word, span.context);
+            const previous = words[words.length - 1];
+            // A pronunciation rule can turn one written word into several spoken ones
+            if (previous && previous.context === display.context && display.rawStart < previous.rawEnd) {
+                previous.end = display.end;
+            } else if (display.text) {
+                words.push(display);
+            }
+        }
+    }
+    const cues = buildCues(words);
+    return {
+        name,
+        source,
+        duration: words.length > 0 ? words[words.length - 1].end : 0,
+        words: words.map(({ text, start, end }) => ({ text, start, end })),
+        cues: cues.map(cue => ({ ...cue, words: cue.words.map(({ text, start, end }) => ({ text, start, end })) })),
+    };
+};
+
+const pad = (value, width = 2) => String(value).padStart(width, '0');
+
+// 00:01:02,345 (SubRip) or 00:01:02.345 (WebVTT)
+const formatTimestamp = (seconds, separator) => {
+    const ms = Math.max(Math.round(seconds * 1000), 0);
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+// mm:ss.xx
+const formatLrcTime = (seconds) => {
+    const hundredths = Math.max(Math.round(seconds * 100), 0);
+    return `${pad(Math.floor(hundredths / 6000))}:${pad(Math.floor(hundredths / 100) % 60)}.${pad(hundredths % 100)}`;
+};
+
+// Breaks a cue into two lines near the middle when it is too long for one
+const wrapCueText = (text) => {
+    if (text.length <= MAX_LINE_LENGTH) return text;
+    const middle = text.length / 2;
+    let best = -1;
+    for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+        if (best === -1 || Math.abs(i - middle) < Math.abs(best - middle)) best = i;
+    }
+    return best === -1 ? text : `${text.slice(0, best)}\n${text.slice(best + 1)}`;
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const formatSrt = (track) => track.cues.map((cue, index) => (
+    `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${wrapCueText(cue.text)}\n`
+)).join('\n');
+
+const formatVtt = (track) => `WEBVTT\n\n${track.cues.map(cue => (
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${wrapCueText(cue.text)}\n`
+)).join('\n')}`;
+
+const formatJson = (track) => JSON.stringify({
+    version: 1,
+    source: track.source,
+    duration: round(track.duration),
+    words: track.words.map(({ text, start, end }) => ({ text, start: round(start), end: round(end) })),
+    cues: track.cues.map(({ text, start, end }) => ({ text, start: round(start), end: round(end) })),
+}, null, 2);
+
+// Enhanced LRC: a line per cue with a <mm:ss.xx> tag before each word for karaoke players
+const formatLrc = (track) => [
+    '[re:The Great Dictator]',
+    ...track.cues.map(cue => (
+        `[${formatLrcTime(cue.start)}]${cue.words.map(word => `<${formatLrcTime(word.start)}>${word.text}`).join(' ')} <${formatLrcTime(cue.end)}>`
+    )),
+    '',
+].join('\n');
+
+export const serializeCaptions = (track, format) => {
+    switch (format) {
+        case 'vtt':
+            return formatVtt(track);
+        case 'json':
+            return formatJson(track);
+        case 'lrc':
+            return formatLrc(track);
+        case 'srt':
+        default:
+            return formatSrt(track);
+    }
+};
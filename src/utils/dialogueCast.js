@@ -0,0 +1,133 @@
+// Dialogue scripts: lines such as "ALICE: Hello." are turns spoken by a character.
+// Speakers come from a front-matter cast list, or else from upper-case name prefixes
+// (at least two different ones, so a lone "NOTE:" does not turn a script into a dialogue):
+//
+//   ---
+//   cast: ALICE, BOB        (or a YAML list under "cast:")
+//   ---
+//   ALICE: Did you read the report?
+//   BOB: Twice.
+//
+// A turn runs from its prefix to the next speaker line or blank line. Each character's voice,
+// rate, pitch and colour are stored on the document: doc.cast = { [SPEAKER]: { voiceName, rate, pitch, color } }.
+
+import { matchFrontMatter } from './speechDocument';
+import { overlaySegments } from './ssmlLite';
+
+export const SPEAKER_COLORS = ['#f87171', '#60a5fa', '#34d399', '#fbbf24', '#a78bfa', '#f472b6', '#22d3ee', '#fb923c'];
+
+// Optional markdown emphasis around the name: **ALICE:** or **ALICE**:
+const UPPERCASE_SPEAKER_PATTERN = /^[ \t]*[*_]{0,2}([A-Z][A-Z0-9.'-]*(?: [A-Z0-9.'-]+){0,3})[*_]{0,2}:[*_]{0,2}[ \t]+/;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const speakerKey = (name) => name.trim().replace(/\s+/g, ' ').toUpperCase();
+
+const readCastList = (frontMatter) => {
+    const lines = frontMatter.split(/\r?\n/);
+    const index = lines.findIndex(line => /^cast\s*:/i.test(line));
+    if (index === -1) return [];
+    const inline = lines[index].replace(/^cast\s*:/i, '').trim();
+    if (inline) {
+        return inline.replace(/^\[|\]$/g, '').split(',').map(name => name.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    }
+    const names = [];
+    for (const line of lines.slice(index + 1)) {
+        const item = /^\s+-\s*(.+?)\s*$/.exec(line);
+        if (!item) break;
+        names.push(item[1].replace(/^["']|["']$/g, '').replace(/:.*$/, '').trim()); // "- ALICE: notes" -> ALICE
+    }
+    return names.filter(Boolean);
+};
+
+// Returns { speakers: [key], turns: [{ speaker, start, prefixEnd, end }] } with raw-text offsets.
+// speakers is empty when the text is not a dialogue.
+export const parseDialogue = (raw) => {
+    const empty = { speakers: [], turns: [] };
+    if (!raw) return empty;
+
+    const frontMatterLength = matchFrontMatter(raw);
+    const declared = readCastList(raw.slice(0, frontMatterLength)).map(speakerKey);
+    const pattern = declared.length > 0
+        ? new RegExp(`^[ \\t]*[*_]{0,2}(${declared.map(escapeRegExp).join('|')})[*_]{0,2}:[*_]{0,2}[ \\t]+`, 'i')
+        : UPPERCASE_SPEAKER_PATTERN;
+
+    const turns = [];
+    const found = [];
+    let turn = null;
+    let start = frontMatterLength;
+    while (start <= raw.length) {
+        let end = raw.indexOf('\n', start);
+        if (end === -1) end = raw.length;
+        const line = raw.slice(start, end).replace(/\r$/, '');
+
+        const match = pattern.exec(line);
+        if (!line.trim()) {
+            turn = null;
+        } else if (match) {
+            const speaker = speakerKey(match[1]);
+            if (!found.includes(speaker)) found.push(speaker);
+            turn = { speaker, start, prefixEnd: start + match[0].length, end: start + line.length };
+            turns.push(turn);
+        } else if (turn) {
+            turn.end = start + line.length;
+        }
+        start = end + 1;
+    }
+
+    if (declared.length === 0 && found.length < 2) return empty;
+    return { speakers: declared.length > 0 ? declared : found, turns };
+};
+
+// Colour of a speaker in the reader: the saved colour, or one from the palette by cast order
+export const getSpeakerColor = (speakers, cast, speaker) => {
+    if (cast && cast[speaker] && cast[speaker].color) return cast[speaker].color;
+    const index = speakers.indexOf(speaker);
+    return SPEAKER_COLORS[(index === -1 ? 0 : index) % SPEAKER_COLORS.length];
+};
+
+// Finds the turn containing a raw position (turns are sorted and do not overlap)
+export const findTurn = (turns, rawIndex) => {
+    let low = 0;
+    let high = turns.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (rawIndex < turns[mid].start) high = mid - 1;
+        else if (rawIndex >= turns[mid].end) low = mid + 1;
+        else return turns[mid];
+    }
+    return null;
+};
+
+// Adds the speaker of every turn to SSML-lite markup segments (see ssmlLite.js). Speaker
+// prefixes become silent segments: the name is shown but not read out.
+export const applyDialogueToMarkup = (markup, dialogue) => {
+    if (dialogue.turns.length === 0) return markup;
+
+    const layer = [{ start: 0, fields: { speaker: null, silent: false } }];
+    for (const turn of dialogue.turns) {
+        layer.push({ start: turn.start, fields: { speaker: turn.speaker, silent: true } });
+        layer.push({ start: turn.prefixEnd, fields: { speaker: turn.speaker, silent: false } });
+        layer.push({ start: turn.end, fields: { speaker: null, silent: false } });
+    }
+    return overlaySegments(markup, layer);
+};
+
+// Gives every speaker without a voice a different one, preferring the main voice's language
+export const autoAssignVoices = (speakers, cast, voices, mainVoice) => {
+    const baseLang = mainVoice ? mainVoice.lang.split(/[-_]/)[0] : null;
+    const candidates = [
+        ...voices.filter(v => baseLang && v.lang.startsWith(baseLang)),
+        ...voices.filter(v => !baseLang || !v.lang.startsWith(baseLang)),
+    ];
+    const used = new Set(Object.values(cast || {}).map(role => role.voiceName).filter(Boolean));
+    const next = { ...cast };
+    for (const speaker of speakers) {
+        if (next[speaker] && next[speaker].voiceName) continue;
+        const voice = candidates.find(v => !used.has(v.name)) || candidates[0];
+        if (!voice) break;
+        used.add(voice.name);
+        next[speaker] = { ...next[speaker], voiceName: voice.name };
+    }
+    return next;
+};
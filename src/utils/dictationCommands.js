@@ -0,0 +1,204 @@
+// Turns recognizer transcripts into text: spoken punctuation commands ("comma", "new paragraph")
+// become symbols, and phrases are spliced into the document with sensible spacing and
+// capitalisation. Commands are matched in the recognition language (base code); languages
+// without a table get the transcript as heard.
+
+// kind: 'attach' sticks to the previous word, 'open' to the next one, 'break' starts a new line
+const PUNCTUATION = {
+    comma: { symbol: ',', kind: 'attach' },
+    period: { symbol: '.', kind: 'attach', endsSentence: true },
+    question: { symbol: '?', kind: 'attach', endsSentence: true },
+    exclamation: { symbol: '!', kind: 'attach', endsSentence: true },
+    colon: { symbol: ':', kind: 'attach' },
+    semicolon: { symbol: ';', kind: 'attach' },
+    closeQuote: { symbol: '"', kind: 'attach' },
+    closeParen: { symbol: ')', kind: 'attach' },
+    openQuote: { symbol: '"', kind: 'open' },
+    openParen: { symbol: '(', kind: 'open' },
+    dash: { symbol: '—', kind: 'word' },
+    newLine: { symbol: '\n', kind: 'break' },
+    newParagraph: { symbol: '\n\n', kind: 'break' },
+};
+
+const COMMANDS = {
+    en: {
+        comma: ['comma'],
+        period: ['period', 'full stop'],
+        question: ['question mark'],
+        exclamation: ['exclamation mark', 'exclamation point'],
+        colon: ['colon'],
+        semicolon: ['semicolon', 'semi colon'],
+        openQuote: ['open quote', 'quote'],
+        closeQuote: ['close quote', 'end quote', 'unquote'],
+        openParen: ['open parenthesis', 'open bracket'],
+        closeParen: ['close parenthesis', 'close bracket'],
+        dash: ['dash'],
+        newLine: ['new line', 'newline'],
+        newParagraph: ['new paragraph'],
+    },
+    fr: {
+        comma: ['virgule'],
+        period: ['point'],
+        question: ["point d'interrogation"],
+        exclamation: ["point d'exclamation"],
+        colon: ['deux points', 'deux-points'],
+        semicolon: ['point virgule', 'point-virgule'],
+        openQuote: ['ouvrez les guillemets'],
+        closeQuote: ['fermez les guillemets'],
+        openParen: ['ouvrez la parenthèse'],
+        closeParen: ['fermez la parenthèse'],
+        newLine: ['à la ligne', 'nouvelle ligne'],
+        newParagraph: ['nouveau paragraphe'],
+    },
+    de: {
+        comma: ['komma'],
+        period: ['punkt'],
+        question: ['fragezeichen'],
+        exclamation: ['ausrufezeichen'],
+        colon: ['doppelpunkt'],
+        semicolon: ['semikolon'],
+        openQuote: ['anführungszeichen'],
+        closeQuote: ['abführungszeichen'],
+        openParen: ['klammer auf'],
+        closeParen: ['klammer zu'],
+        newLine: ['neue zeile'],
+        newParagraph: ['neuer absatz'],
+    },
+    es: {
+        comma: ['coma'],
+        period: ['punto'],
+        question: ['signo de interrogación'],
+        exclamation: ['signo de exclamación'],
+        colon: ['dos puntos'],
+        semicolon: ['punto y coma'],
+        openQuote: ['abrir comillas'],
+        closeQuote: ['cerrar comillas'],
+        openParen: ['abrir paréntesis'],
+        closeParen: ['cerrar paréntesis'],
+        newLine: ['nueva línea'],
+        newParagraph: ['nuevo párrafo'],
+    },
+};
+
+// Command words that are also everyday words ("during the period we slept", "le point de vue")
+// only count as punctuation at the end of a phrase, where the recognizer heard a pause, or
+// right before another command
+const EVERYDAY_COMMAND_WORDS = {
+    en: ['period'],
+    fr: ['point'],
+    de: ['punkt'],
+    es: ['punto'],
+};
+
+// Said before a command ("literal period") to write its words instead of the symbol
+const LITERAL_WORDS = {
+    en: 'literal',
+    fr: 'littéral',
+    de: 'wörtlich',
+    es: 'literal',
+};
+
+const baseOf = (lang) => (lang || '').toLowerCase().split(/[-_]/)[0];
+
+// Spoken phrases split into words, longest first so "point virgule" wins over "point"
+const phraseCache = new Map();
+const getPhrases = (lang) => {
+    const base = baseOf(lang);
+    if (!phraseCache.has(base)) {
+        const everydayWords = EVERYDAY_COMMAND_WORDS[base] || [];
+        const phrases = Object.entries(COMMANDS[base] || {}).flatMap(([command, spoken]) => (
+            spoken.map(phrase => ({ words: phrase.split(' '), command, isEverydayWord: everydayWords.includes(phrase) }))
+        ));
+        phrases.sort((a, b) => b.words.length - a.words.length);
+        phraseCache.set(base, phrases);
+    }
+    return phraseCache.get(base);
+};
+
+// For the help text: [{ phrase, symbol }] with the first spoken form of each command
+export const listDictationCommands = (lang) => Object.entries(COMMANDS[baseOf(lang)] || {}).map(([command, spoken]) => ({
+    phrase: spoken[0],
+    symbol: PUNCTUATION[command].symbol.replace(/\n/g, '↵'),
+}));
+
+// For the help text: the word that keeps a command as text, or null
+export const getLiteralWord = (lang) => LITERAL_WORDS[baseOf(lang)] || null;
+
+const ATTACHED_PUNCTUATION = /^[,.;:!?)\]}”»…]+$/;
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[.,!?]$/, '');
+
+// Splits a transcript into words and punctuation pieces: [{ text, kind, endsSentence }]
+const parseTranscript = (transcript, lang) => {
+    const words = transcript.trim().split(/\s+/).filter(Boolean);
+    const phrases = getPhrases(lang);
+    const literalWord = getLiteralWord(lang);
+    const commandAt = (i) => phrases.find(({ words: phrase }) => phrase.every((word, j) => (
+        words[i + j] && normalizeWord(words[i + j]) === word
+    )));
+    const isPhraseEnd = (i) => {
+        const next = commandAt(i);
+        return i === words.length || Boolean(next && !next.isEverydayWord);
+    };
+
+    const pieces = [];
+    const pushWord = (word) => {
+        // Recognizers that punctuate by themselves send "," or "." as separate words
+        const kind = ATTACHED_PUNCTUATION.test(word) ? 'attach' : 'word';
+        pieces.push({ text: word, kind, endsSentence: /[.!?]$/.test(word) });
+    };
+    for (let i = 0; i < words.length;) {
+        const literal = literalWord && normalizeWord(words[i]) === literalWord ? commandAt(i + 1) : null;
+        const match = commandAt(i);
+        if (literal) {
+            words.slice(i + 1, i + 1 + literal.words.length).forEach(pushWord);
+            i += 1 + literal.words.length;
+        } else if (match && (!match.isEverydayWord || isPhraseEnd(i + match.words.length))) {
+            const { symbol, kind, endsSentence } = PUNCTUATION[match.command];
+            pieces.push({ text: symbol, kind, endsSentence: Boolean(endsSentence) });
+            i += match.words.length;
+        } else {
+            pushWord(words[i]);
+            i += 1;
+        }
+    }
+    return pieces;
+};
+
+const capitalize = (word) => word.charAt(0).toLocaleUpperCase() + word.slice(1);
+
+// Replaces text[start, end) with the transcript. Returns { text, cursor } where cursor is the end
+// of the inserted text; the surrounding text decides spacing and capitalisation.
+export const insertTranscript = (text, start, end, transcript, lang) => {
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+    const pieces = parseTranscript(transcript, lang);
+
+    let output = '';
+    let previous = before; // What the next piece follows
+    let isSentenceStart = /(^|[.!?]\s*|\n\s*)$/.test(before);
+    let isAfterOpening = /[("“«[]$/.test(before);
+
+    for (const piece of pieces) {
+        const needsSpace = previous.length > 0 && !/\s$/.test(previous) && !isAfterOpening;
+        if (piece.kind === 'attach') {
+            output = output.replace(/[ \t]+$/, '') + piece.text;
+        } else if (piece.kind === 'break') {
+            output = output.replace(/[ \t]+$/, '') + piece.text;
+            isSentenceStart = true;
+        } else {
+            const word = piece.kind === 'word' && isSentenceStart ? capitalize(piece.text) : piece.text;
+            output += (needsSpace ? ' ' : '') + word;
+            if (piece.kind === 'word') isSentenceStart = false;
+        }
+        if (piece.endsSentence) isSentenceStart = true;
+        isAfterOpening = piece.kind === 'open';
+        previous = before + output;
+    }
+
+    // Keep a space between the dictated text and a following word
+    if (output && /^[\p{L}\p{N}("“]/u.test(after) && !/\s$/.test(output)) output += ' ';
+    // Punctuation dictated right after a space sticks to the previous word
+    const trimmedBefore = pieces.length > 0 && (pieces[0].kind === 'attach') ? before.replace(/[ \t]+$/, '') : before;
+    return { text: trimmedBefore + output + after, cursor: trimmedBefore.length + output.length };
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { insertTranscript } from './dictationCommands';
+
+// Dictates the transcript at the end of the text
+const dictate = (text, transcript, lang = 'en-US') => insertTranscript(text, text.length, text.length, transcript, lang).text;
+
+describe('insertTranscript', () => {
+    it('turns spoken punctuation into symbols with sentence capitalisation', () => {
+        expect(dictate('', 'hello comma world full stop how are you question mark')).toBe('Hello, world. How are you?');
+        expect(dictate('First line.', 'new paragraph second one')).toBe('First line.\n\nSecond one');
+    });
+
+    it('keeps an everyday command word inside a phrase', () => {
+        expect(dictate('', 'during the period we slept')).toBe('During the period we slept');
+        expect(dictate('', 'we slept period')).toBe('We slept.');
+        expect(dictate('', 'we slept period new paragraph')).toBe('We slept.\n\n');
+        expect(dictate('', 'le point de vue point', 'fr-FR')).toBe('Le point de vue.');
+        expect(dictate('Voici', 'point virgule la suite', 'fr-FR')).toBe('Voici; la suite');
+    });
+
+    it('writes the words of a command said after "literal"', () => {
+        expect(dictate('', 'the word literal comma is short period')).toBe('The word comma is short.');
+        expect(dictate('', 'a literal meaning')).toBe('A literal meaning');
+        expect(dictate('', 'it ends with literal period')).toBe('It ends with period');
+    });
+
+    it('splices the phrase into the text with spacing on both sides', () => {
+        const text = 'Start end.';
+        expect(insertTranscript(text, 6, 6, 'middle part', 'en-US')).toEqual({ text: 'Start middle part end.', cursor: 18 });
+        expect(insertTranscript(text, 5, 5, 'comma', 'en-US')).toEqual({ text: 'Start, end.', cursor: 6 });
+    });
+});
@@ -0,0 +1,351 @@
+// In-browser text extraction for uploaded scripts and for HTML pasted or shared from the web.
+// Every extractor returns markdown-flavoured plain text: paragraphs are separated by blank
+// lines and headings are prefixed with '#'. A level-1 heading ('# Title') starts a chapter,
+// which is what the chapter list in the reader is built from (see extractChapters).
+// The PDF and ZIP libraries are only downloaded when such a file is imported.
+
+export const SUPPORTED_IMPORT_EXTENSIONS = ['.txt', '.md', '.html', '.htm', '.pdf', '.docx', '.epub'];
+
+const getExtension = (fileName) => {
+    const match = /\.[^.]+$/.exec(fileName.toLowerCase());
+    return match ? match[0] : '';
+};
+
+const collapseWhitespace = (str) => str.replace(/\s+/g, ' ').trim();
+
+const joinBlocks = (blocks) => blocks.filter(Boolean).join('\n\n');
+
+const readAsText = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('The file could not be read.'));
+    reader.readAsText(file);
+});
+
+// --- PDF (text layer) ---
+
+// Rebuilds lines from positioned text items and treats larger vertical gaps as paragraph breaks
+const paragraphsFromTextItems = (items) => {
+    const paragraphs = [];
+    let lines = [];
+    let line = '';
+    let lastY = null;
+    let lineHeight = 0;
+
+    const endLine = () => {
+        if (line.trim()) lines.push(line.trim());
+        line = '';
+    };
+    const endParagraph = () => {
+        endLine();
+        // Unwrap hard line breaks, re-joining words hyphenated across lines
+        const text = lines.reduce((acc, next) => (acc.endsWith('-') ? acc.slice(0, -1) + next : `${acc} ${next}`), '');
+        if (text.trim()) paragraphs.push(collapseWhitespace(text));
+        lines = [];
+    };
+
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue;
+        const y = item.transform[5];
+        if (lastY !== null && Math.abs(y - lastY) > 1) {
+            const gap = Math.abs(lastY - y);
+            endLine();
+            if (lineHeight && gap > lineHeight * 1.6) endParagraph();
+            lineHeight = lineHeight ? Math.min(lineHeight, gap) : gap;
+        }
+        line += item.str;
+        if (item.hasEOL) line += ' ';
+        lastY = y;
+    }
+    endParagraph();
+    return paragraphs;
+};
+
+const extractPdf = async (file) => {
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    try {
+        // Top-level outline entries (bookmarks) become chapters at the start of their page
+        const chapterTitles = new Map();
+        const outline = await pdf.getOutline().catch(() => null);
+        for (const entry of outline || []) {
+            try {
+                const dest = typeof entry.dest === 'string' ? await pdf.getDestination(entry.dest) : entry.dest;
+                if (!dest) continue;
+                const pageIndex = await pdf.getPageIndex(dest[0]);
+                if (!chapterTitles.has(pageIndex)) chapterTitles.set(pageIndex, collapseWhitespace(entry.title));
+            } catch {
+                // Broken outline entries are ignored
+            }
+        }
+
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const title = chapterTitles.get(pageNumber - 1);
+            pages.push(joinBlocks([title ? `# ${title}` : '', ...paragraphsFromTextItems(content.items)]));
+        }
+        return joinBlocks(pages);
+    } finally {
+        pdf.destroy();
+    }
+};
+
+// --- ZIP based formats ---
+
+const unzipFile = async (file) => {
+    const { unzipSync, strFromU8 } = await import('fflate');
+    const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    return (path) => (entries[path] ? strFromU8(entries[path]) : null);
+};
+
+const parseXml = (source, type = 'application/xml') => {
+    const doc = new DOMParser().parseFromString(source, type);
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The document contains malformed XML.');
+    }
+    return doc;
+};
+
+// --- DOCX (OOXML paragraphs) ---
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const MC_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+
+// True when node lies inside a ns:localName element below container
+const isInside = (node, container, ns, localName) => {
+    for (let parent = node.parentNode; parent && parent !== container; parent = parent.parentNode) {
+        if (parent.namespaceURI === ns && parent.localName === localName) return true;
+    }
+    return false;
+};
+
+// Maps style ids to heading levels using the style names ("heading 1", "Title"), which
+// unlike the ids are not localized
+const readHeadingStyles = (stylesXml) => {
+    const levels = {};
+    if (!stylesXml) return levels;
+    for (const style of parseXml(stylesXml).getElementsByTagNameNS(W_NS, 'style')) {
+        const id = style.getAttributeNS(W_NS, 'styleId');
+        const nameNode = style.getElementsByTagNameNS(W_NS, 'name')[0];
+        const name = nameNode ? nameNode.getAttributeNS(W_NS, 'val').toLowerCase() : '';
+        const heading = /^heading (\d)$/.exec(name);
+        if (heading) levels[id] = Number(heading[1]);
+        else if (name === 'title') levels[id] = 1;
+    }
+    return levels;
+};
+
+const extractDocx = async (file) => {
+    const read = await unzipFile(file);
+    const documentXml = read('word/document.xml');
+    if (!documentXml) throw new Error('This is not a Word document (word/document.xml is missing).');
+
+    const headingLevels = readHeadingStyles(read('word/styles.xml'));
+    const body = parseXml(documentXml).getElementsByTagNameNS(W_NS, 'body')[0];
+    const blocks = [];
+
+    for (const paragraph of body.getElementsByTagNameNS(W_NS, 'p')) {
+        // Text boxes are stored twice: as drawing content and as a VML fallback for old readers
+        if (isInside(paragraph, body, MC_NS, 'Fallback')) continue;
+        // A text box's paragraphs (w:txbxContent) are blocks of their own, after the paragraph
+        // that anchors it, so they are left out of the anchor's text and style
+        const ownNodes = [...paragraph.getElementsByTagNameNS(W_NS, '*')]
+            .filter(node => !isInside(node, paragraph, W_NS, 'txbxContent'));
+        let text = '';
+        for (const node of ownNodes) {
+            if (node.localName === 't') text += node.textContent;
+            else if (node.localName === 'tab') text += ' ';
+            else if (node.localName === 'br') text += '\n';
+        }
+        text = text.split('\n').map(collapseWhitespace).filter(Boolean).join('\n');
+        if (!text) continue;
+
+        const styleNode = ownNodes.find(node => node.localName === 'pStyle');
+        const styleId = styleNode ? styleNode.getAttributeNS(W_NS, 'val') : '';
+        const level = headingLevels[styleId] || (/^Heading(\d)$/.exec(styleId) || [])[1];
+        const isListItem = ownNodes.some(node => node.localName === 'numPr');
+
+        if (level) blocks.push(`${'#'.repeat(Number(level))} ${text}`);
+        else if (isListItem) blocks.push(`- ${text}`);
+        else blocks.push(text);
+    }
+    return joinBlocks(blocks);
+};
+
+// --- EPUB (spine-ordered XHTML chapters) ---
+
+const resolveZipPath = (baseDir, href) => {
+    const parts = (baseDir + decodeURIComponent(href.split('#')[0])).split('/');
+    const resolved = [];
+    for (const part of parts) {
+        if (part === '..') resolved.pop();
+        else if (part && part !== '.') resolved.push(part);
+    }
+    return resolved.join('/');
+};
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, dt, dd, figcaption, caption, td, th';
+
+// Elements that end a run of loose text: text directly inside a <div> or <body>, or between <br>s
+const LOOSE_TEXT_BREAK_SELECTOR = 'br, hr, div, section, article, main, header, figure, ul, ol, dl, table, tr, address';
+
+// Walks the markup in document order: block elements become blocks, and text no block covers
+// (chapters written with <div>s, bare text in <body>) becomes a paragraph of its own
+const blocksFromXhtml = (doc, root = doc.body || doc.documentElement) => {
+    const blocks = [];
+    let loose = '';
+    const flushLoose = () => {
+        const text = collapseWhitespace(loose);
+        if (text) blocks.push({ text, level: 0, isListItem: false });
+        loose = '';
+    };
+    const walk = (node) => {
+        for (const child of node.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+                loose += child.data;
+            } else if (child.nodeType !== Node.ELEMENT_NODE) {
+                continue;
+            } else if (child.matches(BLOCK_SELECTOR)) {
+                // Nested blocks (a <p> inside an <li>) are covered by their outermost block
+                flushLoose();
+                const text = collapseWhitespace(child.textContent);
+                if (!text) continue;
+                const heading = /^h(\d)$/i.exec(child.localName);
+                blocks.push({ text, level: heading ? Number(heading[1]) : 0, isListItem: child.localName === 'li' });
+            } else if (child.matches(LOOSE_TEXT_BREAK_SELECTOR)) {
+                flushLoose();
+                walk(child);
+                flushLoose();
+            } else {
+                walk(child); // Inline markup (<span>, <a>, <em>) continues the loose text
+            }
+        }
+    };
+    walk(root);
+    flushLoose();
+    return blocks;
+};
+
+const extractEpub = async (file) => {
+    const read = await unzipFile(file);
+    const container = read('META-INF/container.xml');
+    if (!container) throw new Error('This is not an EPUB file (META-INF/container.xml is missing).');
+
+    const rootfile = parseXml(container).getElementsByTagName('rootfile')[0];
+    const opfPath = rootfile && rootfile.getAttribute('full-path');
+    const opfSource = opfPath && read(opfPath);
+    if (!opfSource) throw new Error('The EPUB package document could not be found.');
+
+    const opf = parseXml(opfSource);
+    const opfDir = opfPath.includes('/') ? opfPath.slice(0, opfPath.lastIndexOf('/') + 1) : '';
+    const manifest = {};
+    for (const item of opf.getElementsByTagName('item')) {
+        manifest[item.getAttribute('id')] = { href: item.getAttribute('href'), type: item.getAttribute('media-type') };
+    }
+
+    const chapters = [];
+    let chapterNumber = 0;
+    for (const itemref of opf.getElementsByTagName('itemref')) {
+        const entry = manifest[itemref.getAttribute('idref')];
+        if (!entry || itemref.getAttribute('linear') === 'no') continue;
+        const source = read(resolveZipPath(opfDir, entry.href));
+        if (!source) continue;
+
+        const type = entry.type === 'application/xhtml+xml' ? 'application/xhtml+xml' : 'text/html';
+        let doc;
+        try {
+            doc = parseXml(source, type);
+        } catch {
+            doc = new DOMParser().parseFromString(source, 'text/html'); // Lenient fallback for sloppy markup
+        }
+        const blocks = blocksFromXhtml(doc);
+        if (blocks.length === 0) continue;
+        chapterNumber++;
+
+        // Each spine document is a chapter: its first heading (or a generic title) becomes '# Title'
+        const lines = [];
+        const firstIsHeading = blocks[0].level > 0;
+        if (!firstIsHeading) lines.push(`# Chapter ${chapterNumber}`);
+        blocks.forEach((block, index) => {
+            if (index === 0 && firstIsHeading) lines.push(`# ${block.text}`);
+            else if (block.level) lines.push(`${'#'.repeat(Math.max(block.level, 2))} ${block.text}`);
+            else if (block.isListItem) lines.push(`- ${block.text}`);
+            else lines.push(block.text);
+        });
+        chapters.push(joinBlocks(lines));
+    }
+    if (chapters.length === 0) throw new Error('No readable chapters were found in this EPUB.');
+    return joinBlocks(chapters);
+};
+
+// --- HTML from the clipboard or the web ---
+
+// Page furniture that is not part of the text
+const SKIPPED_HTML_SELECTOR = 'script, style, noscript, template, nav, aside, footer, form, button';
+
+// Converts an HTML fragment (rich clipboard content) or a whole web page into the same
+// markdown-flavoured text as the other importers. A page's <article> or <main> is preferred over
+// its body; text outside block elements (a copied phrase, <div> paragraphs) becomes paragraphs.
+export const extractHtml = (html) => {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    for (const element of doc.querySelectorAll(SKIPPED_HTML_SELECTOR)) element.remove();
+    const root = doc.querySelector('article') || doc.querySelector('main') || doc.body || doc.documentElement;
+    return joinBlocks(blocksFromXhtml(doc, root).map(block => {
+        if (block.level) return `${'#'.repeat(block.level)} ${block.text}`;
+        if (block.isListItem) return `- ${block.text}`;
+        return block.text;
+    }));
+};
+
+// Reads an uploaded file and returns { name, text }. Throws with a user-facing message.
+export const importFile = async (file) => {
+    const extension = getExtension(file.name);
+    const name = file.name.replace(/\.[^.]+$/, '') || 'Uploaded Script';
+    let text;
+
+    switch (extension) {
+        case '.pdf':
+            text = await extractPdf(file);
+            break;
+        case '.docx':
+            text = await extractDocx(file);
+            break;
+        case '.epub':
+            text = await extractEpub(file);
+            break;
+        case '.txt':
+        case '.md':
+        case '.html':
+        case '.htm':
+        case '':
+            text = await readAsText(file);
+            break;
+        default:
+            throw new Error(`Unsupported file type "${extension}".`);
+    }
+
+    if (!text || !text.trim()) {
+        throw new Error(extension === '.pdf'
+            ? 'No text layer was found (scanned PDFs need OCR first).'
+            : 'The file does not contain any readable text.');
+    }
+    return { name, text };
+};
+
+// Lists the chapters of a script: every level-1 markdown heading line ('# Title').
+// Returns [{ title, rawStart }] where rawStart is the offset of the heading line.
+export const extractChapters = (text) => {
+    const chapters = [];
+    if (!text) return chapters;
+    for (const match of text.matchAll(/^#[ \t]+(.+)$/gm)) {
+        chapters.push({ title: match[1].trim(), rawStart: match.index });
+    }
+    return chapters;
+};
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { importFile, extractHtml } from './documentImport';
+
+// An uploaded file as importFile reads it: a name and its bytes
+const fileOf = (name, entries) => {
+    const bytes = zipSync(Object.fromEntries(Object.entries(entries).map(([path, text]) => [path, strToU8(text)])));
+    return { name, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) };
+};
+
+const xhtml = (body) => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Chapter</title></head><body>${body}</body></html>`;
+
+// A one-file-per-chapter EPUB with the chapters in spine order
+const epubOf = (...chapters) => fileOf('book.epub', {
+    'META-INF/container.xml': `<?xml version="1.0"?>
+<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+    'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+<manifest>${chapters.map((_, i) => `<item id="c${i}" href="c${i}.xhtml" media-type="application/xhtml+xml"/>`).join('')}</manifest>
+<spine>${chapters.map((_, i) => `<itemref idref="c${i}"/>`).join('')}</spine>
+</package>`,
+    ...Object.fromEntries(chapters.map((body, i) => [`OEBPS/c${i}.xhtml`, xhtml(body)])),
+});
+
+describe('importFile (EPUB)', () => {
+    it('reads chapters written without <p> elements', async () => {
+        const { text } = await importFile(epubOf(
+            '<h1>Opening</h1><div>First paragraph in a div.</div><div>Second <em>one</em>.</div>',
+            'Bare text in the body.<br/>After a line break.',
+        ));
+        expect(text).toBe([
+            '# Opening',
+            'First paragraph in a div.',
+            'Second one.',
+            '# Chapter 2',
+            'Bare text in the body.',
+            'After a line break.',
+        ].join('\n\n'));
+    });
+
+    it('keeps loose text between block elements in order', async () => {
+        const { text } = await importFile(epubOf(
+            '<section>Before the list.<ul><li>One</li><li>Two <p>nested</p></li></ul>After the list.</section>',
+        ));
+        expect(text).toBe(['# Chapter 1', 'Before the list.', '- One', '- Two nested', 'After the list.'].join('\n\n'));
+    });
+});
+
+describe('extractHtml', () => {
+    it('keeps text in <div>s between paragraphs', () => {
+        expect(extractHtml('<div>Intro text in a div.</div><p>A paragraph.</p><div>Closing div text.</div>'))
+            .toBe('Intro text in a div.\n\nA paragraph.\n\nClosing div text.');
+    });
+
+    it('keeps loose text after line breaks and lists', () => {
+        expect(extractHtml('<h2>Title</h2><ul><li>One</li><li>Two</li></ul><br>Loose text after br'))
+            .toBe('## Title\n\n- One\n\n- Two\n\nLoose text after br');
+    });
+
+    it('reads a copied phrase and skips page furniture', () => {
+        expect(extractHtml('<nav>Menu</nav><b>Just</b> a <a href="#">phrase</a><script>track()</script>')).toBe('Just a phrase');
+    });
+});
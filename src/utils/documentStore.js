@@ -0,0 +1,81 @@
+// IndexedDB persistence for the script library.
+// Documents are plain records: { id, name, text, lastPosition, cast, presetId, reviewNotes, history, lastOpenedAt, createdAt, updatedAt }.
+// lastPosition is a spoken-text character index (null when there is nothing to resume).
+// cast maps dialogue speakers to their voice settings (see dialogueCast.js); older records lack it.
+// reviewNotes are the proofreading notes for the document (see ReviewNotesPanel.jsx); older records lack them.
+// history lists the document's listening sessions, oldest first (see readingStats.js); older records lack it.
+// presetId names the voice preset applied when the document is opened (see voicePresets.js), or null.
+
+const DB_NAME = 'dictatorLibrary';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later call to retry after a failed open
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs a single store operation and resolves with its result once the transaction commits
+const runTransaction = async (mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+};
+
+const generateId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+export const createDocumentRecord = (name, text = '') => {
+    const now = Date.now();
+    return {
+        id: generateId(),
+        name,
+        text,
+        lastPosition: null,
+        cast: {},
+        presetId: null,
+        reviewNotes: [],
+        history: [],
+        lastOpenedAt: now,
+        createdAt: now,
+        updatedAt: now,
+    };
+};
+
+export const getAllDocuments = () => runTransaction('readonly', store => store.getAll());
+
+export const putDocument = (doc) => runTransaction('readwrite', store => store.put(doc));
+
+export const removeDocument = (id) => runTransaction('readwrite', store => store.delete(id));
+
+export const clearDocuments = () => runTransaction('readwrite', store => store.clear());
@@ -0,0 +1,261 @@
+// A speech engine (see speechEngine.js) backed by a self-hosted neural TTS server over HTTP.
+// Each utterance is POSTed to the configured endpoint and the returned audio is played through
+// an AudioContext. Two request styles are supported:
+// - openai: an OpenAI-compatible /v1/audio/speech ({ model, input, voice, speed })
+// - piper: a Piper/Coqui-style server ({ text, voice, length_scale })
+// A server may answer with the audio itself, or with JSON
+// { audio: base64 audio, words: [{ word, start, end }] } (times in seconds from the start of the
+// audio); the words then drive the boundary events. Without them, boundaries are estimated by
+// spreading the words over the audio by length. Pitch is not sent: neither API has it.
+// Responses go through speechCache.js, so replaying a text does not fetch it again.
+
+import { getCachedSpeech } from './speechCache';
+
+export const HTTP_TTS_FORMATS = {
+    openai: { label: 'OpenAI-compatible (/v1/audio/speech)' },
+    piper: { label: 'Piper / Coqui-style server' },
+};
+
+export const DEFAULT_HTTP_TTS_CONFIG = {
+    enabled: false,
+    format: 'openai',
+    endpoint: 'http://localhost:8000/v1/audio/speech',
+    apiKey: '',
+    model: 'tts-1',
+    voices: 'alloy, echo, fable, onyx, nova, shimmer', // "id" or "id=language", comma or line separated
+};
+
+// How often the playback position is checked for due boundary events
+const BOUNDARY_POLL_MS = 40;
+
+export const normalizeHttpTtsConfig = (config) => ({
+    ...DEFAULT_HTTP_TTS_CONFIG,
+    ...config,
+    format: HTTP_TTS_FORMATS[config && config.format] ? config.format : DEFAULT_HTTP_TTS_CONFIG.format,
+});
+
+// "nova, thorsten=de-DE" -> voice objects shaped like the browser's, marked as network voices
+export const parseHttpVoices = (list, fallbackLang = 'en-US') => {
+    const seen = new Set();
+    return String(list || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean).flatMap(entry => {
+        const [id, lang] = entry.split('=').map(part => part.trim());
+        if (!id || seen.has(id)) return [];
+        seen.add(id);
+        return [{
+            name: `${id} (HTTP)`,
+            lang: lang || fallbackLang,
+            localService: false,
+            default: false,
+            voiceURI: `http-tts:${id}`,
+            remoteId: id,
+        }];
+    });
+};
+
+const buildRequestBody = (config, voice, text, rate) => {
+    if (config.format === 'piper') {
+        return { text, voice: voice.remoteId, length_scale: Math.round((1 / rate) * 100) / 100 };
+    }
+    return {
+        model: config.model,
+        input: text,
+        voice: voice.remoteId,
+        speed: Math.min(Math.max(rate, 0.25), 4), // The range the OpenAI API accepts
+        response_format: 'mp3',
+    };
+};
+
+const decodeBase64 = (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+};
+
+// code is what the engine reports in onError, like the browser's error codes
+const speechError = (code, message) => Object.assign(new Error(message), { code });
+
+const fetchSpeech = async (config, body) => {
+    let response;
+    try {
+        response = await fetch(config.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+            },
+            body: JSON.stringify(body),
+        });
+    } catch (err) {
+        throw speechError('network', `Could not reach ${config.endpoint}: ${err.message}`);
+    }
+    if (!response.ok) {
+        throw speechError(`synthesis-failed (HTTP ${response.status})`, await response.text().catch(() => ''));
+    }
+    if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+        const { audio, words } = await response.json();
+        if (!audio) throw speechError('synthesis-failed', 'The server answered without audio');
+        return { audio: decodeBase64(audio), words: Array.isArray(words) ? words : null };
+    }
+    return { audio: await response.arrayBuffer(), words: null };
+};
+
+// Boundary events [{ time, charIndex, charLength }] from the server's word timings, each word
+// found in the text after the previous one. Words the text does not contain are dropped.
+const boundariesFromWords = (text, words) => {
+    const boundaries = [];
+    let cursor = 0;
+    for (const { word, start } of words) {
+        const trimmed = String(word || '').trim();
+        const index = trimmed ? text.indexOf(trimmed, cursor) : -1;
+        if (index === -1 || !Number.isFinite(start)) continue;
+        boundaries.push({ time: start, charIndex: index, charLength: trimmed.length });
+        cursor = index + trimmed.length;
+    }
+    return boundaries;
+};
+
+// Without timings, each word starts at its share of the audio by position in the text
+const estimateBoundaries = (text, duration) => Array.from(text.matchAll(/\S+/g), match => ({
+    time: duration * (match.index / Math.max(text.length, 1)),
+    charIndex: match.index,
+    charLength: match[0].length,
+}));
+
+// One context for every HTTP engine: browsers limit how many can exist
+let audioContext = null;
+const getAudioContext = () => {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        audioContext = new AudioContextClass();
+    }
+    return audioContext;
+};
+
+export const createHttpSpeechEngine = (config) => {
+    const settings = normalizeHttpTtsConfig(config);
+    const voices = parseHttpVoices(settings.voices, typeof navigator !== 'undefined' ? navigator.language : undefined);
+    const isSupported = typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext) && typeof fetch !== 'undefined';
+    const pending = [];
+    let current = null; // { utterance, handlers, source, startTime, boundaries, nextBoundary, poll, started }
+    let paused = false;
+
+    const findVoice = (voice) => (voice && voices.find(v => v.voiceURI === voice.voiceURI)) || voices[0];
+
+    const load = (utterance) => {
+        const voice = findVoice(utterance.voice);
+        const body = buildRequestBody(settings, voice, utterance.text, utterance.rate || 1);
+        // The API key is left out: it does not change the audio
+        const key = JSON.stringify({ endpoint: settings.endpoint, format: settings.format, ...body });
+        return getCachedSpeech(key, () => fetchSpeech(settings, body));
+    };
+
+    const stopEntry = (entry) => {
+        clearInterval(entry.poll);
+        if (entry.source) {
+            entry.source.onended = null;
+            entry.source.stop();
+            entry.source.disconnect();
+        }
+    };
+
+    const fireDueBoundaries = (entry, context) => {
+        const position = context.currentTime - entry.startTime;
+        while (entry.nextBoundary < entry.boundaries.length && entry.boundaries[entry.nextBoundary].time <= position) {
+            const { charIndex, charLength } = entry.boundaries[entry.nextBoundary];
+            entry.nextBoundary += 1;
+            if (entry.handlers.onBoundary) entry.handlers.onBoundary({ name: 'word', charIndex, charLength });
+        }
+    };
+
+    const play = (entry, buffer, words) => {
+        const context = getAudioContext();
+        const { text, volume = 1 } = entry.utterance;
+        const timed = words ? boundariesFromWords(text, words) : [];
+        entry.boundaries = timed.length > 0 ? timed : estimateBoundaries(text, buffer.duration);
+        entry.nextBoundary = 0;
+
+        const gain = context.createGain();
+        gain.gain.value = volume;
+        gain.connect(context.destination);
+        entry.source = context.createBufferSource();
+        entry.source.buffer = buffer;
+        entry.source.connect(gain);
+        entry.source.onended = () => {
+            if (current !== entry) return;
+            clearInterval(entry.poll);
+            gain.disconnect();
+            // Words timed at the very end may not have been polled yet
+            fireDueBoundaries(entry, { currentTime: Infinity });
+            current = null;
+            if (entry.handlers.onEnd) entry.handlers.onEnd();
+            startNext();
+        };
+        entry.startTime = context.currentTime;
+        entry.source.start();
+        entry.started = true;
+        entry.poll = setInterval(() => fireDueBoundaries(entry, context), BOUNDARY_POLL_MS);
+        if (entry.handlers.onStart) entry.handlers.onStart();
+        fireDueBoundaries(entry, context);
+    };
+
+    const startNext = async () => {
+        if (current || pending.length === 0) return;
+        const entry = pending.shift();
+        current = entry;
+        try {
+            const { audio, words } = await load(entry.utterance);
+            // decodeAudioData detaches the buffer it is given; the cached one must stay intact
+            const buffer = await getAudioContext().decodeAudioData(audio.slice(0));
+            if (current !== entry) return; // Cancelled while loading
+            play(entry, buffer, words);
+        } catch (err) {
+            if (current !== entry) return;
+            current = null;
+            console.error('HTTP speech failed:', err);
+            if (entry.handlers.onError) entry.handlers.onError({ error: err.code || 'synthesis-failed' });
+            startNext();
+        }
+    };
+
+    return {
+        isSupported,
+        getVoices: () => voices,
+        onVoicesChanged: () => () => {}, // The list only changes with the configuration
+        speak: (utterance, handlers = {}) => {
+            // Created (or woken) here, inside the user's click, so autoplay rules allow the sound
+            const context = getAudioContext();
+            if (!paused && context.state === 'suspended') context.resume();
+            pending.push({ utterance, handlers, source: null, poll: null, started: false });
+            startNext();
+        },
+        // Fetches an utterance ahead of time, so the next chunk is ready when this one ends
+        prefetch: (utterance) => {
+            load(utterance).catch(() => {});
+        },
+        pause: () => {
+            paused = true;
+            if (audioContext) audioContext.suspend();
+        },
+        resume: () => {
+            if (!paused) return;
+            paused = false;
+            if (audioContext) audioContext.resume();
+        },
+        cancel: () => {
+            const dropped = [current, ...pending].filter(Boolean);
+            current = null;
+            pending.length = 0;
+            dropped.forEach(stopEntry);
+            if (paused) {
+                paused = false;
+                if (audioContext) audioContext.resume();
+            }
+            dropped.forEach((entry, index) => {
+                const wasStarted = index === 0 && entry.started;
+                if (entry.handlers.onError) entry.handlers.onError({ error: wasStarted ? 'interrupted' : 'canceled' });
+            });
+        },
+        isPaused: () => paused,
+    };
+};
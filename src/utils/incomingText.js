@@ -0,0 +1,93 @@
+// Text arriving from outside the editor: the clipboard ("Paste & read"), links that carry the
+// text (?text=... or #text=..., the fragment keeping long texts off servers and logs) and the
+// Web Share Target in the manifest, which opens the installed app as ./?title=&text=&url=.
+import { extractHtml } from './documentImport';
+
+// Link parameters that are consumed (and removed from the address bar) when the app opens
+const INCOMING_PARAMS = ['text', 'title', 'url', 'autoplay'];
+
+const ONLY_URL_PATTERN = /^\s*(https?:\/\/\S+)\s*$/i;
+
+const readParams = (query) => {
+    const params = new URLSearchParams(query);
+    return INCOMING_PARAMS.some(name => params.has(name)) ? params : null;
+};
+
+// Reads the incoming text from the page address and removes its parameters, so a reload or a
+// bookmark does not import it again. Returns { text, title, url, autoplay } or null.
+// Share sheets often put the page address in the text; a text that is only a URL counts as one.
+export const takeIncomingText = () => {
+    const { pathname, search, hash } = window.location;
+    const fromHash = readParams(hash.slice(1));
+    const params = fromHash || readParams(search);
+    if (!params) return null;
+
+    const rest = new URLSearchParams(fromHash ? hash.slice(1) : search);
+    INCOMING_PARAMS.forEach(name => rest.delete(name));
+    const remaining = rest.toString();
+    const nextUrl = fromHash
+        ? `${pathname}${search}${remaining ? `#${remaining}` : ''}`
+        : `${pathname}${remaining ? `?${remaining}` : ''}${hash}`;
+    window.history.replaceState(window.history.state, '', nextUrl);
+
+    let text = params.get('text') || '';
+    let url = params.get('url') || '';
+    const onlyUrl = ONLY_URL_PATTERN.exec(text);
+    if (onlyUrl) {
+        url = url || onlyUrl[1];
+        text = '';
+    }
+    if (!text.trim() && !url) return null;
+    const autoplay = params.get('autoplay');
+    return {
+        text,
+        title: (params.get('title') || '').trim(),
+        url,
+        autoplay: autoplay !== null && autoplay !== '0' && autoplay !== 'false',
+    };
+};
+
+// A document name for text that came without a title: its first words
+export const titleFromText = (text) => {
+    const firstLine = (text.split('\n').find(line => line.trim()) || '').replace(/^#+\s*/, '').replace(/\s+/g, ' ').trim();
+    if (!firstLine) return 'Pasted Text';
+    return firstLine.length > 40 ? `${firstLine.slice(0, 40)}...` : firstLine;
+};
+
+// Browsers only let a page speak once the user has interacted with it; a link opened from
+// elsewhere has not, so reading it has to wait for a tap. Browsers without the API are trusted.
+export const canSpeakUnprompted = () => !navigator.userActivation || navigator.userActivation.hasBeenActive;
+
+export const isClipboardSupported = () => Boolean(navigator.clipboard && (navigator.clipboard.read || navigator.clipboard.readText));
+
+// The clipboard as script text. Rich (HTML) content is preferred, converted like an imported
+// page so headings and list items survive; otherwise the plain text. Throws when the browser
+// refuses access.
+export const readClipboardText = async () => {
+    if (!isClipboardSupported()) throw new Error('this browser does not allow reading the clipboard');
+    if (!navigator.clipboard.read) return navigator.clipboard.readText();
+
+    const items = await navigator.clipboard.read();
+    for (const item of items) {
+        if (!item.types.includes('text/html')) continue;
+        const text = extractHtml(await (await item.getType('text/html')).text());
+        if (text.trim()) return text;
+    }
+    for (const item of items) {
+        if (item.types.includes('text/plain')) return (await item.getType('text/plain')).text();
+    }
+    return '';
+};
+
+// Fetches a shared web page and extracts its text. Only pages that allow cross-origin requests
+// (CORS) can be read; for the others the caller asks for the text to be pasted instead.
+// Returns { text, title }.
+export const fetchPageText = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`the server answered ${response.status}`);
+    const source = await response.text();
+    const type = response.headers.get('Content-Type') || '';
+    if (!type.includes('html')) return { text: source, title: '' };
+    const title = new DOMParser().parseFromString(source, 'text/html').title.trim();
+    return { text: extractHtml(source), title };
+};
@@ -0,0 +1,194 @@
+// Lightweight client-side language detection and per-language voice routing.
+// Non-Latin scripts are recognised by their Unicode script; Latin-script languages by
+// function words and characteristic letters. Short sentences inherit their paragraph's
+// language, and explicit HTML lang attributes (<span lang="fr">) always win.
+
+const STOPWORDS = {
+    en: 'the and of to is in that it was for you he with on are as this be at have not but they we what from by or his her an were which there would their will been has my me do if your can our said',
+    fr: 'le la les de des et est un une du en que qui dans pour pas sur au avec ce il elle ne se sont nous vous je mais ou son sa ses cette aux été était très tout comme leur on plus bien où',
+    de: 'der die das und ist nicht ein eine ich sie es zu den mit von dem des auf für im sich auch als wie aber noch nach bei wir ihr wird sind war werden oder doch schon dass kein uns hat man nur',
+    es: 'el la los las de del y que en un una es por con para no se lo su al como más pero sus le ya este esta sí porque muy sin sobre también me hay donde yo está son',
+    it: 'il lo la gli le di del della che e è un una per con non in da si sono ma come anche più questo questa nel alla al ho mi ci ha molto perché io essere suo sua',
+    pt: 'o a os as de do da dos das e que em um uma é para com não por no na se mais como mas ao ele ela seu sua muito também já são foi você isso está nos',
+    nl: 'de het een en van is dat niet ik je op te zijn met voor die er maar om als ook aan hij zij wat bij nog wel naar heeft kan worden dit of geen door uit',
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+
+// Letters that hint strongly at one language
+const LETTER_HINTS = [
+    [/[ßäöü]/g, 'de'],
+    [/[èêëçœù]/g, 'fr'],
+    [/[ñ¿¡]/g, 'es'],
+    [/[ãõ]/g, 'pt'],
+    [/[ìò]/g, 'it'],
+    [/ij/g, 'nl'],
+];
+
+// Scripts checked in order; the first to cover most letters decides
+const SCRIPTS = [
+    [/[\p{Script=Hiragana}\p{Script=Katakana}]/gu, 'ja'],
+    [/\p{Script=Hangul}/gu, 'ko'],
+    [/\p{Script=Han}/gu, 'zh'],
+    [/\p{Script=Cyrillic}/gu, 'ru'],
+    [/\p{Script=Greek}/gu, 'el'],
+    [/\p{Script=Arabic}/gu, 'ar'],
+    [/\p{Script=Hebrew}/gu, 'he'],
+    [/\p{Script=Devanagari}/gu, 'hi'],
+    [/\p{Script=Thai}/gu, 'th'],
+];
+
+const MIN_WORDS = 4; // Shorter sentences take their paragraph's language
+const MIN_SCORE = 0.15;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Returns a base language code ('fr') or null when the text is too short or ambiguous
+export const detectLanguage = (text, minWords = MIN_WORDS) => {
+    const plain = text.replace(/<[^>]*>/g, ' ').toLowerCase();
+    const letters = countMatches(plain, /\p{L}/gu);
+    if (letters === 0) return null;
+
+    // Japanese text also contains Han characters, so kana is checked first
+    for (const [pattern, lang] of SCRIPTS) {
+        const count = countMatches(plain, pattern);
+        if (lang === 'ja' ? count > 0 && count * 5 >= letters : count * 2 > letters) {
+            if (lang === 'ru' && /[іїєґ]/.test(plain)) return 'uk';
+            return lang;
+        }
+    }
+
+    const words = plain.match(/\p{L}+/gu) || [];
+    if (words.length < minWords) return null;
+
+    const scores = {};
+    for (const [lang, set] of Object.entries(STOPWORD_SETS)) {
+        scores[lang] = words.reduce((sum, word) => sum + (set.has(word) ? 1 : 0), 0);
+    }
+    for (const [pattern, lang] of LETTER_HINTS) {
+        scores[lang] += countMatches(plain, pattern) * 0.5;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLang, bestScore] = ranked[0];
+    if (bestScore / words.length < MIN_SCORE || bestScore === ranked[1][1]) return null;
+    return bestLang;
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/g;
+const LANG_ATTRIBUTE_PATTERN = /\s(?:xml:)?lang\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+
+// Raw ranges declared with lang attributes: [{ start, lang }] from each position on (lang null = undeclared)
+const findDeclaredLanguages = (raw) => {
+    const layer = [{ start: 0, lang: null }];
+    if (!raw.includes('lang')) return layer;
+    const stack = []; // { name, lang } for every open element; lang is inherited
+    const current = () => (stack.length > 0 ? stack[stack.length - 1].lang : null);
+
+    for (const match of raw.matchAll(TAG_PATTERN)) {
+        const name = match[2].toLowerCase();
+        const end = match.index + match[0].length;
+        const before = current();
+        if (match[1] === '/') {
+            const index = stack.map(entry => entry.name).lastIndexOf(name);
+            if (index !== -1) stack.length = index;
+        } else if (!VOID_ELEMENTS.has(name) && !match[3].endsWith('/')) {
+            const declared = LANG_ATTRIBUTE_PATTERN.exec(match[3]);
+            const lang = declared ? (declared[1] ?? declared[2] ?? declared[3]) : before;
+            stack.push({ name, lang: lang || null });
+        }
+        if (current() !== before) layer.push({ start: end, lang: current() });
+    }
+    return layer;
+};
+
+const valueAt = (layer, position) => {
+    let value = null;
+    for (const entry of layer) {
+        if (entry.start > position) break;
+        value = entry.lang;
+    }
+    return value;
+};
+
+// Language of every part of the raw text, as a segment layer for overlaySegments (ssmlLite.js):
+// [{ start, fields: { lang } }]. sentences are the paragraph-tagged ranges from segmentSentences.
+export const detectLanguageSegments = (raw, sentences) => {
+    const layer = [{ start: 0, fields: { lang: null } }];
+    if (!raw) return layer;
+
+    const declared = findDeclaredLanguages(raw);
+    const paragraphRanges = new Map();
+    for (const sentence of sentences) {
+        const range = paragraphRanges.get(sentence.paragraph);
+        if (range) range.end = sentence.end;
+        else paragraphRanges.set(sentence.paragraph, { start: sentence.start, end: sentence.end });
+    }
+    const paragraphLangs = new Map();
+    const paragraphLang = (paragraph) => {
+        if (!paragraphLangs.has(paragraph)) {
+            const { start, end } = paragraphRanges.get(paragraph);
+            paragraphLangs.set(paragraph, detectLanguage(raw.slice(start, end), 2));
+        }
+        return paragraphLangs.get(paragraph);
+    };
+
+    let last = null;
+    const push = (start, lang) => {
+        if (lang === last) return;
+        if (layer[layer.length - 1].start === start) layer.pop();
+        layer.push({ start, fields: { lang } });
+        last = lang;
+    };
+
+    for (const sentence of sentences) {
+        const detected = detectLanguage(raw.slice(sentence.start, sentence.end)) || paragraphLang(sentence.paragraph);
+        // Declared languages inside the sentence split it at their boundaries
+        const inner = declared.filter(d => d.start > sentence.start && d.start < sentence.end);
+        push(sentence.start, valueAt(declared, sentence.start) || detected);
+        for (const d of inner) push(d.start, d.lang || detected);
+    }
+    return layer;
+};
+
+// Lists the languages found by detectLanguageSegments (base codes, in order of appearance)
+export const listSegmentLanguages = (layer) => {
+    const langs = [];
+    for (const { fields } of layer) {
+        const base = fields.lang && fields.lang.split(/[-_]/)[0].toLowerCase();
+        if (base && !langs.includes(base)) langs.push(base);
+    }
+    return langs;
+};
+
+const normalizeLang = (lang) => (lang || '').toLowerCase().replace('_', '-');
+const baseOf = (lang) => normalizeLang(lang).split('-')[0];
+
+// Picks the voice for text in `lang`: null when the main voice already speaks it, else the
+// pinned voice for the language, else the best match by voice.lang (exact tag, then base language,
+// preferring on-device voices). Returns null when no voice speaks the language.
+export const pickVoiceForLanguage = (lang, voices, pinnedVoices, mainVoice) => {
+    const base = baseOf(lang);
+    if (!base || (mainVoice && baseOf(mainVoice.lang) === base)) return null;
+
+    const pinned = pinnedVoices && pinnedVoices[base];
+    if (pinned) {
+        const voice = voices.find(v => v.name === pinned);
+        if (voice) return voice;
+    }
+    const wanted = normalizeLang(lang);
+    const byPreference = (a, b) => Number(b.localService) - Number(a.localService) || Number(b.default) - Number(a.default);
+    const exact = voices.filter(v => normalizeLang(v.lang) === wanted).sort(byPreference);
+    if (exact.length > 0 && wanted !== base) return exact[0];
+    const sameBase = voices.filter(v => baseOf(v.lang) === base).sort(byPreference);
+    return sameBase[0] || null;
+};
+
+// Human-readable language name ('fr' -> 'French'), falling back to the code
+export const getLanguageName = (lang) => {
+    try {
+        return new Intl.DisplayNames([], { type: 'language' }).of(lang) || lang;
+    } catch {
+        return lang;
+    }
+};
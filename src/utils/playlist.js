@@ -0,0 +1,74 @@
+// Playlist playback: library documents and saved selections read back-to-back, with repeat
+// modes, a pause between items and a sleep timer.
+//
+// An item is { id, documentId, text } where text is a selection's own text (read instead of the
+// whole document) or null for the whole document.
+
+export const LOOP_MODES = {
+    off: 'No repeat',
+    one: 'Repeat item',
+    all: 'Repeat list',
+};
+
+export const DEFAULT_ITEM_GAP = 2; // Seconds of silence between items
+export const MAX_ITEM_GAP = 60;
+
+export const SLEEP_TIMER_MINUTES = [5, 10, 15, 30, 45, 60, 90];
+// The volume fades over the last part of a timed sleep, one utterance (sentence) at a time
+export const SLEEP_FADE_SECONDS = 30;
+
+export const createPlaylistItem = (documentId, text = null) => ({
+    id: `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    documentId,
+    text: text && text.trim() ? text : null,
+});
+
+export const describePlaylistItem = (item, documents) => {
+    const doc = documents.find(d => d.id === item.documentId);
+    if (!doc) return { title: 'Deleted script', detail: '', isMissing: true };
+    if (!item.text) return { title: doc.name, detail: `${doc.text.length.toLocaleString()} chars`, isMissing: false };
+    const excerpt = item.text.replace(/\s+/g, ' ').trim();
+    return {
+        title: `"${excerpt.length > 40 ? `${excerpt.slice(0, 40)}...` : excerpt}"`,
+        detail: `selection from ${doc.name}`,
+        isMissing: false,
+    };
+};
+
+// Index of the item to play after the one at index (-1: the playlist is done). Items whose
+// document was deleted are skipped, including the one being repeated.
+export const getNextItemIndex = (items, index, loopMode, documents) => {
+    const isPlayable = (item) => documents.some(d => d.id === item.documentId);
+    if (loopMode === 'one' && index >= 0 && index < items.length && isPlayable(items[index])) return index;
+    for (let step = 1; step <= items.length; step++) {
+        const next = index + step;
+        if (next >= items.length && loopMode !== 'all') return -1;
+        const candidate = next % items.length;
+        if (isPlayable(items[candidate])) return candidate;
+    }
+    return -1;
+};
+
+export const moveItem = (items, index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return items;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+};
+
+export const normalizeItemGap = (seconds) => Math.min(Math.max(Number(seconds) || 0, 0), MAX_ITEM_GAP);
+
+// Volume multiplier for a timed sleep: 1 until the fade starts, then down towards 0
+export const getSleepVolume = (sleepTimer, now = Date.now()) => {
+    if (!sleepTimer || sleepTimer.mode !== 'minutes') return 1;
+    const remaining = (sleepTimer.endsAt - now) / 1000;
+    return Math.min(Math.max(remaining / SLEEP_FADE_SECONDS, 0), 1);
+};
+
+// Raw-text position where the chapter containing rawIndex ends (the text's end when it has no
+// further chapter). chapters: [{ rawStart }] in text order.
+export const findChapterEnd = (chapters, rawIndex, textLength) => {
+    const next = chapters.find(chapter => chapter.rawStart > rawIndex);
+    return next ? next.rawStart : textLength;
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { getNextItemIndex } from './playlist';
+
+const items = [{ documentId: 'a' }, { documentId: 'b' }, { documentId: 'c' }];
+const documentsWith = (...ids) => ids.map(id => ({ id }));
+
+describe('getNextItemIndex', () => {
+    it('repeats the current item in repeat-item mode', () => {
+        expect(getNextItemIndex(items, 1, 'one', documentsWith('a', 'b', 'c'))).toBe(1);
+    });
+
+    it('moves past a repeated item whose script was deleted', () => {
+        expect(getNextItemIndex(items, 1, 'one', documentsWith('a', 'c'))).toBe(2);
+        expect(getNextItemIndex(items, 2, 'one', documentsWith('a', 'b'))).toBe(-1);
+    });
+
+    it('skips deleted scripts and wraps around only in repeat-list mode', () => {
+        expect(getNextItemIndex(items, 0, 'off', documentsWith('a', 'c'))).toBe(2);
+        expect(getNextItemIndex(items, 2, 'off', documentsWith('a', 'b', 'c'))).toBe(-1);
+        expect(getNextItemIndex(items, 2, 'all', documentsWith('b', 'c'))).toBe(1);
+    });
+});
@@ -0,0 +1,206 @@
+// User-managed pronunciation dictionary: whole-word or regex substitutions applied to the
+// cleaned text right before it is split into utterances ("SQL" -> "sequel"). Voice and language
+// rules apply to the text the matching voice reads.
+// Rules are plain records, persisted in localStorage and exchanged as JSON:
+//   { id, match, replacement, isRegex, caseSensitive, scope: 'global'|'voice'|'lang', scopeValue, enabled }
+// scopeValue is a voice name for 'voice' and a language tag or prefix ('en', 'en-GB') for 'lang'.
+
+export const LEXICON_SCOPES = {
+    global: 'Every voice',
+    voice: 'One voice',
+    lang: 'One language',
+};
+
+const LEXICON_FILE_VERSION = 1;
+
+const generateRuleId = () => `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createLexiconRule = ({ match, replacement = '', isRegex = false, caseSensitive = false, scope = 'global', scopeValue = '' }) => ({
+    id: generateRuleId(),
+    match,
+    replacement,
+    isRegex: Boolean(isRegex),
+    caseSensitive: Boolean(caseSensitive),
+    scope: Object.prototype.hasOwnProperty.call(LEXICON_SCOPES, scope) ? scope : 'global',
+    scopeValue: scope === 'global' ? '' : String(scopeValue || ''),
+    enabled: true,
+});
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word rules must not match inside longer words; the lookarounds also work for
+// entries that start or end with punctuation ("e.g.", "C++")
+const compileRule = (rule) => {
+    const flags = rule.caseSensitive ? 'g' : 'gi';
+    if (rule.isRegex) return new RegExp(rule.match, flags);
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(rule.match)}(?![\\p{L}\\p{N}_])`, `${flags}u`);
+};
+
+// Returns a user-facing problem with the rule, or null when it can be used
+export const validateLexiconRule = (rule) => {
+    if (!rule.match) return 'Enter the text to replace.';
+    if (rule.scope !== 'global' && !rule.scopeValue) return 'Choose the voice or language this rule applies to.';
+    try {
+        const pattern = compileRule(rule);
+        if (pattern.test('')) return 'The pattern matches empty text.';
+    } catch (error) {
+        return error.message; // "Invalid regular expression: ..."
+    }
+    return null;
+};
+
+const appliesToVoice = (rule, voice) => {
+    if (rule.scope === 'voice') return Boolean(voice) && voice.name === rule.scopeValue;
+    if (rule.scope === 'lang') {
+        if (!voice || !voice.lang) return false;
+        const lang = voice.lang.toLowerCase().replace('_', '-');
+        const wanted = rule.scopeValue.toLowerCase().replace('_', '-');
+        return lang === wanted || lang.startsWith(`${wanted}-`);
+    }
+    return true;
+};
+
+// Expands $&, $1, $<name>, $$, $` and $' in a replacement the way String.prototype.replace does,
+// from the match found in the whole text, so lookarounds and anchors keep their meaning
+const REPLACEMENT_TOKEN_PATTERN = /\$(?:([$&`'])|(\d\d?)|<([^>]*)>)/g;
+
+const expandReplacement = (match, replacement, input) => replacement.replace(REPLACEMENT_TOKEN_PATTERN, (token, symbol, digits, name) => {
+    if (symbol === '$') return '$';
+    if (symbol === '&') return match[0];
+    if (symbol === '`') return input.slice(0, match.index);
+    if (symbol === "'") return input.slice(match.index + match[0].length);
+    if (name !== undefined) return match.groups ? (match.groups[name] ?? '') : token;
+    const groupCount = match.length - 1;
+    const group = Number(digits);
+    if (group >= 1 && group <= groupCount) return match[group] ?? '';
+    // "$10" with fewer than ten groups is group 1 followed by a literal 0
+    const first = Number(digits[0]);
+    if (digits.length === 2 && first >= 1 && first <= groupCount) return (match[first] ?? '') + digits[1];
+    return token;
+});
+
+// Applies one compiled rule to { text, rawStart, rawEnd }. A replacement covers the whole raw
+// range of the text it replaced, so highlighting still lands on the original word.
+const applyRule = (source, pattern, replacement) => {
+    const text = [];
+    const rawStart = [];
+    const rawEnd = [];
+    const copy = (from, to) => {
+        text.push(source.text.slice(from, to));
+        for (let i = from; i < to; i++) {
+            rawStart.push(source.rawStart[i]);
+            rawEnd.push(source.rawEnd[i]);
+        }
+    };
+
+    let last = 0;
+    let changed = false;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source.text)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        const start = match.index;
+        const end = start + match[0].length;
+        const spoken = expandReplacement(match, replacement, source.text);
+        copy(last, start);
+        text.push(spoken);
+        for (let k = 0; k < spoken.length; k++) {
+            rawStart.push(source.rawStart[start]);
+            rawEnd.push(source.rawEnd[end - 1]);
+        }
+        last = end;
+        changed = true;
+    }
+    if (!changed) return source;
+    copy(last, source.text.length);
+    return {
+        text: text.join(''),
+        rawStart: Int32Array.from(rawStart),
+        rawEnd: Int32Array.from(rawEnd),
+    };
+};
+
+// Runs every enabled rule that applies to the voice, in list order, over cleaned text with offsets
+export const applyLexicon = (cleaned, rules, voice) => {
+    let result = cleaned;
+    for (const rule of rules || []) {
+        if (!rule.enabled || !appliesToVoice(rule, voice) || validateLexiconRule(rule)) continue;
+        result = applyRule(result, compileRule(rule), rule.replacement);
+    }
+    return result;
+};
+
+// For text read by several voices (<voice> tags, a dialogue cast, language switching): each
+// stretch gets the rules of the voice that reads it. voiceSegments: [{ start, voice }] sorted by
+// raw-text start, the first one covering the text's beginning.
+export const applyLexiconBySegment = (cleaned, rules, voiceSegments) => {
+    const { text, rawStart, rawEnd } = cleaned;
+    const voiceAt = (rawIndex) => {
+        let low = 0;
+        let high = voiceSegments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (voiceSegments[mid].start <= rawIndex) low = mid;
+            else high = mid - 1;
+        }
+        return voiceSegments[low] ? voiceSegments[low].voice : null;
+    };
+    if (text.length === 0) return applyLexicon(cleaned, rules, voiceAt(0));
+
+    const parts = [];
+    let start = 0;
+    let voice = voiceAt(rawStart[0]);
+    for (let i = 1; i <= text.length; i++) {
+        const next = i < text.length ? voiceAt(rawStart[i]) : null;
+        if (i < text.length && next === voice) continue;
+        const part = { text: text.slice(start, i), rawStart: rawStart.subarray(start, i), rawEnd: rawEnd.subarray(start, i) };
+        parts.push(applyLexicon(part, rules, voice));
+        start = i;
+        voice = next;
+    }
+    if (parts.length === 1) return parts[0];
+
+    const joinedStart = new Int32Array(parts.reduce((total, part) => total + part.text.length, 0));
+    const joinedEnd = new Int32Array(joinedStart.length);
+    let offset = 0;
+    for (const part of parts) {
+        joinedStart.set(part.rawStart, offset);
+        joinedEnd.set(part.rawEnd, offset);
+        offset += part.text.length;
+    }
+    return { text: parts.map(part => part.text).join(''), rawStart: joinedStart, rawEnd: joinedEnd };
+};
+
+export const serializeLexicon = (rules) => JSON.stringify({
+    version: LEXICON_FILE_VERSION,
+    rules: rules.map(({ match, replacement, isRegex, caseSensitive, scope, scopeValue, enabled }) => (
+        { match, replacement, isRegex, caseSensitive, scope, scopeValue, enabled }
+    )),
+}, null, 2);
+
+// Parses an exported lexicon (or a bare array of rules). Throws with a user-facing message.
+// Returns { rules, skipped } where skipped counts entries that were not valid rules.
+export const parseLexicon = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    const entries = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(entries)) throw new Error('No "rules" list was found in the file.');
+
+    const rules = [];
+    for (const entry of entries) {
+        if (!entry || typeof entry.match !== 'string') continue;
+        const rule = {
+            ...createLexiconRule({ ...entry, replacement: typeof entry.replacement === 'string' ? entry.replacement : '' }),
+            enabled: entry.enabled !== false,
+        };
+        if (!validateLexiconRule(rule)) rules.push(rule);
+    }
+    return { rules, skipped: entries.length - rules.length };
+};
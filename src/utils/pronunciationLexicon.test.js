@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { applyLexicon, createLexiconRule } from './pronunciationLexicon';
+
+// Cleaned text whose characters map one-to-one onto the raw text
+const cleanedOf = (text) => ({
+    text,
+    rawStart: Int32Array.from(text, (_, i) => i),
+    rawEnd: Int32Array.from(text, (_, i) => i + 1),
+});
+
+const apply = (text, match, replacement) => applyLexicon(cleanedOf(text), [createLexiconRule({ match, replacement, isRegex: true })], null).text;
+
+describe('applyLexicon', () => {
+    it('keeps lookarounds and anchors of regex rules', () => {
+        expect(apply('foobar food', 'foo(?=bar)', 'baz')).toBe('bazbar food');
+        expect(apply('costs $5 or 5 more', '(?<=\\$)(\\d+)', '$1 dollars')).toBe('costs $5 dollars or 5 more');
+        expect(apply('Note one. Note two.', '^Note', 'Remark')).toBe('Remark one. Note two.');
+    });
+
+    it('expands replacement patterns like String.prototype.replace', () => {
+        const text = 'ab a';
+        for (const [match, replacement] of [
+            ['(a)(b)?', '<$1|$2|$3|$10|$01|$$|$&>'],
+            ['(?<letter>a)', "<$<letter>|$<other>|$`|$'>"],
+            ['(a)', '<$0|$9|$>'],
+        ]) {
+            expect(apply(text, match, replacement)).toBe(text.replace(new RegExp(match, 'gi'), replacement));
+        }
+    });
+
+    it('maps a replacement onto the raw range it replaced', () => {
+        const rule = createLexiconRule({ match: 'foo(?=\\()', replacement: 'food', isRegex: true });
+        const spoken = applyLexicon(cleanedOf('x foo(bar)'), [rule], null);
+        expect(spoken.text).toBe('x food(bar)');
+        expect(Array.from(spoken.rawStart.slice(2, 6))).toEqual([2, 2, 2, 2]);
+        expect(Array.from(spoken.rawEnd.slice(2, 6))).toEqual([5, 5, 5, 5]);
+    });
+});
@@ -0,0 +1,60 @@
+// Reading statistics and time estimates. Each voice's speaking speed is kept as words per minute
+// at rate 1, averaged over finished dictation runs; voices without a measured run use a typical
+// speed. Estimates scale that speed by the current rate.
+
+export const DEFAULT_WORDS_PER_MINUTE = 170;
+
+// Runs shorter than this say little about a voice's speed
+const MIN_MEASURED_WORDS = 30;
+// The average follows the most recent runs once a voice has this many
+const MAX_SPEED_SAMPLES = 10;
+// Listening sessions kept per document
+export const MAX_HISTORY_ENTRIES = 50;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Start index of every word in the text, for counting the words left from a position
+export const listWordStarts = (text) => Array.from(text.matchAll(WORD_PATTERN), match => match.index);
+
+// Number of words starting at or after the index
+export const countWordsFrom = (wordStarts, index) => {
+    let low = 0;
+    let high = wordStarts.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (wordStarts[mid] < index) low = mid + 1;
+        else high = mid;
+    }
+    return wordStarts.length - low;
+};
+
+// speeds: { [voice name]: { wpm, samples } }
+export const getWordsPerMinute = (speeds, voiceName) => (
+    speeds[voiceName] ? speeds[voiceName].wpm : DEFAULT_WORDS_PER_MINUTE
+);
+
+// Adds a measured run to the voice's average (returns the same object when the run is too short)
+export const recordReadingSpeed = (speeds, voiceName, words, seconds, rate) => {
+    if (!voiceName || words < MIN_MEASURED_WORDS || seconds <= 0 || rate <= 0) return speeds;
+    const measured = (words / (seconds / 60)) / rate;
+    const previous = speeds[voiceName];
+    const samples = previous ? Math.min(previous.samples + 1, MAX_SPEED_SAMPLES) : 1;
+    const wpm = previous ? previous.wpm + (measured - previous.wpm) / samples : measured;
+    return { ...speeds, [voiceName]: { wpm: Math.round(wpm * 10) / 10, samples } };
+};
+
+export const estimateSeconds = (words, wpm, rate) => (words / (wpm * rate)) * 60;
+
+// 42 -> "0:42", 3725 -> "1:02:05"
+export const formatDuration = (seconds) => {
+    const total = Math.max(Math.round(seconds), 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Appends a listening session to a document's history, dropping the oldest beyond the limit.
+// entry: { startedAt, duration, words, voice, rate, from, to, completed } where from/to are
+// the share of the text (0-1) where the session started and stopped.
+export const addHistoryEntry = (history, entry) => [...(history || []), entry].slice(-MAX_HISTORY_ENTRIES);
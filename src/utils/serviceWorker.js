@@ -0,0 +1,62 @@
+// Registers the offline service worker (src/sw.js, emitted by the production build only),
+// reports when the app is cached and can load without a network, and offers new versions.
+
+const isSupported = () => import.meta.env.PROD && 'serviceWorker' in navigator;
+
+// Open tabs look for a new deploy this often (browsers also check on every navigation)
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+export const registerServiceWorker = () => {
+    if (!isSupported()) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(err => {
+            console.error('Service worker registration failed:', err);
+        });
+    });
+};
+
+// Calls onReady once a worker controls this page: workers precache everything before they
+// activate, so the app then loads without a network. Returns an unsubscribe function.
+export const whenOfflineReady = (onReady) => {
+    if (!isSupported()) return () => {};
+    const check = () => {
+        if (navigator.serviceWorker.controller) onReady();
+    };
+    check();
+    navigator.serviceWorker.addEventListener('controllerchange', check);
+    return () => navigator.serviceWorker.removeEventListener('controllerchange', check);
+};
+
+// Hands control to the waiting worker, then reloads so the page runs the new version
+const activateUpdate = (worker) => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage('skipWaiting');
+};
+
+// Calls onUpdate(apply) when a new version has been installed and waits for the running one;
+// apply() switches to it and reloads the page. Returns an unsubscribe function.
+export const whenUpdateReady = (onUpdate) => {
+    if (!isSupported()) return () => {};
+    let isCancelled = false;
+    let intervalId = null;
+    const offer = (worker) => {
+        // Without a controller this is the first install, not an update
+        if (!isCancelled && worker && navigator.serviceWorker.controller) onUpdate(() => activateUpdate(worker));
+    };
+    navigator.serviceWorker.ready.then(registration => {
+        if (isCancelled) return;
+        offer(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') offer(worker);
+            });
+        });
+        intervalId = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+    });
+    return () => {
+        isCancelled = true;
+        clearInterval(intervalId);
+    };
+};
@@ -0,0 +1,72 @@
+// Cache for speech synthesized by HTTP engines: identical requests (same server, voice, text and
+// speed) are fetched once. Recent results stay in memory, and everything is kept in Cache Storage
+// as well so replays after a reload do not reach the server either. The service worker only
+// manages its own precache, so this cache survives app updates.
+
+const CACHE_NAME = 'dictator-tts-v1';
+const KEY_PATH = '/__dictator-tts-cache/';
+const WORDS_HEADER = 'X-Dictator-Words';
+const MAX_MEMORY_ENTRIES = 64;
+const MAX_STORED_ENTRIES = 1000;
+
+// key -> Promise<{ audio: ArrayBuffer, words }>; Map order doubles as least-recently-used order
+const memory = new Map();
+
+const canStore = () => typeof caches !== 'undefined' && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+
+const toCacheUrl = async (key) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return new URL(`${KEY_PATH}${hex}`, window.location.origin).href;
+};
+
+const readStored = async (key) => {
+    if (!canStore()) return null;
+    const cache = await caches.open(CACHE_NAME);
+    const response = await cache.match(await toCacheUrl(key));
+    if (!response) return null;
+    const words = response.headers.get(WORDS_HEADER);
+    return { audio: await response.arrayBuffer(), words: words ? JSON.parse(decodeURIComponent(words)) : null };
+};
+
+const writeStored = async (key, { audio, words }) => {
+    if (!canStore()) return;
+    const cache = await caches.open(CACHE_NAME);
+    // Header values must be ASCII; the word list may not be
+    const headers = words ? { [WORDS_HEADER]: encodeURIComponent(JSON.stringify(words)) } : {};
+    await cache.put(await toCacheUrl(key), new Response(audio.slice(0), { headers }));
+    const keys = await cache.keys();
+    if (keys.length > MAX_STORED_ENTRIES) {
+        await Promise.all(keys.slice(0, keys.length - MAX_STORED_ENTRIES).map(request => cache.delete(request)));
+    }
+};
+
+// Returns the cached result for the key, or calls load() once and caches what it resolves to.
+// The audio buffer is shared: callers must copy it before handing it to decodeAudioData().
+export const getCachedSpeech = (key, load) => {
+    if (memory.has(key)) {
+        const cached = memory.get(key);
+        memory.delete(key);
+        memory.set(key, cached);
+        return cached;
+    }
+    const promise = (async () => {
+        const stored = await readStored(key).catch(() => null);
+        if (stored) return stored;
+        const result = await load();
+        writeStored(key, result).catch(err => console.error(err));
+        return result;
+    })();
+    memory.set(key, promise);
+    // Failed requests are not cached, so a retry asks the server again
+    promise.catch(() => {
+        if (memory.get(key) === promise) memory.delete(key);
+    });
+    while (memory.size > MAX_MEMORY_ENTRIES) memory.delete(memory.keys().next().value);
+    return promise;
+};
+
+export const clearSpeechCache = async () => {
+    memory.clear();
+    if (typeof caches !== 'undefined') await caches.delete(CACHE_NAME);
+};
@@ -0,0 +1,715 @@
+// Parses Markdown (with inline HTML) or a full HTML document into a speech document model:
+// a list of blocks whose inline content keeps the raw-text offsets it was read from.
+//
+// Blocks:
+//   { type: 'heading', level, inlines, start, end }
+//   { type: 'paragraph', inlines, start, end }
+//   { type: 'listItem', ordered, number, depth, inlines, start, end }
+//   { type: 'blockQuote', children: [block], start, end }
+//   { type: 'codeBlock', lang, inlines, start, end }
+//   { type: 'table', rows: [[inlines]], start, end }
+//   { type: 'thematicBreak', start, end }
+// Inlines:
+//   { type: 'text', text, start, end }   text.length === end - start means a 1:1 copy of the raw text,
+//                                        otherwise (decoded entities, alt attributes) the whole range
+//   { type: 'code', text, start, end }
+//   { type: 'break', start, end }
+//   { type: 'link', url, children, start, end }   children is empty for bare URLs and autolinks,
+//                                                  url is only set for those
+//   { type: 'image', children, start, end }   children hold the alt text
+
+const textNode = (text, start, end) => ({ type: 'text', text, start, end });
+
+// --- Shared helpers: entities and tags ---
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+    hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°',
+    times: '×', divide: '÷', middot: '·', bull: '•', para: '¶', sect: '§', shy: '',
+};
+
+let entityDecoder = null;
+
+const decodeNamedEntity = (name) => {
+    if (Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)) return NAMED_ENTITIES[name];
+    // The browser knows every HTML5 entity; a detached textarea decodes without running markup
+    if (typeof document === 'undefined') return null;
+    entityDecoder = entityDecoder || document.createElement('textarea');
+    entityDecoder.innerHTML = `&${name};`;
+    const decoded = entityDecoder.value;
+    return decoded === `&${name};` ? null : decoded;
+};
+
+// Matches an entity at raw[i] ('&'); returns { text, end } or null
+const matchEntity = (raw, i, end) => {
+    const match = /^&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([a-zA-Z][a-zA-Z0-9]{1,31}));/.exec(raw.slice(i, Math.min(end, i + 40)));
+    if (!match) return null;
+    let text = null;
+    if (match[1] || match[2]) {
+        const codePoint = match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16);
+        text = codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : null;
+    } else {
+        text = decodeNamedEntity(match[3]);
+    }
+    return text === null ? null : { text, end: i + match[0].length };
+};
+
+const decodeEntities = (str) => str.replace(/&[#a-zA-Z0-9]+;/g, (entity) => {
+    const match = matchEntity(entity, 0, entity.length);
+    return match ? match.text : entity;
+});
+
+const TAG_PATTERN = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const AUTOLINK_PATTERN = /^<(?:[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+\.[^\s<>]+)>/;
+// Bare web addresses in running text; trailing punctuation belongs to the sentence
+const BARE_URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>]*[^\s<>?!.,:;*_~'")\]]/y;
+const ONLY_URL_PATTERN = /^\s*(?:https?:\/\/|www\.)\S+\s*$/;
+
+// Matches markup at raw[i] ('<'); returns { kind: 'comment'|'autolink'|'tag', end, name, closing, attributes } or null
+const matchMarkup = (raw, i, end) => {
+    if (raw.startsWith('<!--', i)) {
+        const close = raw.indexOf('-->', i + 4);
+        return close !== -1 && close + 3 <= end ? { kind: 'comment', end: close + 3 } : null;
+    }
+    if (raw.startsWith('<!', i) || raw.startsWith('<?', i)) {
+        const close = raw.indexOf('>', i);
+        return close !== -1 && close < end ? { kind: 'comment', end: close + 1 } : null; // Doctype / processing instruction
+    }
+    const slice = raw.slice(i, end);
+    const autolink = AUTOLINK_PATTERN.exec(slice);
+    if (autolink) return { kind: 'autolink', end: i + autolink[0].length };
+
+    const tag = TAG_PATTERN.exec(slice);
+    if (!tag) return null;
+    const attributes = {};
+    for (const attr of tag[3].matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[attr[1].toLowerCase()] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '');
+    }
+    return {
+        kind: 'tag',
+        end: i + tag[0].length,
+        name: tag[2].toLowerCase(),
+        closing: tag[1] === '/',
+        selfClosing: tag[4] === '/',
+        attributes,
+    };
+};
+
+// --- Markdown inlines ---
+
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const isSpace = (ch) => ch === undefined || /\s/.test(ch);
+const isAlphanumeric = (ch) => ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+
+// Finds the bracket matching raw[i] ('['), honouring nesting and escapes
+const findClosingBracket = (raw, i, end) => {
+    let depth = 0;
+    for (let j = i; j < end; j++) {
+        if (raw[j] === '\\') j++;
+        else if (raw[j] === '[') depth++;
+        else if (raw[j] === ']' && --depth === 0) return j;
+    }
+    return -1;
+};
+
+// Matches [text](destination) or [text][ref] at raw[i]; returns { textStart, textEnd, end } or null
+const matchLink = (raw, i, end) => {
+    const close = findClosingBracket(raw, i, end);
+    if (close === -1) return null;
+    if (raw[close + 1] === '(') {
+        let depth = 0;
+        for (let j = close + 1; j < end; j++) {
+            if (raw[j] === '\\') j++;
+            else if (raw[j] === '(') depth++;
+            else if (raw[j] === ')' && --depth === 0) return { textStart: i + 1, textEnd: close, end: j + 1 };
+        }
+        return null;
+    }
+    if (raw[close + 1] === '[') {
+        const refClose = raw.indexOf(']', close + 2);
+        if (refClose !== -1 && refClose < end) return { textStart: i + 1, textEnd: close, end: refClose + 1 };
+    }
+    return null;
+};
+
+// Emphasis/strikethrough runs are dropped when they act as delimiters. Intraword underscores
+// (snake_case) and spaced or numeric asterisks (2 * 3, 2*3) are real characters and stay.
+const isDelimiterRun = (raw, start, end, runEnd) => {
+    const ch = raw[start];
+    const before = start > 0 ? raw[start - 1] : undefined;
+    const after = runEnd < raw.length ? raw[runEnd] : undefined;
+    const leftFlanking = !isSpace(after);
+    const rightFlanking = !isSpace(before);
+    if (!leftFlanking && !rightFlanking) return false;
+    if (ch === '_') return (leftFlanking && !isAlphanumeric(before)) || (rightFlanking && !isAlphanumeric(after));
+    if (ch === '~') return runEnd - start === 2;
+    return !(/\d/.test(before || '') && /\d/.test(after || ''));
+};
+
+const parseInlineRange = (raw, start, end) => {
+    const nodes = [];
+    let textStart = start;
+    const flush = (i) => {
+        if (i > textStart) nodes.push(textNode(raw.slice(textStart, i), textStart, i));
+    };
+
+    let i = start;
+    while (i < end) {
+        const ch = raw[i];
+
+        if (ch === '\\' && i + 1 < end && ASCII_PUNCTUATION.test(raw[i + 1])) {
+            flush(i);
+            textStart = i + 1; // Keep the escaped character, drop the backslash
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            let runEnd = i;
+            while (runEnd < end && raw[runEnd] === '`') runEnd++;
+            const fence = raw.slice(i, runEnd);
+            let close = raw.indexOf(fence, runEnd);
+            while (close !== -1 && close < end && raw[close + fence.length] === '`') close = raw.indexOf(fence, close + fence.length + 1);
+            flush(i);
+            if (close !== -1 && close + fence.length <= end) {
+                let codeStart = runEnd;
+                let codeEnd = close;
+                if (raw[codeStart] === ' ' && raw[codeEnd - 1] === ' ' && codeEnd - codeStart > 2) {
+                    codeStart++;
+                    codeEnd--;
+                }
+                nodes.push({ type: 'code', text: raw.slice(codeStart, codeEnd), start: codeStart, end: codeEnd });
+                i = close + fence.length;
+            } else {
+                i = runEnd; // Unmatched backticks are markup noise
+            }
+            textStart = i;
+            continue;
+        }
+
+        if ((ch === '!' && raw[i + 1] === '[') || ch === '[') {
+            const isImage = ch === '!';
+            const link = matchLink(raw, isImage ? i + 1 : i, end);
+            if (link) {
+                flush(i);
+                nodes.push({
+                    type: isImage ? 'image' : 'link',
+                    children: parseInlineRange(raw, link.textStart, link.textEnd),
+                    start: i,
+                    end: link.end,
+                });
+                i = link.end;
+                textStart = i;
+                continue;
+            }
+        }
+
+        if (ch === '<') {
+            const markup = matchMarkup(raw, i, end);
+            if (markup) {
+                flush(i);
+                if (markup.kind === 'autolink') {
+                    nodes.push({ type: 'link', url: raw.slice(i + 1, markup.end - 1), children: [], start: i, end: markup.end });
+                } else if (markup.kind === 'tag' && markup.name === 'br') {
+                    nodes.push({ type: 'break', start: i, end: markup.end });
+                } else if (markup.kind === 'tag' && markup.name === 'img') {
+                    const alt = markup.attributes.alt || '';
+                    nodes.push({ type: 'image', children: alt ? [textNode(alt, i, markup.end)] : [], start: i, end: markup.end });
+                }
+                // Any other inline tag is dropped; its text content is read normally
+                i = markup.end;
+                textStart = i;
+                continue;
+            }
+        }
+
+        if (ch === '&') {
+            const entity = matchEntity(raw, i, end);
+            if (entity) {
+                flush(i);
+                nodes.push(textNode(entity.text, i, entity.end));
+                i = entity.end;
+                textStart = i;
+                continue;
+            }
+        }
+
+        if ((ch === 'h' || ch === 'w') && !isAlphanumeric(raw[i - 1])) {
+            BARE_URL_PATTERN.lastIndex = i;
+            const url = BARE_URL_PATTERN.exec(raw);
+            if (url) {
+                const urlEnd = Math.min(i + url[0].length, end);
+                flush(i);
+                nodes.push({ type: 'link', url: raw.slice(i, urlEnd), children: [], start: i, end: urlEnd });
+                i = urlEnd;
+                textStart = i;
+                continue;
+            }
+        }
+
+        if (ch === '*' || ch === '_' || ch === '~') {
+            let runEnd = i;
+            while (runEnd < end && raw[runEnd] === ch) runEnd++;
+            if (isDelimiterRun(raw, i, end, runEnd)) {
+                flush(i);
+                textStart = runEnd;
+            }
+            i = runEnd;
+            continue;
+        }
+
+        i++;
+    }
+    flush(end);
+    return nodes;
+};
+
+// Inline content of a block spread over several (prefix-stripped) line ranges
+const parseInlineLines = (raw, lines) => {
+    const nodes = [];
+    lines.forEach((line, index) => {
+        if (index > 0) nodes.push({ type: 'break', start: lines[index - 1].end, end: line.start });
+        nodes.push(...parseInlineRange(raw, line.start, line.end));
+    });
+    return nodes;
+};
+
+// --- Markdown blocks ---
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_PATTERN = /^( {0,3})(#{1,6})(?:[ \t]+|$)/;
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_ITEM_PATTERN = /^([ \t]*)([-+*]|(\d{1,9})[.)])(?:[ \t]+|$)/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*\S+/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const INDENTED_CODE_PATTERN = /^(?: {4}|\t| {1,3}\t)/;
+
+const lineText = (raw, line) => raw.slice(line.start, line.end);
+const isBlank = (raw, line) => /^\s*$/.test(lineText(raw, line));
+
+// Trims a range to its non-whitespace content
+const trimRange = (raw, start, end) => {
+    while (start < end && /\s/.test(raw[start])) start++;
+    while (end > start && /\s/.test(raw[end - 1])) end--;
+    return { start, end };
+};
+
+const splitTableRow = (raw, line) => {
+    let { start, end } = trimRange(raw, line.start, line.end);
+    if (raw[start] === '|') start++;
+    if (end > start && raw[end - 1] === '|' && raw[end - 2] !== '\\') end--;
+    const cells = [];
+    let cellStart = start;
+    for (let i = start; i <= end; i++) {
+        if (raw[i] === '\\') {
+            i++;
+        } else if (i === end || raw[i] === '|') {
+            cells.push(trimRange(raw, cellStart, i));
+            cellStart = i + 1;
+        }
+    }
+    return cells;
+};
+
+// Starts of constructs that interrupt a paragraph or list item continuation
+const startsBlock = (raw, line) => {
+    const text = lineText(raw, line);
+    return FENCE_PATTERN.test(text) || HEADING_PATTERN.test(text) || THEMATIC_BREAK_PATTERN.test(text)
+        || QUOTE_PATTERN.test(text) || LIST_ITEM_PATTERN.test(text);
+};
+
+const parseMarkdownBlocks = (raw, lines) => {
+    const blocks = [];
+    let paragraph = null;
+    const closeParagraph = () => {
+        if (paragraph) {
+            paragraph.inlines = parseInlineLines(raw, paragraph.lines);
+            paragraph.end = paragraph.lines[paragraph.lines.length - 1].end;
+            delete paragraph.lines;
+            blocks.push(paragraph);
+            paragraph = null;
+        }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const text = lineText(raw, line);
+
+        if (isBlank(raw, line)) {
+            closeParagraph();
+            i++;
+            continue;
+        }
+
+        const fence = FENCE_PATTERN.exec(text);
+        if (fence) {
+            closeParagraph();
+            const marker = fence[1];
+            let close = i + 1;
+            const closePattern = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+            while (close < lines.length && !closePattern.test(lineText(raw, lines[close]))) close++;
+            const contentLines = lines.slice(i + 1, close);
+            const inlines = [];
+            contentLines.forEach((contentLine, index) => {
+                if (index > 0) inlines.push({ type: 'break', start: contentLines[index - 1].end, end: contentLine.start });
+                inlines.push(textNode(lineText(raw, contentLine), contentLine.start, contentLine.end));
+            });
+            const last = lines[Math.min(close, lines.length - 1)];
+            blocks.push({ type: 'codeBlock', lang: fence[2] || '', inlines, start: line.start, end: last.end });
+            i = close + 1;
+            continue;
+        }
+
+        // Indented code blocks cannot interrupt a paragraph, and right after a list item the
+        // indentation continues the item instead
+        const previousBlock = blocks[blocks.length - 1];
+        if (!paragraph && INDENTED_CODE_PATTERN.test(text) && !(previousBlock && previousBlock.type === 'listItem')) {
+            const contentLines = [];
+            let j = i;
+            while (j < lines.length && (INDENTED_CODE_PATTERN.test(lineText(raw, lines[j])) || isBlank(raw, lines[j]))) {
+                const indent = INDENTED_CODE_PATTERN.exec(lineText(raw, lines[j]));
+                contentLines.push({ start: lines[j].start + (indent ? indent[0].length : 0), end: lines[j].end });
+                j++;
+            }
+            // Blank lines after the code belong to the gap before the next block
+            while (isBlank(raw, lines[j - 1])) {
+                contentLines.pop();
+                j--;
+            }
+            const inlines = [];
+            contentLines.forEach((contentLine, index) => {
+                if (index > 0) inlines.push({ type: 'break', start: contentLines[index - 1].end, end: contentLine.start });
+                inlines.push(textNode(lineText(raw, contentLine), contentLine.start, contentLine.end));
+            });
+            blocks.push({ type: 'codeBlock', lang: '', inlines, start: line.start, end: lines[j - 1].end });
+            i = j;
+            continue;
+        }
+
+        // Setext headings: a paragraph underlined with === or ---
+        if (paragraph && paragraph.lines.length > 0 && /^ {0,3}(=+|-+)[ \t]*$/.test(text)) {
+            const level = text.trim()[0] === '=' ? 1 : 2;
+            blocks.push({
+                type: 'heading',
+                level,
+                inlines: parseInlineLines(raw, paragraph.lines),
+                start: paragraph.start,
+                end: line.end,
+            });
+            paragraph = null;
+            i++;
+            continue;
+        }
+
+        const heading = HEADING_PATTERN.exec(text);
+        if (heading) {
+            closeParagraph();
+            let contentEnd = line.end;
+            const closingHashes = /(?:^|[ \t]+)#+[ \t]*$/.exec(raw.slice(line.start + heading[0].length, line.end));
+            if (closingHashes) contentEnd = line.start + heading[0].length + closingHashes.index;
+            blocks.push({
+                type: 'heading',
+                level: heading[2].length,
+                inlines: parseInlineRange(raw, line.start + heading[0].length, contentEnd),
+                start: line.start,
+                end: line.end,
+            });
+            i++;
+            continue;
+        }
+
+        if (THEMATIC_BREAK_PATTERN.test(text)) {
+            closeParagraph();
+            blocks.push({ type: 'thematicBreak', start: line.start, end: line.end });
+            i++;
+            continue;
+        }
+
+        if (REFERENCE_DEFINITION_PATTERN.test(text)) {
+            closeParagraph(); // Link reference definitions are never read aloud
+            i++;
+            continue;
+        }
+
+        // Multi-line HTML comments are skipped entirely
+        if (/^\s*<!--/.test(text) && !text.includes('-->')) {
+            closeParagraph();
+            while (i < lines.length && !lineText(raw, lines[i]).includes('-->')) i++;
+            i++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(text)) {
+            closeParagraph();
+            const innerLines = [];
+            const start = line.start;
+            let lastEnd = line.end;
+            while (i < lines.length && QUOTE_PATTERN.test(lineText(raw, lines[i]))) {
+                const prefix = QUOTE_PATTERN.exec(lineText(raw, lines[i]))[0];
+                innerLines.push({ start: lines[i].start + prefix.length, end: lines[i].end });
+                lastEnd = lines[i].end;
+                i++;
+            }
+            blocks.push({ type: 'blockQuote', children: parseMarkdownBlocks(raw, innerLines), start, end: lastEnd });
+            continue;
+        }
+
+        const listItem = LIST_ITEM_PATTERN.exec(text);
+        if (listItem && !(paragraph && listItem[1].length > 3)) {
+            closeParagraph();
+            const depth = Math.floor(listItem[1].replace(/\t/g, '    ').length / 2);
+            const ordered = listItem[3] !== undefined;
+            const previous = blocks[blocks.length - 1];
+            const number = ordered
+                ? parseInt(listItem[3], 10)
+                : (previous && previous.type === 'listItem' && previous.depth === depth && !previous.ordered ? previous.number + 1 : 1);
+
+            // Continuation lines (indented or lazy) belong to the item until a blank line or new block
+            const itemLines = [{ start: line.start + listItem[0].length, end: line.end }];
+            i++;
+            while (i < lines.length && !isBlank(raw, lines[i]) && !startsBlock(raw, lines[i])) {
+                itemLines.push(lines[i]);
+                i++;
+            }
+            blocks.push({
+                type: 'listItem',
+                ordered,
+                number,
+                depth,
+                inlines: parseInlineLines(raw, itemLines),
+                start: line.start,
+                end: itemLines[itemLines.length - 1].end,
+            });
+            continue;
+        }
+
+        // Tables: a row of cells followed by a delimiter row (| --- | :---: |)
+        if (!paragraph && text.includes('|') && i + 1 < lines.length && TABLE_DELIMITER_PATTERN.test(lineText(raw, lines[i + 1]))) {
+            const rows = [splitTableRow(raw, line)];
+            let j = i + 2;
+            while (j < lines.length && !isBlank(raw, lines[j]) && lineText(raw, lines[j]).includes('|')) {
+                rows.push(splitTableRow(raw, lines[j]));
+                j++;
+            }
+            blocks.push({
+                type: 'table',
+                rows: rows.map(cells => cells.map(cell => parseInlineRange(raw, cell.start, cell.end))),
+                start: line.start,
+                end: lines[j - 1].end,
+            });
+            i = j;
+            continue;
+        }
+
+        if (!paragraph) paragraph = { type: 'paragraph', lines: [], start: line.start };
+        paragraph.lines.push(line);
+        i++;
+    }
+    closeParagraph();
+    return blocks;
+};
+
+// --- HTML documents ---
+
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'template', 'noscript', 'svg', 'math', 'iframe', 'object']);
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'address', 'figure',
+    'figcaption', 'caption', 'details', 'summary', 'form', 'fieldset', 'dl', 'dt', 'dd', 'ul', 'ol', 'body', 'html',
+]);
+
+const parseHtmlBlocks = (raw) => {
+    const root = [];
+    const containers = [root]; // Block lists: the document, or the children of open blockquotes
+    const listStack = []; // { ordered, counter }
+    const linkStack = []; // Open <a> elements collecting their children
+    let block = null; // The block receiving inline content
+    let table = null;
+    let row = null;
+    let cell = null;
+    let pre = null; // { start } while inside <pre>
+
+    const currentContainer = () => containers[containers.length - 1];
+    const finishBlock = (end) => {
+        if (block) {
+            block.end = end;
+            if (block.inlines.length > 0) currentContainer().push(block);
+            block = null;
+        }
+    };
+    const inlineTarget = (position) => {
+        if (linkStack.length > 0) return linkStack[linkStack.length - 1].children;
+        if (cell) return cell;
+        if (!block) block = { type: 'paragraph', inlines: [], start: position };
+        return block.inlines;
+    };
+    const addText = (text, start, end) => {
+        // Source line breaks are plain whitespace in HTML (except inside <pre>)
+        inlineTarget(start).push(textNode(pre ? text : text.replace(/[\n\r\t]/g, ' '), start, end));
+    };
+
+    let i = 0;
+    let textStart = 0;
+    const flushText = (position) => {
+        if (position > textStart) addText(raw.slice(textStart, position), textStart, position);
+    };
+
+    while (i < raw.length) {
+        const ch = raw[i];
+        if (ch === '&') {
+            const entity = matchEntity(raw, i, raw.length);
+            if (entity) {
+                flushText(i);
+                addText(entity.text, i, entity.end);
+                i = entity.end;
+                textStart = i;
+                continue;
+            }
+        }
+        if (ch !== '<') {
+            i++;
+            continue;
+        }
+        const markup = matchMarkup(raw, i, raw.length);
+        if (!markup || markup.kind === 'autolink') {
+            i++;
+            continue;
+        }
+        flushText(i);
+        const tagStart = i;
+        i = markup.end;
+        textStart = i;
+        if (markup.kind === 'comment') continue;
+
+        const { name, closing, attributes } = markup;
+
+        if (!closing && SKIPPED_ELEMENTS.has(name) && !markup.selfClosing) {
+            const close = raw.toLowerCase().indexOf(`</${name}`, i);
+            i = close === -1 ? raw.length : raw.indexOf('>', close) + 1 || raw.length;
+            textStart = i;
+            continue;
+        }
+
+        if (/^h[1-6]$/.test(name)) {
+            finishBlock(tagStart);
+            if (!closing) block = { type: 'heading', level: Number(name[1]), inlines: [], start: tagStart };
+        } else if (name === 'li') {
+            finishBlock(tagStart);
+            if (!closing) {
+                const list = listStack[listStack.length - 1] || { ordered: false, counter: 0 };
+                list.counter += 1;
+                block = {
+                    type: 'listItem',
+                    ordered: list.ordered,
+                    number: list.counter,
+                    depth: Math.max(listStack.length - 1, 0),
+                    inlines: [],
+                    start: tagStart,
+                };
+            }
+        } else if (name === 'ul' || name === 'ol') {
+            finishBlock(tagStart);
+            if (closing) listStack.pop();
+            else listStack.push({ ordered: name === 'ol', counter: (parseInt(attributes.start, 10) || 1) - 1 });
+        } else if (name === 'blockquote') {
+            finishBlock(tagStart);
+            if (closing && containers.length > 1) {
+                containers.pop();
+                const quotes = currentContainer();
+                quotes[quotes.length - 1].end = markup.end;
+            } else if (!closing) {
+                const quote = { type: 'blockQuote', children: [], start: tagStart, end: markup.end };
+                currentContainer().push(quote);
+                containers.push(quote.children);
+            }
+        } else if (name === 'pre') {
+            finishBlock(tagStart);
+            if (!closing) {
+                pre = { start: tagStart };
+                block = { type: 'codeBlock', lang: '', inlines: [], start: tagStart };
+            } else {
+                pre = null;
+                finishBlock(markup.end);
+            }
+        } else if (name === 'table') {
+            finishBlock(tagStart);
+            if (!closing) {
+                table = { type: 'table', rows: [], start: tagStart };
+            } else if (table) {
+                table.end = markup.end;
+                if (table.rows.length > 0) currentContainer().push(table);
+                table = null;
+            }
+        } else if (name === 'tr' && table) {
+            row = closing ? null : [];
+            if (row) table.rows.push(row);
+        } else if ((name === 'td' || name === 'th') && table) {
+            if (!row) {
+                row = [];
+                table.rows.push(row);
+            }
+            cell = closing ? null : [];
+            if (cell) row.push(cell);
+        } else if (name === 'a') {
+            if (!closing) {
+                linkStack.push({ type: 'link', children: [], start: tagStart, end: markup.end });
+            } else if (linkStack.length > 0) {
+                const link = linkStack.pop();
+                link.end = markup.end;
+                // A link written out as its own address is read like a bare URL
+                const linkText = link.children.map(child => (child.type === 'text' ? child.text : '')).join('');
+                if (link.children.every(child => child.type === 'text') && ONLY_URL_PATTERN.test(linkText)) {
+                    link.url = linkText.trim();
+                    link.children = [];
+                }
+                inlineTarget(link.start).push(link);
+            }
+        } else if (name === 'img') {
+            const alt = attributes.alt || '';
+            inlineTarget(tagStart).push({ type: 'image', children: alt ? [textNode(alt, tagStart, markup.end)] : [], start: tagStart, end: markup.end });
+        } else if (name === 'br') {
+            inlineTarget(tagStart).push({ type: 'break', start: tagStart, end: markup.end });
+        } else if (name === 'hr') {
+            finishBlock(tagStart);
+            currentContainer().push({ type: 'thematicBreak', start: tagStart, end: markup.end });
+        } else if (BLOCK_ELEMENTS.has(name)) {
+            finishBlock(tagStart);
+        }
+        // Inline elements (b, em, span, code...) are transparent
+    }
+    flushText(raw.length);
+    finishBlock(raw.length);
+    return root;
+};
+
+// Treat the input as an HTML document when it starts with markup and closes elements
+const looksLikeHtmlDocument = (raw) => /^\s*<(?:!doctype|html|head|body|[a-z][a-z0-9]*)[\s>/]/i.test(raw) && /<\/[a-z][a-z0-9]*\s*>/i.test(raw);
+
+// YAML front matter (between '---' lines at the very top) holds metadata such as a cast list.
+// Returns its length in characters, 0 when there is none.
+export const matchFrontMatter = (raw) => {
+    const match = /^---[ \t]*\r?\n(?:[\s\S]*?\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/.exec(raw || '');
+    return match ? match[0].length : 0;
+};
+
+const splitLines = (raw, from = 0) => {
+    const lines = [];
+    let start = from;
+    for (let i = from; i <= raw.length; i++) {
+        if (i === raw.length || raw[i] === '\n') {
+            // Exclude a Windows carriage return from the line content
+            lines.push({ start, end: i > start && raw[i - 1] === '\r' ? i - 1 : i });
+            start = i + 1;
+        }
+    }
+    return lines;
+};
+
+export const parseSpeechDocument = (raw) => {
+    if (!raw) return [];
+    // Front matter is metadata and is never read aloud
+    return looksLikeHtmlDocument(raw) ? parseHtmlBlocks(raw) : parseMarkdownBlocks(raw, splitLines(raw, matchFrontMatter(raw)));
+};
@@ -0,0 +1,212 @@
+// Text-to-speech engines for dictation. The app only talks to this interface, so the browser's
+// speechSynthesis can be swapped for another engine or for the deterministic fake below.
+//
+// An engine is
+// {
+//     isSupported: true,
+//     getVoices: () => [voice],                // { name, lang, localService, default, voiceURI }
+//     onVoicesChanged: (listener) => unsubscribe,
+//     speak: (utterance, handlers) => {},      // utterance: { text, voice, lang, rate, pitch, volume }
+//     pause: () => {},
+//     resume: () => {},
+//     cancel: () => {},                        // drops the queue; a paused engine is resumed for the next speak()
+//     isPaused: () => false,
+//     prefetch: (utterance) => {},             // optional: prepare an utterance that will be spoken soon
+// }
+// and handlers are
+// {
+//     onStart: () => {},
+//     onBoundary: (event) => {},               // { name: 'word', charIndex, charLength } relative to the utterance text
+//     onEnd: () => {},
+//     onError: (event) => {},                  // { error }: 'interrupted'/'canceled' when cancel() cut it off
+// }
+
+export const createWebSpeechEngine = (synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined) => ({
+    isSupported: Boolean(synth),
+    getVoices: () => (synth ? synth.getVoices() : []),
+    onVoicesChanged: (listener) => {
+        if (!synth) return () => {};
+        synth.onvoiceschanged = listener;
+        return () => {
+            if (synth.onvoiceschanged === listener) synth.onvoiceschanged = null;
+        };
+    },
+    speak: ({ text, voice, lang, rate = 1, pitch = 1, volume = 1 }, { onStart, onBoundary, onEnd, onError } = {}) => {
+        const utterance = new SpeechSynthesisUtterance(text);
+        if (voice) utterance.voice = voice;
+        if (lang) utterance.lang = lang;
+        utterance.rate = rate;
+        utterance.pitch = pitch;
+        utterance.volume = volume;
+        if (onStart) utterance.onstart = () => onStart();
+        if (onBoundary) utterance.onboundary = (event) => onBoundary({ name: event.name, charIndex: event.charIndex, charLength: event.charLength });
+        if (onEnd) utterance.onend = () => onEnd();
+        if (onError) utterance.onerror = (event) => onError({ error: event.error });
+        synth.speak(utterance);
+    },
+    pause: () => synth && synth.pause(),
+    resume: () => synth && synth.resume(),
+    cancel: () => {
+        if (!synth) return;
+        synth.cancel();
+        if (synth.paused) synth.resume(); // A cancelled but paused engine would not play the next queue
+    },
+    isPaused: () => Boolean(synth && synth.paused),
+});
+
+export const FAKE_VOICES = [
+    { name: 'Fake English', lang: 'en-US', localService: true, default: true, voiceURI: 'fake-en-US' },
+    { name: 'Fake British (network)', lang: 'en-GB', localService: false, default: false, voiceURI: 'fake-en-GB' },
+    { name: 'Fake French', lang: 'fr-FR', localService: true, default: false, voiceURI: 'fake-fr-FR' },
+];
+
+// Start, a boundary event at every word, then the end, each at a fixed time per character
+const buildTimeline = (text, msPerCharacter, failure) => {
+    if (failure) return [{ at: 0, type: 'error', error: failure }];
+    const timeline = [{ at: 0, type: 'start' }];
+    for (const match of text.matchAll(/\S+/g)) {
+        timeline.push({ at: match.index * msPerCharacter, type: 'boundary', charIndex: match.index, charLength: match[0].length });
+    }
+    timeline.push({ at: Math.max(text.length, 1) * msPerCharacter, type: 'end' });
+    return timeline;
+};
+
+// A deterministic engine for tests and development without system voices. Utterances "speak" for
+// msPerCharacter per character and report a boundary event at the start of every word; nothing is
+// audible. Timers come from the scheduler, so tests can drive them with fake timers. Pausing
+// between two events restarts the wait for the next one on resume.
+// failUtterance: (text) => an error code to fail that utterance with, or null.
+// engine.log records every event fired: [{ type, text, charIndex }].
+export const createFakeSpeechEngine = ({
+    voices = FAKE_VOICES,
+    msPerCharacter = 50,
+    failUtterance = () => null,
+    scheduler = { setTimeout: (callback, ms) => setTimeout(callback, ms), clearTimeout: (id) => clearTimeout(id) },
+} = {}) => {
+    const pending = [];
+    const voiceListeners = new Set();
+    const log = [];
+    let current = null; // { utterance, handlers, timeline, step, timer }
+    let paused = false;
+    let availableVoices = voices;
+
+    const fire = (entry, event) => {
+        const { handlers, utterance } = entry;
+        log.push({ type: event.type, text: utterance.text, charIndex: event.charIndex });
+        if (event.type === 'start' && handlers.onStart) handlers.onStart();
+        if (event.type === 'boundary' && handlers.onBoundary) handlers.onBoundary({ name: 'word', charIndex: event.charIndex, charLength: event.charLength });
+        if (event.type === 'end' && handlers.onEnd) handlers.onEnd();
+        if (event.type === 'error' && handlers.onError) handlers.onError({ error: event.error });
+    };
+
+    const scheduleNext = () => {
+        const entry = current;
+        if (!entry || paused || entry.timer !== null) return;
+        const event = entry.timeline[entry.step];
+        const previousAt = entry.step > 0 ? entry.timeline[entry.step - 1].at : 0;
+        entry.timer = scheduler.setTimeout(() => {
+            entry.timer = null;
+            entry.step += 1;
+            const isLast = entry.step === entry.timeline.length;
+            if (isLast) current = null;
+            fire(entry, event);
+            // Handlers may have queued, paused or cancelled in the meantime
+            if (current === entry) scheduleNext();
+            else if (!current) startNext();
+        }, event.at - previousAt);
+    };
+
+    const startNext = () => {
+        if (current || pending.length === 0) return;
+        current = { ...pending.shift(), step: 0, timer: null };
+        scheduleNext();
+    };
+
+    return {
+        isSupported: true,
+        log,
+        getVoices: () => availableVoices,
+        onVoicesChanged: (listener) => {
+            voiceListeners.add(listener);
+            return () => voiceListeners.delete(listener);
+        },
+        // Replaces the voice list and notifies listeners, like a browser finishing its voice load
+        setVoices: (nextVoices) => {
+            availableVoices = nextVoices;
+            voiceListeners.forEach(listener => listener());
+        },
+        speak: (utterance, handlers = {}) => {
+            pending.push({ utterance, handlers, timeline: buildTimeline(utterance.text, msPerCharacter, failUtterance(utterance.text)) });
+            startNext();
+        },
+        pause: () => {
+            paused = true;
+            if (current && current.timer !== null) {
+                scheduler.clearTimeout(current.timer);
+                current.timer = null;
+            }
+        },
+        resume: () => {
+            if (!paused) return;
+            paused = false;
+            if (current) scheduleNext();
+            else startNext();
+        },
+        cancel: () => {
+            const dropped = [current, ...pending].filter(Boolean);
+            if (current && current.timer !== null) scheduler.clearTimeout(current.timer);
+            current = null;
+            pending.length = 0;
+            paused = false;
+            dropped.forEach((entry, index) => {
+                const wasStarted = index === 0 && entry.step > 0;
+                fire(entry, { type: 'error', error: wasStarted ? 'interrupted' : 'canceled' });
+            });
+        },
+        isPaused: () => paused,
+    };
+};
+
+// Several engines behind one: the voice lists are joined and each utterance goes to the engine
+// that owns its voice (the first engine when none does). Only one of them speaks at a time.
+export const combineSpeechEngines = (...engines) => {
+    const supported = engines.filter(engine => engine.isSupported);
+    let active = supported[0] || engines[0];
+
+    const engineFor = (voice) => (voice && supported.find(engine => engine.getVoices().includes(voice))) || supported[0] || engines[0];
+
+    return {
+        isSupported: supported.length > 0,
+        getVoices: () => supported.flatMap(engine => engine.getVoices()),
+        onVoicesChanged: (listener) => {
+            const unsubscribes = supported.map(engine => engine.onVoicesChanged(listener));
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        },
+        speak: (utterance, handlers) => {
+            const engine = engineFor(utterance.voice);
+            if (engine !== active) active.cancel();
+            active = engine;
+            engine.speak(utterance, handlers);
+        },
+        prefetch: (utterance) => {
+            const engine = engineFor(utterance.voice);
+            if (engine.prefetch) engine.prefetch(utterance);
+        },
+        pause: () => active.pause(),
+        resume: () => active.resume(),
+        cancel: () => supported.forEach(engine => engine.cancel()),
+        isPaused: () => active.isPaused(),
+    };
+};
+
+let speechEngine = null;
+
+// Replaces the engine used for dictation (pass null to restore the browser's)
+export const setSpeechEngine = (engine) => {
+    speechEngine = engine;
+};
+
+export const getSpeechEngine = () => {
+    if (!speechEngine) speechEngine = createWebSpeechEngine();
+    return speechEngine;
+};
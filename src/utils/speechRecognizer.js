@@ -0,0 +1,138 @@
+// Speech-to-text recognizers for Listen mode. The app only talks to this interface, so the
+// browser's SpeechRecognition can be swapped for another engine or for the scripted fake below.
+//
+// A recognizer factory takes
+// {
+//     lang: 'en-US',
+//     onInterim: (transcript) => {},  // the not-yet-final words heard so far (replaces the previous interim)
+//     onFinal: (transcript) => {},    // a finished phrase
+//     onError: (error) => {},         // { code, message, isFatal }; fatal errors end listening
+//     onEnd: () => {},                // the recognizer stopped (by itself or after stop())
+// }
+// and returns { start(), stop() }.
+
+const getSpeechRecognition = () => window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+// Error codes after which restarting is pointless
+const FATAL_ERRORS = new Set(['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported']);
+
+const ERROR_MESSAGES = {
+    'not-allowed': 'Microphone access was denied.',
+    'service-not-allowed': 'Speech recognition is not allowed in this browser.',
+    'audio-capture': 'No microphone was found.',
+    'language-not-supported': 'Speech recognition does not support this language.',
+    network: 'Speech recognition needs a network connection in this browser.',
+    'no-speech': 'No speech was detected.',
+};
+
+const describeError = (code) => ({
+    code,
+    message: ERROR_MESSAGES[code] || `Speech recognition error: ${code}.`,
+    isFatal: FATAL_ERRORS.has(code),
+});
+
+export const createWebSpeechRecognizer = ({ lang, onInterim, onFinal, onError, onEnd }) => {
+    const SpeechRecognition = getSpeechRecognition();
+    if (!SpeechRecognition) throw new Error('Speech recognition is not supported in this browser.');
+
+    const recognition = new SpeechRecognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = true;
+
+    recognition.onresult = (event) => {
+        let interim = '';
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) onFinal(result[0].transcript);
+            else interim += result[0].transcript;
+        }
+        onInterim(interim);
+    };
+    recognition.onerror = (event) => {
+        if (event.error === 'aborted') return;
+        onError(describeError(event.error));
+    };
+    recognition.onend = () => onEnd();
+
+    return {
+        start: () => recognition.start(),
+        stop: () => recognition.stop(),
+    };
+};
+
+// A scripted recognizer for tests and development without a microphone. fake.factory goes to
+// setRecognizerFactory; the other methods play the speaker and the browser for the recognizer
+// created last. Like the browser's, start() throws while listening, an error ends recognition,
+// and nothing is heard while stopped. Everything happens synchronously.
+// fake.log records every call and event: [{ type, transcript, code }].
+export const createFakeRecognizer = () => {
+    const log = [];
+    let current = null; // { options, isListening }
+
+    const end = (entry) => {
+        entry.isListening = false;
+        log.push({ type: 'end' });
+        entry.options.onEnd();
+    };
+    const listening = () => (current && current.isListening ? current : null);
+
+    return {
+        log,
+        factory: (options) => {
+            const entry = { options, isListening: false };
+            current = entry;
+            return {
+                start: () => {
+                    if (entry.isListening) throw new Error('Speech recognition has already started.');
+                    entry.isListening = true;
+                    log.push({ type: 'start' });
+                },
+                stop: () => {
+                    log.push({ type: 'stop' });
+                    if (entry.isListening) end(entry);
+                },
+            };
+        },
+        isListening: () => Boolean(listening()),
+        // Words heard so far in the current phrase (an empty transcript withdraws them)
+        hear: (transcript) => {
+            const entry = listening();
+            if (!entry) return;
+            log.push({ type: 'interim', transcript });
+            entry.options.onInterim(transcript);
+        },
+        // A finished phrase; the interim results that led up to it are cleared
+        say: (transcript) => {
+            const entry = listening();
+            if (!entry) return;
+            log.push({ type: 'final', transcript });
+            entry.options.onFinal(transcript);
+            entry.options.onInterim('');
+        },
+        // An error code as the browser reports it ('network', 'not-allowed', ...), then the end
+        fail: (code) => {
+            const entry = listening();
+            if (!entry) return;
+            log.push({ type: 'error', code });
+            entry.options.onError(describeError(code));
+            end(entry);
+        },
+        // Recognition ending by itself, as browsers do after a silence
+        end: () => {
+            const entry = listening();
+            if (entry) end(entry);
+        },
+    };
+};
+
+let recognizerFactory = createWebSpeechRecognizer;
+
+// Replaces the recognizer (pass null to restore the browser's)
+export const setRecognizerFactory = (factory) => {
+    recognizerFactory = factory || createWebSpeechRecognizer;
+};
+
+export const createRecognizer = (options) => recognizerFactory(options);
+
+export const isSpeechRecognitionSupported = () => recognizerFactory !== createWebSpeechRecognizer || Boolean(getSpeechRecognition());
@@ -0,0 +1,222 @@
+// SSML-lite: a small subset of SSML that browsers ignore but scripts need.
+//   <break time="800ms"/> <break strength="strong"/>
+//   <prosody rate="slow" pitch="high" volume="soft">...</prosody>
+//   <emphasis level="strong">...</emphasis>
+//   <voice name="Samantha">...</voice>  (or lang="fr-FR")
+// The tags are located in the raw text. Because every spoken character maps back to a raw
+// position, the settings in effect for a character are looked up by that position, and the
+// utterance queue is split wherever the settings change or a break sits between two characters.
+
+const SSML_TAG_PATTERN = /<(\/?)(speak|break|prosody|emphasis|voice)\b((?:\s+[a-zA-Z:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([a-zA-Z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const MAX_BREAK_MS = 10000;
+
+const BREAK_STRENGTHS = { none: 0, 'x-weak': 100, weak: 250, medium: 500, strong: 800, 'x-strong': 1200 };
+const RATE_KEYWORDS = { 'x-slow': 0.5, slow: 0.75, medium: 1, default: 1, fast: 1.25, 'x-fast': 1.5 };
+const PITCH_KEYWORDS = { 'x-low': 0.6, low: 0.8, medium: 1, default: 1, high: 1.2, 'x-high': 1.4 };
+const VOLUME_KEYWORDS = { silent: 0, 'x-soft': 0.25, soft: 0.5, medium: 1, default: 1, loud: 1.5, 'x-loud': 2 };
+const EMPHASIS_LEVELS = {
+    strong: { rate: 0.85, pitch: 1.15, volume: 1.2 },
+    moderate: { rate: 0.92, pitch: 1.08, volume: 1.1 },
+    reduced: { rate: 1.05, pitch: 0.95, volume: 0.85 },
+    none: { rate: 1, pitch: 1, volume: 1 },
+};
+
+// Multipliers relative to the user's rate/pitch/volume, plus an optional voice override.
+// Other modules may add fields (dialogue adds speaker and silent; silent segments are not spoken).
+const DEFAULT_SETTINGS = { rate: 1, pitch: 1, volume: 1, voiceName: null, voiceLang: null };
+
+const parseAttributes = (source) => {
+    const attributes = {};
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[match[1].toLowerCase()] = match[2] ?? match[3];
+    }
+    return attributes;
+};
+
+// "800ms", "1.5s" -> milliseconds (null when unparseable)
+const parseDuration = (value) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)?\s*$/i.exec(value || '');
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return Math.min(match[2] && match[2].toLowerCase() === 's' ? amount * 1000 : amount, MAX_BREAK_MS);
+};
+
+// Keywords, "150%", "+20%", "-10%", "1.2", "+2st" (semitones) or "+6dB" -> multiplier
+const parseFactor = (value, keywords) => {
+    if (!value) return 1;
+    const normalized = value.trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(keywords, normalized)) return keywords[normalized];
+    let match = /^([+-]?\d+(?:\.\d+)?)%$/.exec(normalized);
+    if (match) return /^[+-]/.test(match[1]) ? 1 + parseFloat(match[1]) / 100 : parseFloat(match[1]) / 100;
+    match = /^([+-]?\d+(?:\.\d+)?)st$/.exec(normalized);
+    if (match) return 2 ** (parseFloat(match[1]) / 12);
+    match = /^([+-]?\d+(?:\.\d+)?)db$/.exec(normalized);
+    if (match) return 10 ** (parseFloat(match[1]) / 20);
+    match = /^\d+(?:\.\d+)?$/.exec(normalized);
+    return match ? parseFloat(normalized) : 1;
+};
+
+const settingsForTag = (name, attributes, parent) => {
+    if (name === 'prosody') {
+        return {
+            ...parent,
+            rate: parent.rate * parseFactor(attributes.rate, RATE_KEYWORDS),
+            pitch: parent.pitch * parseFactor(attributes.pitch, PITCH_KEYWORDS),
+            volume: parent.volume * parseFactor(attributes.volume, VOLUME_KEYWORDS),
+        };
+    }
+    if (name === 'emphasis') {
+        const level = EMPHASIS_LEVELS[(attributes.level || 'moderate').toLowerCase()] || EMPHASIS_LEVELS.moderate;
+        return { ...parent, rate: parent.rate * level.rate, pitch: parent.pitch * level.pitch, volume: parent.volume * level.volume };
+    }
+    if (name === 'voice') {
+        return { ...parent, voiceName: attributes.name || null, voiceLang: attributes.lang || attributes['xml:lang'] || null };
+    }
+    return parent; // <speak>
+};
+
+// Finds the SSML-lite markup in raw text. Returns:
+//   tags:     [{ start, end }]            raw ranges of every tag (hidden from the reader)
+//   breaks:   [{ position, duration }]    silences (ms) at raw positions
+//   segments: [{ start, settings }]       settings in effect from each raw position on
+export const parseSsmlLite = (raw) => {
+    const tags = [];
+    const breaks = [];
+    const segments = [{ start: 0, settings: DEFAULT_SETTINGS }];
+    const stack = [];
+    if (!raw || !raw.includes('<')) return { tags, breaks, segments };
+
+    const current = () => (stack.length > 0 ? stack[stack.length - 1].settings : DEFAULT_SETTINGS);
+    const startSegment = (position) => {
+        const last = segments[segments.length - 1];
+        if (last.start === position) last.settings = current();
+        else segments.push({ start: position, settings: current() });
+    };
+
+    for (const match of raw.matchAll(SSML_TAG_PATTERN)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const isClosing = match[1] === '/';
+        const name = match[2].toLowerCase();
+        const attributes = parseAttributes(match[3]);
+        tags.push({ start, end });
+
+        if (name === 'break') {
+            const duration = parseDuration(attributes.time) ?? BREAK_STRENGTHS[(attributes.strength || 'medium').toLowerCase()] ?? BREAK_STRENGTHS.medium;
+            if (!isClosing && duration > 0) breaks.push({ position: end, duration });
+        } else if (isClosing) {
+            // Close the innermost matching element (and anything left open inside it)
+            const index = stack.map(entry => entry.name).lastIndexOf(name);
+            if (index !== -1) {
+                stack.length = index;
+                startSegment(end);
+            }
+        } else if (match[4] !== '/') {
+            stack.push({ name, settings: settingsForTag(name, attributes, current()) });
+            startSegment(end);
+        }
+    }
+    return { tags, breaks, segments };
+};
+
+// Overlays another piecewise-constant layer onto the markup segments. layer is a sorted list of
+// { start, fields } starting at 0; fields are merged into the settings from that raw position on.
+export const overlaySegments = (markup, layer) => {
+    const points = [...new Set([...markup.segments.map(s => s.start), ...layer.map(l => l.start)])].sort((a, b) => a - b);
+    const segments = [];
+    let m = 0;
+    let l = 0;
+    for (const point of points) {
+        while (m + 1 < markup.segments.length && markup.segments[m + 1].start <= point) m++;
+        while (l + 1 < layer.length && layer[l + 1].start <= point) l++;
+        segments.push({ start: point, settings: { ...markup.segments[m].settings, ...layer[l].fields } });
+    }
+    return { ...markup, segments };
+};
+
+const findSegmentIndex = (segments, rawIndex) => {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (segments[mid].start <= rawIndex) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+};
+
+// Total silence requested by breaks in raw range (after, upTo]
+const silenceBetween = (breaks, after, upTo) => breaks.reduce(
+    (total, b) => (b.position > after && b.position <= upTo ? total + b.duration : total),
+    0
+);
+
+// Splits the chunk queue into utterances with uniform settings.
+// chunks: [{ text, offset }] over spoken.text; returns [{ text, offset, settings, pauseBefore }]
+// where pauseBefore is the silence (ms) to leave before speaking the utterance.
+export const planUtterances = (chunks, spoken, markup) => {
+    const { breaks, segments } = markup;
+    if (breaks.length === 0 && segments.length === 1) {
+        return chunks.map(chunk => ({ ...chunk, settings: DEFAULT_SETTINGS, pauseBefore: 0 }));
+    }
+
+    const planned = [];
+    let previousRaw = -1; // Raw position of the last character already queued
+    let pending = 0; // Silence waiting to be attached to the next utterance
+
+    const push = (offset, end, segmentIndex) => {
+        const text = spoken.text.slice(offset, end);
+        const trimmed = text.trimStart();
+        if (!trimmed.trim() || segments[segmentIndex].settings.silent) return;
+        planned.push({
+            text: trimmed.trimEnd(),
+            offset: offset + (text.length - trimmed.length),
+            settings: segments[segmentIndex].settings,
+            pauseBefore: pending,
+        });
+        pending = 0;
+    };
+
+    for (const chunk of chunks) {
+        let pieceStart = chunk.offset;
+        let pieceSegment = null;
+        const chunkEnd = chunk.offset + chunk.text.length;
+        for (let i = chunk.offset; i < chunkEnd; i++) {
+            // Only words start a piece; whitespace and punctuation stay with the words before them
+            if (!/[\p{L}\p{N}]/u.test(spoken.text[i])) continue;
+            const raw = spoken.rawStart[i];
+            const segment = findSegmentIndex(segments, raw);
+            const silence = previousRaw === -1 ? 0 : silenceBetween(breaks, previousRaw, raw);
+            if (pieceSegment === null) {
+                pieceSegment = segment;
+                pending += silence;
+            } else if (segment !== pieceSegment || silence > 0) {
+                push(pieceStart, i, pieceSegment);
+                pending += silence;
+                pieceStart = i;
+                pieceSegment = segment;
+            }
+            previousRaw = raw;
+        }
+        if (pieceSegment !== null) push(pieceStart, chunkEnd, pieceSegment);
+    }
+    return planned;
+};
+
+// Finds the voice requested by <voice name|lang> among the available voices (null = keep the current one)
+export const resolveMarkupVoice = (settings, voices) => {
+    if (settings.voiceName) {
+        const wanted = settings.voiceName.toLowerCase();
+        const voice = voices.find(v => v.name.toLowerCase() === wanted) || voices.find(v => v.name.toLowerCase().includes(wanted));
+        if (voice) return voice;
+    }
+    if (settings.voiceLang) {
+        const wanted = settings.voiceLang.toLowerCase().replace('_', '-');
+        return voices.find(v => v.lang.toLowerCase().replace('_', '-') === wanted)
+            || voices.find(v => v.lang.toLowerCase().startsWith(wanted.split('-')[0]))
+            || null;
+    }
+    return null;
+};
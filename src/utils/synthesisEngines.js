@@ -0,0 +1,129 @@
+// Pluggable in-browser synthesis engines used for audio file export.
+// The native SpeechSynthesis API never exposes its audio output, so exporting a file
+// requires an engine that renders raw PCM we can feed into the Web Audio API.
+//
+// An engine is a plain object:
+// {
+//     id: 'unique-id',
+//     name: 'Human readable name',
+//     synthesize: async (text, { lang, rate, pitch }) => ({ sampleRate, samples }),
+// }
+// where `samples` is a mono Float32Array in the range [-1, 1].
+
+const engines = new Map();
+
+export const DEFAULT_SYNTHESIS_ENGINE = 'mespeak';
+
+export const registerSynthesisEngine = (engine) => {
+    if (!engine || !engine.id || typeof engine.synthesize !== 'function') {
+        throw new Error('A synthesis engine needs an id and a synthesize() function.');
+    }
+    engines.set(engine.id, engine);
+};
+
+export const getSynthesisEngine = (id) => engines.get(id) || engines.get(DEFAULT_SYNTHESIS_ENGINE);
+
+export const listSynthesisEngines = () => Array.from(engines.values());
+
+// Decodes a 16-bit PCM WAV file into mono float samples
+const decodePcm16Wav = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const channels = view.getUint16(22, true);
+    const sampleRate = view.getUint32(24, true);
+
+    // Walk the RIFF chunks to find the sample data
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const chunkId = String.fromCharCode(
+            view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+        );
+        const chunkSize = view.getUint32(offset + 4, true);
+        if (chunkId === 'data') {
+            const frameCount = Math.floor(Math.min(chunkSize, view.byteLength - offset - 8) / (2 * channels));
+            const samples = new Float32Array(frameCount);
+            for (let i = 0; i < frameCount; i++) {
+                // Only the first channel is used; meSpeak renders mono anyway
+                samples[i] = view.getInt16(offset + 8 + i * 2 * channels, true) / 32768;
+            }
+            return { sampleRate, samples };
+        }
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    throw new Error('Synthesized audio did not contain any sample data.');
+};
+
+// --- meSpeak (eSpeak compiled to JavaScript) ---
+// The engine and its voice data are several megabytes, so everything is loaded on first use.
+
+const MESPEAK_VOICES = {
+    'en-us': () => import('mespeak/voices/en/en-us.json'),
+    'en-gb': () => import('mespeak/voices/en/en-rp.json'),
+    en: () => import('mespeak/voices/en/en.json'),
+    de: () => import('mespeak/voices/de.json'),
+    fr: () => import('mespeak/voices/fr.json'),
+    es: () => import('mespeak/voices/es.json'),
+    it: () => import('mespeak/voices/it.json'),
+    nl: () => import('mespeak/voices/nl.json'),
+    pt: () => import('mespeak/voices/pt.json'),
+    pl: () => import('mespeak/voices/pl.json'),
+    sv: () => import('mespeak/voices/sv.json'),
+};
+
+let meSpeakPromise = null;
+const loadedMeSpeakVoices = {};
+
+const loadMeSpeak = () => {
+    if (!meSpeakPromise) {
+        meSpeakPromise = Promise.all([
+            import('mespeak'),
+            import('mespeak/src/mespeak_config.json'),
+        ]).then(([engineModule, configModule]) => {
+            const meSpeak = engineModule.default || engineModule;
+            meSpeak.loadConfig(configModule.default);
+            return meSpeak;
+        }).catch((err) => {
+            meSpeakPromise = null; // Allow a retry after a failed chunk download
+            throw err;
+        });
+    }
+    return meSpeakPromise;
+};
+
+const resolveMeSpeakVoiceKey = (lang) => {
+    const normalized = (lang || 'en-US').toLowerCase().replace('_', '-');
+    if (MESPEAK_VOICES[normalized]) return normalized;
+    const base = normalized.split('-')[0];
+    return MESPEAK_VOICES[base] ? base : 'en-us';
+};
+
+const loadMeSpeakVoice = async (meSpeak, lang) => {
+    const key = resolveMeSpeakVoiceKey(lang);
+    if (!loadedMeSpeakVoices[key]) {
+        const voiceModule = await MESPEAK_VOICES[key]();
+        const voiceData = voiceModule.default;
+        meSpeak.loadVoice(voiceData);
+        loadedMeSpeakVoices[key] = voiceData.voice_id;
+    }
+    return loadedMeSpeakVoices[key];
+};
+
+const meSpeakEngine = {
+    id: 'mespeak',
+    name: 'meSpeak (eSpeak, offline)',
+    synthesize: async (text, { lang, rate = 1, pitch = 1 } = {}) => {
+        const meSpeak = await loadMeSpeak();
+        const voiceId = await loadMeSpeakVoice(meSpeak, lang);
+
+        // Map the Web Speech ranges (rate 1 = normal, pitch 0..2) onto eSpeak's units
+        const wav = meSpeak.speak(text, {
+            voice: voiceId,
+            speed: Math.round(Math.min(Math.max(175 * rate, 80), 450)),
+            pitch: Math.round(Math.min(Math.max(50 * pitch, 0), 99)),
+            rawdata: 'array',
+        });
+        if (!wav) throw new Error('meSpeak failed to synthesize text.');
+        return decodePcm16Wav(Uint8Array.from(wav));
+    },
+};
+
+registerSynthesisEngine(meSpeakEngine);
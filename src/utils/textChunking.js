@@ -0,0 +1,61 @@
+// Splits text into sentence-sized chunks that are spoken (or synthesized) one at a time.
+// Each chunk keeps the offset of its first character in the source string so that
+// boundary events reported relative to a chunk can be mapped back onto the whole text.
+import { splitSentences } from './textSegmentation';
+
+// Several speech engines silently stop after ~15 seconds of a single utterance
+export const DEFAULT_MAX_CHUNK_LENGTH = 220;
+
+// Finds a good place to break an over-long sentence: after a clause, else between words
+const findBreakPoint = (sentence, maxLength) => {
+    const head = sentence.slice(0, maxLength + 1);
+    const clauseBreak = Math.max(
+        head.lastIndexOf(', '),
+        head.lastIndexOf('; '),
+        head.lastIndexOf(': '),
+    );
+    if (clauseBreak > maxLength / 2) return clauseBreak + 1;
+    const wordBreak = head.lastIndexOf(' ');
+    return wordBreak > 0 ? wordBreak : maxLength;
+};
+
+// A line break always ends a sentence; within a line, sentences follow textSegmentation
+const splitSentenceRanges = (text, locale) => {
+    const ranges = [];
+    let lineStart = 0;
+    for (const line of text.split('\n')) {
+        for (const { start, end } of splitSentences(line, locale)) {
+            ranges.push({ start: lineStart + start, end: lineStart + end });
+        }
+        lineStart += line.length + 1;
+    }
+    return ranges;
+};
+
+export const splitIntoChunks = (text, maxLength = DEFAULT_MAX_CHUNK_LENGTH, locale) => {
+    const chunks = [];
+    if (!text) return chunks;
+
+    for (const range of splitSentenceRanges(text, locale)) {
+        let sentence = text.slice(range.start, range.end);
+        let offset = range.start;
+
+        while (sentence) {
+            // Drop surrounding whitespace but keep the offset pointing at the first spoken character
+            const leading = sentence.length - sentence.trimStart().length;
+            offset += leading;
+            sentence = sentence.trim();
+            if (!/[\p{L}\p{N}]/u.test(sentence)) break; // Nothing speakable (stray punctuation)
+
+            if (sentence.length <= maxLength) {
+                chunks.push({ text: sentence, offset });
+                break;
+            }
+            const cut = findBreakPoint(sentence, maxLength);
+            chunks.push({ text: sentence.slice(0, cut).trim(), offset });
+            offset += cut;
+            sentence = sentence.slice(cut);
+        }
+    }
+    return chunks;
+};
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { splitIntoChunks } from './textChunking';
+
+const textsOf = (text) => splitIntoChunks(text).map(chunk => chunk.text);
+
+// Shared by the Intl.Segmenter path and the regex fallback
+const cases = () => {
+    it('does not break inside decimals or version numbers', () => {
+        expect(textsOf('The value is 3.14 today and costs $2.50. Next.')).toEqual([
+            'The value is 3.14 today and costs $2.50.',
+            'Next.',
+        ]);
+        expect(textsOf('Version 1.2.3 is out! Update now.')).toEqual(['Version 1.2.3 is out!', 'Update now.']);
+    });
+
+    it('does not break after abbreviations and initials', () => {
+        expect(textsOf('Then Dr. Smith arrived. Mrs. Jones met J. R. Tolkien, e.g. at home.')).toEqual([
+            'Then Dr. Smith arrived.',
+            'Mrs. Jones met J. R. Tolkien, e.g. at home.',
+        ]);
+    });
+
+    it('breaks after closing quotes and at line breaks, keeping offsets', () => {
+        const text = 'He said "Stop." Then left\nNew line. ';
+        expect(splitIntoChunks(text)).toEqual([
+            { text: 'He said "Stop."', offset: 0 },
+            { text: 'Then left', offset: text.indexOf('Then') },
+            { text: 'New line.', offset: text.indexOf('New') },
+        ]);
+    });
+};
+
+describe('splitIntoChunks', cases);
+
+describe('splitIntoChunks without Intl.Segmenter', () => {
+    beforeEach(() => {
+        vi.stubGlobal('Intl', { ...Intl, Segmenter: undefined });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    cases();
+});
@@ -0,0 +1,270 @@
+// Turns raw (markdown/HTML) text into the text that is actually spoken, while recording where
+// every spoken character came from. Speech engines report boundary positions in the cleaned
+// text; the offset map lets us translate those back to the raw text shown on screen.
+//
+// The raw text is parsed into a speech document model (see speechDocument.js) and rendered
+// according to the cleaning options below.
+
+import { parseSpeechDocument } from './speechDocument';
+
+// How each structure is spoken. Every option value is one of the keys of its `choices`.
+export const CLEANING_OPTIONS = {
+    headings: {
+        label: 'Headings',
+        choices: { plain: 'Read as text', pause: 'Pause after', announce: 'Say "Heading"' },
+    },
+    listItems: {
+        label: 'List items',
+        choices: { plain: 'Read as text', pause: 'Pause after each', numbered: 'Say item numbers' },
+    },
+    blockQuotes: {
+        label: 'Quotes',
+        choices: { plain: 'Read as text', announce: 'Say "Quote" / "End quote"' },
+    },
+    tables: {
+        label: 'Tables',
+        choices: { rows: 'Read row by row', announce: 'Announce, then read', skip: 'Skip' },
+    },
+    links: {
+        label: 'Links',
+        choices: { text: 'Read link text (or the site name)', announce: 'Say "link" first' },
+    },
+    images: {
+        label: 'Images',
+        choices: { alt: 'Read alt text', announce: 'Say "Image" and alt text', skip: 'Skip' },
+    },
+    codeBlocks: {
+        label: 'Code blocks',
+        choices: { announce: 'Say "Code block"', skip: 'Skip', read: 'Read the code' },
+    },
+};
+
+export const DEFAULT_CLEANING_OPTIONS = {
+    headings: 'pause',
+    listItems: 'pause',
+    blockQuotes: 'plain',
+    tables: 'rows',
+    links: 'text',
+    images: 'alt',
+    codeBlocks: 'announce',
+};
+
+// Fills in missing or unknown values (older saved settings, imported presets)
+export const normalizeCleaningOptions = (options) => {
+    const normalized = { ...DEFAULT_CLEANING_OPTIONS };
+    for (const key of Object.keys(CLEANING_OPTIONS)) {
+        if (options && Object.prototype.hasOwnProperty.call(CLEANING_OPTIONS[key].choices, options[key])) {
+            normalized[key] = options[key];
+        }
+    }
+    return normalized;
+};
+
+const SENTENCE_END = /[.!?:;…]/;
+const isWhitespace = (char) => /\s/.test(char);
+
+const createOutput = () => {
+    const chars = [];
+    const starts = [];
+    const ends = [];
+    const push = (char, start, end) => {
+        chars.push(char);
+        starts.push(start);
+        ends.push(end);
+    };
+    const last = () => chars.length - 1;
+
+    return {
+        chars,
+        starts,
+        ends,
+        // Raw text copied 1:1, or replacement text (a decoded entity, an alt attribute) covering a raw range
+        add(text, start, end) {
+            const direct = text.length === end - start;
+            for (let k = 0; k < text.length; k++) {
+                push(text[k], direct ? start + k : start, direct ? start + k + 1 : end);
+            }
+        },
+        // Spoken words that do not exist in the raw text, attributed to the start of their block
+        announce(text, position) {
+            for (let k = 0; k < text.length; k++) push(text[k], position, position + 1);
+        },
+        // Separators attributed to whatever was spoken just before them
+        append(text) {
+            const k = last();
+            for (let n = 0; n < text.length; n++) push(text[n], k >= 0 ? starts[k] : 0, k >= 0 ? ends[k] : 0);
+        },
+        // Makes sure the engine pauses here: adds a full stop unless the text already ends a sentence
+        endSentence() {
+            let k = last();
+            while (k >= 0 && isWhitespace(chars[k])) k--;
+            if (k < 0 || SENTENCE_END.test(chars[k])) return;
+            chars.splice(k + 1, 0, '.');
+            starts.splice(k + 1, 0, starts[k]);
+            ends.splice(k + 1, 0, ends[k]);
+        },
+        lineBreak() {
+            if (chars.length > 0) this.append('\n');
+        },
+    };
+};
+
+// What a link without text (a bare URL or autolink) is called: the site's domain, or an email
+// address as written; '' when there is neither
+const describeUrl = (url) => {
+    if (/^mailto:/i.test(url) || /^[^:/\s]+@/.test(url)) return url.replace(/^mailto:/i, '');
+    const host = /^(?:[a-z][a-z0-9+.-]*:\/\/|(?=www\.))(?:[^@/?#\s]*@)?([^/?#:\s]+)/i.exec(url);
+    return host ? host[1].replace(/^www\./i, '') : '';
+};
+
+const renderInlines = (out, inlines, options) => {
+    for (const node of inlines) {
+        switch (node.type) {
+            case 'text':
+            case 'code':
+                out.add(node.text, node.start, node.end);
+                break;
+            case 'break':
+                out.add('\n', node.start, node.end);
+                break;
+            case 'link': {
+                // Bare URLs are never spelled out: their domain stands in for the link text
+                const siteName = node.children.length === 0 ? describeUrl(node.url || '') : '';
+                if (node.children.length === 0 && !siteName) {
+                    out.announce(' link', node.start);
+                    break;
+                }
+                if (options.links === 'announce') out.announce('link: ', node.start);
+                if (siteName) out.add(siteName, node.start, node.end);
+                else renderInlines(out, node.children, options);
+                break;
+            }
+            case 'image':
+                if (options.images === 'skip') break;
+                if (options.images === 'announce') out.announce(node.children.length > 0 ? ' Image: ' : ' Image ', node.start);
+                renderInlines(out, node.children, options);
+                break;
+            default:
+                break;
+        }
+    }
+};
+
+const renderBlocks = (out, blocks, options) => {
+    for (const block of blocks) {
+        switch (block.type) {
+            case 'heading':
+                if (options.headings === 'announce') out.announce('Heading: ', block.start);
+                renderInlines(out, block.inlines, options);
+                if (options.headings !== 'plain') out.endSentence();
+                break;
+            case 'paragraph':
+                renderInlines(out, block.inlines, options);
+                break;
+            case 'listItem':
+                if (options.listItems === 'numbered') out.announce(`${block.number}. `, block.start);
+                renderInlines(out, block.inlines, options);
+                if (options.listItems !== 'plain') out.endSentence();
+                break;
+            case 'blockQuote':
+                if (options.blockQuotes === 'announce') out.announce('Quote: ', block.start);
+                renderBlocks(out, block.children, options);
+                if (options.blockQuotes === 'announce') {
+                    out.endSentence();
+                    out.append(' End quote.');
+                }
+                break;
+            case 'codeBlock':
+                if (options.codeBlocks === 'read') {
+                    renderInlines(out, block.inlines, options);
+                    out.endSentence();
+                } else if (options.codeBlocks === 'announce') {
+                    out.announce(block.lang ? `Code block (${block.lang}).` : 'Code block.', block.start);
+                }
+                break;
+            case 'table':
+                if (options.tables === 'skip') break;
+                if (options.tables === 'announce') {
+                    out.announce(`Table with ${block.rows.length} ${block.rows.length === 1 ? 'row' : 'rows'}.`, block.start);
+                    out.lineBreak();
+                }
+                for (const row of block.rows) {
+                    row.forEach((cell, index) => {
+                        if (index > 0) out.append(', ');
+                        renderInlines(out, cell, options);
+                    });
+                    out.endSentence();
+                    out.lineBreak();
+                }
+                break;
+            default:
+                break;
+        }
+        out.lineBreak();
+    }
+};
+
+// Returns { text, rawStart, rawEnd } where cleaned character i was produced from
+// raw characters [rawStart[i], rawEnd[i]).
+export const cleanTextWithOffsets = (rawText, options = DEFAULT_CLEANING_OPTIONS) => {
+    if (!rawText) return { text: '', rawStart: new Int32Array(0), rawEnd: new Int32Array(0) };
+
+    const out = createOutput();
+    renderBlocks(out, parseSpeechDocument(rawText), normalizeCleaningOptions(options));
+    const { chars, starts, ends } = out;
+
+    // Collapse whitespace runs (a line break survives as a sentence boundary for chunking), then trim
+    const text = [];
+    const rawStart = [];
+    const rawEnd = [];
+    let j = 0;
+    while (j < chars.length) {
+        if (isWhitespace(chars[j])) {
+            let runEnd = j + 1;
+            let hasLineBreak = chars[j] === '\n';
+            while (runEnd < chars.length && isWhitespace(chars[runEnd])) {
+                if (chars[runEnd] === '\n') hasLineBreak = true;
+                runEnd++;
+            }
+            const isEdge = text.length === 0 || runEnd === chars.length;
+            if (!isEdge) {
+                text.push(hasLineBreak ? '\n' : ' ');
+                rawStart.push(starts[j]);
+                rawEnd.push(Math.max(ends[runEnd - 1], starts[j]));
+            }
+            j = runEnd;
+            continue;
+        }
+        text.push(chars[j]);
+        rawStart.push(starts[j]);
+        rawEnd.push(ends[j]);
+        j++;
+    }
+
+    return {
+        text: text.join(''),
+        rawStart: Int32Array.from(rawStart),
+        rawEnd: Int32Array.from(rawEnd),
+    };
+};
+
+// Utility function to clean text for dictation
+export const cleanText = (rawText, options) => cleanTextWithOffsets(rawText, options).text;
+
+// Maps a position in the cleaned text back to the raw text (-1 if out of range)
+export const toRawIndex = (cleaned, cleanIndex) => {
+    if (cleanIndex < 0 || cleanIndex >= cleaned.rawStart.length) return -1;
+    return cleaned.rawStart[cleanIndex];
+};
+
+// Maps a raw-text position to the first cleaned character produced at or after it
+export const toCleanIndex = (cleaned, rawIndex) => {
+    let low = 0;
+    let high = cleaned.rawEnd.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cleaned.rawEnd[mid] <= rawIndex) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+};
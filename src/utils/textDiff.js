@@ -0,0 +1,60 @@
+// Small text diffs for proofreading: where an edit happened (to keep reading from there) and
+// word-level differences between a sentence as it was read and as it was corrected.
+
+// The changed region between two versions: old text [start, oldEnd) became new text [start, newEnd).
+// Returns null when the texts are identical.
+export const findChangedRange = (oldText, newText) => {
+    if (oldText === newText) return null;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    let start = 0;
+    while (start < maxPrefix && oldText[start] === newText[start]) start++;
+    let suffix = 0;
+    const maxSuffix = maxPrefix - start;
+    while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) suffix++;
+    return { start, oldEnd: oldText.length - suffix, newEnd: newText.length - suffix };
+};
+
+// Maps a position in the old text to the new one. Positions inside the edit move to its start.
+export const mapPosition = (range, position) => {
+    if (!range || position <= range.start) return position;
+    if (position >= range.oldEnd) return position + range.newEnd - range.oldEnd;
+    return range.start;
+};
+
+// Word-level diff: [{ type: 'same' | 'removed' | 'added', text }] (whitespace kept with each word)
+export const diffWords = (before, after) => {
+    const a = before.match(/\s*\S+/g) || [];
+    const b = after.match(/\s*\S+/g) || [];
+    const same = (x, y) => x.trim() === y.trim();
+
+    // Longest common subsequence table; sentences are short enough for the quadratic version
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = same(a[i], b[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (same(a[i], b[j])) {
+            push('same', b[j]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+    return parts;
+};
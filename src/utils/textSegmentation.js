@@ -0,0 +1,72 @@
+// Sentence and paragraph detection on the raw text, used for skip navigation and for
+// cutting the speech queue. Intl.Segmenter handles non-Latin punctuation; the fallback covers
+// browsers that do not ship it. Neither breaks inside "3.14" or "1.2.3", and a sentence never
+// ends at one of the abbreviations below.
+
+// Punctuation that can end a sentence, with any closing quotes/brackets, then whitespace or the end
+const FALLBACK_BOUNDARY_PATTERN = /[.!?]+["')\]’”]*(?:\s+|$)/g;
+
+// Titles, "e.g."/"i.e." and single initials ("J. R. R. Tolkien") that Intl.Segmenter breaks after
+const ABBREVIATION_PATTERN = /(?:^|[\s("'‘“])(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|Mt|vs|cf|e\.g|i\.e|\p{Lu})\.$/u;
+
+const endsWithAbbreviation = (text, end) => ABBREVIATION_PATTERN.test(text.slice(Math.max(0, end - 12), end).trimEnd());
+
+// Returns [{ start, end }] covering the text; each range keeps its trailing whitespace
+export const splitSentences = (text, locale) => {
+    let ends;
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+        ends = Array.from(segmenter.segment(text), ({ segment, index }) => index + segment.length);
+    } else {
+        ends = Array.from(text.matchAll(FALLBACK_BOUNDARY_PATTERN), (match) => match.index + match[0].length);
+        if (ends[ends.length - 1] !== text.length) ends.push(text.length);
+    }
+
+    const sentences = [];
+    let start = 0;
+    for (const end of ends) {
+        if (end <= start || (end < text.length && endsWithAbbreviation(text, end))) continue;
+        sentences.push({ start, end });
+        start = end;
+    }
+    return sentences;
+};
+
+// Returns [{ start, end, paragraph }] in raw-text positions. Every line break starts a new
+// paragraph; sentences never span paragraphs. `start` is snapped to the first word token
+// of the sentence so seeking lands on a word rather than on leading whitespace.
+export const segmentSentences = (text, tokens, locale) => {
+    if (!text) return [];
+
+    const wordStarts = tokens.filter(token => token.isWord).map(token => token.rawStart);
+    const sentences = [];
+    let paragraph = 0;
+    let lineStart = 0;
+    let wordCursor = 0;
+
+    for (const line of text.split('\n')) {
+        let hasContent = false;
+        for (const segment of splitSentences(line, locale)) {
+            const start = lineStart + segment.start;
+            const end = lineStart + segment.end;
+            while (wordCursor < wordStarts.length && wordStarts[wordCursor] < start) wordCursor++;
+            const firstWord = wordStarts[wordCursor];
+            if (firstWord === undefined || firstWord >= end) continue; // Only whitespace
+            sentences.push({ start: firstWord, end, paragraph });
+            hasContent = true;
+        }
+        if (hasContent) paragraph++;
+        lineStart += line.length + 1;
+    }
+    return sentences;
+};
+
+// Index of the sentence containing the raw position (the last one starting at or before it)
+export const findSentenceIndex = (sentences, rawIndex) => {
+    let found = 0;
+    for (let i = 0; i < sentences.length; i++) {
+        if (sentences[i].start > rawIndex) break;
+        found = i;
+    }
+    return found;
+};
@@ -0,0 +1,157 @@
+// Theme engine: every colour and reader setting is a CSS custom property on <html>, and the
+// Tailwind palette (tailwind.config.js) refers to those properties. Components therefore only
+// use static class names (bg-dictator-accent, text-dictator-muted, ...) that the JIT can see,
+// and switching themes just rewrites the properties.
+//
+// Colours are stored as "r g b" channel triples so Tailwind opacity modifiers (bg-dictator-accent/30) work.
+
+export const COLOR_SCHEMES = { system: 'Follow system', dark: 'Dark', light: 'Light' };
+export const CONTRAST_MODES = { system: 'Follow system', more: 'High contrast', normal: 'Normal' };
+
+export const ACCENT_SWATCHES = ['#e11d48', '#0891b2', '#9333ea', '#15803d', '#ca8a04', '#db2777', '#0284c7', '#ea580c'];
+
+export const FONT_FAMILIES = {
+    mono: { label: 'Monospace', stack: 'ui-monospace, SFMono-Regular, Menlo, Consolas, "Liberation Mono", monospace' },
+    sans: { label: 'Sans-serif', stack: 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif' },
+    serif: { label: 'Serif', stack: 'Georgia, Cambria, "Times New Roman", serif' },
+    readable: { label: 'Readable (Atkinson Hyperlegible / OpenDyslexic if installed)', stack: '"Atkinson Hyperlegible", OpenDyslexic, Verdana, sans-serif' },
+};
+
+// Classes for the word being spoken; all literal so Tailwind generates them
+export const HIGHLIGHT_STYLES = {
+    classic: { label: 'Marker + wavy underline', className: 'rounded px-0.5 font-semibold text-dictator-strong underline decoration-wavy decoration-dictator-accent decoration-2 bg-dictator-accent/30' },
+    marker: { label: 'Marker', className: 'rounded px-0.5 text-dictator-strong bg-dictator-accent/40' },
+    underline: { label: 'Underline', className: 'underline decoration-dictator-accent decoration-4 underline-offset-4' },
+    outline: { label: 'Outline', className: 'rounded outline outline-2 outline-dictator-accent' },
+    bold: { label: 'Bold accent', className: 'font-bold text-dictator-accent-text' },
+};
+
+export const DEFAULT_APPEARANCE = {
+    colorScheme: 'system',
+    contrast: 'system',
+    accent: '#e11d48',
+    fontFamily: 'mono',
+    fontSize: 18, // px, reader text only
+    lineHeight: 1.6,
+    highlightStyle: 'classic',
+};
+
+// The `theme` prop passed to components: static utility classes backed by the custom properties
+export const THEME_CLASSES = {
+    bg: 'bg-dictator-bg',
+    sidebarBg: 'bg-dictator-panel',
+    text: 'text-dictator-text',
+    inputBg: 'bg-dictator-input',
+    inputBorder: 'border-dictator-line',
+    infoText: 'text-dictator-muted',
+    highlightText: 'text-dictator-strong',
+    buttonSecondaryBg: 'bg-dictator-button',
+    buttonSecondaryHover: 'hover:bg-dictator-button-hover',
+    buttonSecondaryText: 'text-dictator-text',
+    headerBorder: 'border-dictator-line',
+    logoBg: 'bg-dictator-input', // For file input
+    sliderTrack: 'bg-dictator-line',
+    accent: 'text-dictator-accent-text',
+    accentBg: 'bg-dictator-accent',
+    onAccent: 'text-dictator-on-accent', // Text on accent backgrounds
+    headerAccent: 'text-dictator-accent-text',
+};
+
+// Surface colours per scheme and contrast level
+const PALETTES = {
+    dark: {
+        bg: '#0f172a', panel: '#0f172a', text: '#f1f5f9', strong: '#ffffff', muted: '#94a3b8',
+        input: '#1e293b', line: '#334155', button: '#334155', buttonHover: '#475569',
+    },
+    light: {
+        bg: '#f1f5f9', panel: '#f3f4f6', text: '#0f172a', strong: '#111827', muted: '#4b5563',
+        input: '#ffffff', line: '#d1d5db', button: '#e5e7eb', buttonHover: '#d1d5db',
+    },
+    darkHighContrast: {
+        bg: '#000000', panel: '#000000', text: '#ffffff', strong: '#ffffff', muted: '#ffffff',
+        input: '#000000', line: '#ffffff', button: '#000000', buttonHover: '#333333',
+    },
+    lightHighContrast: {
+        bg: '#ffffff', panel: '#ffffff', text: '#000000', strong: '#000000', muted: '#000000',
+        input: '#ffffff', line: '#000000', button: '#ffffff', buttonHover: '#dddddd',
+    },
+};
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+const mix = (rgb, target, amount) => rgb.map((channel, i) => Math.round(channel + (target[i] - channel) * amount));
+
+const toChannels = (rgb) => rgb.join(' ');
+
+// WCAG relative luminance
+const luminance = (rgb) => {
+    const [r, g, b] = rgb.map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+const pick = (value, choices, fallback) => (Object.hasOwn(choices, value) ? value : fallback);
+
+// Fills in missing or invalid fields (older saves, voice bindings, hand-edited storage)
+export const normalizeAppearance = (appearance) => {
+    const value = { ...DEFAULT_APPEARANCE, ...appearance };
+    return {
+        colorScheme: pick(value.colorScheme, COLOR_SCHEMES, DEFAULT_APPEARANCE.colorScheme),
+        contrast: pick(value.contrast, CONTRAST_MODES, DEFAULT_APPEARANCE.contrast),
+        accent: HEX_COLOR_PATTERN.test(value.accent) ? value.accent.toLowerCase() : DEFAULT_APPEARANCE.accent,
+        fontFamily: pick(value.fontFamily, FONT_FAMILIES, DEFAULT_APPEARANCE.fontFamily),
+        fontSize: clamp(value.fontSize, 12, 40, DEFAULT_APPEARANCE.fontSize),
+        lineHeight: clamp(value.lineHeight, 1, 3, DEFAULT_APPEARANCE.lineHeight),
+        highlightStyle: pick(value.highlightStyle, HIGHLIGHT_STYLES, DEFAULT_APPEARANCE.highlightStyle),
+    };
+};
+
+// Whether the appearance resolves to dark / high contrast, given the media query results
+export const resolveColorScheme = (appearance, { prefersDark, prefersMoreContrast }) => ({
+    isDark: appearance.colorScheme === 'system' ? prefersDark : appearance.colorScheme === 'dark',
+    isHighContrast: appearance.contrast === 'system' ? prefersMoreContrast : appearance.contrast === 'more',
+});
+
+// CSS custom properties for an appearance: { '--dictator-accent': '225 29 72', ... }
+export const buildThemeVariables = (appearance, { isDark, isHighContrast }) => {
+    const palette = PALETTES[`${isDark ? 'dark' : 'light'}${isHighContrast ? 'HighContrast' : ''}`];
+    const accent = hexToRgb(appearance.accent);
+    const text = hexToRgb(palette.text);
+    // Accent-coloured text is pulled towards the text colour so it stays readable on the background
+    const accentText = mix(accent, text, isHighContrast ? 0.6 : isDark ? 0.35 : 0.15);
+    const onAccent = luminance(accent) > 0.4 ? [0, 0, 0] : [255, 255, 255];
+
+    return {
+        '--dictator-bg': toChannels(hexToRgb(palette.bg)),
+        '--dictator-panel': toChannels(hexToRgb(palette.panel)),
+        '--dictator-text': toChannels(text),
+        '--dictator-strong': toChannels(hexToRgb(palette.strong)),
+        '--dictator-muted': toChannels(hexToRgb(palette.muted)),
+        '--dictator-input': toChannels(hexToRgb(palette.input)),
+        '--dictator-line': toChannels(hexToRgb(palette.line)),
+        '--dictator-button': toChannels(hexToRgb(palette.button)),
+        '--dictator-button-hover': toChannels(hexToRgb(palette.buttonHover)),
+        '--dictator-accent': toChannels(accent),
+        '--dictator-accent-text': toChannels(accentText),
+        '--dictator-on-accent': toChannels(onAccent),
+        '--dictator-reader-font': FONT_FAMILIES[appearance.fontFamily].stack,
+        '--dictator-reader-size': `${appearance.fontSize}px`,
+        '--dictator-reader-line-height': String(appearance.lineHeight),
+    };
+};
+
+export const applyThemeVariables = (element, variables, isDark) => {
+    for (const [name, value] of Object.entries(variables)) {
+        element.style.setProperty(name, value);
+    }
+    element.style.colorScheme = isDark ? 'dark' : 'light'; // Native controls and scrollbars
+};
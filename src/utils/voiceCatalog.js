@@ -0,0 +1,90 @@
+// Searching, filtering and grouping the installed speech synthesis voices for the voice browser.
+// Voices are SpeechSynthesisVoice objects; favourites are stored as a list of voice names.
+
+import { getLanguageName } from './languageDetection';
+
+// Short sentences for previewing a voice, keyed by base language (English is the fallback)
+const PREVIEW_SENTENCES = {
+    en: 'Hello! This is how I sound when I read your text.',
+    fr: 'Bonjour ! Voici comment je lis votre texte.',
+    de: 'Hallo! So klinge ich, wenn ich Ihren Text vorlese.',
+    es: '¡Hola! Así sueno cuando leo tu texto.',
+    it: 'Ciao! Ecco come suono quando leggo il tuo testo.',
+    pt: 'Olá! É assim que eu soo quando leio o seu texto.',
+    nl: 'Hallo! Zo klink ik als ik je tekst voorlees.',
+    ru: 'Здравствуйте! Так звучит мой голос, когда я читаю ваш текст.',
+    ja: 'こんにちは。これが私の声です。',
+    zh: '你好！这是我朗读文字时的声音。',
+    ko: '안녕하세요! 제가 글을 읽을 때 이런 목소리가 납니다.',
+};
+
+const splitLang = (lang) => {
+    const [base = '', region = ''] = (lang || '').replace('_', '-').split('-');
+    return { base: base.toLowerCase(), region: region.toUpperCase() };
+};
+
+const getRegionName = (region) => {
+    if (!region) return '';
+    try {
+        return new Intl.DisplayNames([], { type: 'region' }).of(region) || region;
+    } catch {
+        return region;
+    }
+};
+
+export const getPreviewSentence = (locale) => PREVIEW_SENTENCES[splitLang(locale).base] || PREVIEW_SENTENCES.en;
+
+// Language/region options for the filter selects: [{ value, label }] sorted by label
+export const listVoiceLanguages = (voices) => {
+    const langs = new Map();
+    for (const voice of voices) {
+        const { base } = splitLang(voice.lang);
+        if (base && !langs.has(base)) langs.set(base, getLanguageName(base));
+    }
+    return [...langs].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+export const listVoiceRegions = (voices, lang) => {
+    const regions = new Map();
+    for (const voice of voices) {
+        const { base, region } = splitLang(voice.lang);
+        if (region && (!lang || base === lang) && !regions.has(region)) regions.set(region, getRegionName(region));
+    }
+    return [...regions].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+};
+
+// filters: { query, lang, region, source: 'all' | 'local' | 'network', defaultOnly, favouritesOnly }
+export const filterVoices = (voices, filters, favourites) => {
+    const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return voices.filter(voice => {
+        const { base, region } = splitLang(voice.lang);
+        if (filters.lang && base !== filters.lang) return false;
+        if (filters.region && region !== filters.region) return false;
+        if (filters.source === 'local' && !voice.localService) return false;
+        if (filters.source === 'network' && voice.localService) return false;
+        if (filters.defaultOnly && !voice.default) return false;
+        if (filters.favouritesOnly && !favourites.includes(voice.name)) return false;
+        if (terms.length === 0) return true;
+        // Every term must appear in the name, the language tag or the language/region names
+        const haystack = `${voice.name} ${voice.lang} ${getLanguageName(base)} ${getRegionName(region)}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    });
+};
+
+// Groups voices by language: [{ lang, label, voices }]. Favourites come first within a group.
+export const groupVoicesByLanguage = (voices, favourites) => {
+    const groups = new Map();
+    for (const voice of voices) {
+        const { base } = splitLang(voice.lang);
+        const lang = base || 'other';
+        if (!groups.has(lang)) groups.set(lang, { lang, label: base ? getLanguageName(base) : 'Other', voices: [] });
+        groups.get(lang).voices.push(voice);
+    }
+    const isFavourite = (voice) => favourites.includes(voice.name);
+    return [...groups.values()]
+        .map(group => ({
+            ...group,
+            voices: [...group.voices].sort((a, b) => Number(isFavourite(b)) - Number(isFavourite(a)) || a.name.localeCompare(b.name)),
+        }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+};
@@ -0,0 +1,77 @@
+// Named voice presets: voice + rate + pitch + volume + cleaning options under one name
+// ("Proofreading 1.6x"). Presets live in localStorage; a document may name one as its
+// default (doc.presetId). The JSON export format is { version, presets: [...] }.
+
+import { normalizeCleaningOptions } from './textCleaning';
+
+const PRESET_FILE_VERSION = 1;
+
+const generatePresetId = () => `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const clampNumber = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+};
+
+// Builds a preset from the current settings (ranges match the sliders in DictatorControls)
+export const createPreset = (name, { voiceName, rate, pitch, volume, cleaningOptions }) => ({
+    id: generatePresetId(),
+    name,
+    voiceName: voiceName || null,
+    rate: clampNumber(rate, 0.5, 4, 1),
+    pitch: clampNumber(pitch, 0, 2, 1),
+    volume: clampNumber(volume, 0, 1, 1),
+    cleaningOptions: normalizeCleaningOptions(cleaningOptions),
+});
+
+const sameNumber = (a, b) => Math.abs(a - b) < 0.001;
+
+// True when the preset describes exactly these settings
+export const presetMatchesSettings = (preset, { voiceName, rate, pitch, volume, cleaningOptions }) => {
+    const presetOptions = normalizeCleaningOptions(preset.cleaningOptions);
+    const currentOptions = normalizeCleaningOptions(cleaningOptions);
+    return preset.voiceName === (voiceName || null)
+        && sameNumber(preset.rate, rate)
+        && sameNumber(preset.pitch, pitch)
+        && sameNumber(preset.volume, volume)
+        && Object.keys(presetOptions).every(key => presetOptions[key] === currentOptions[key]);
+};
+
+export const serializePresets = (presets) => JSON.stringify({
+    version: PRESET_FILE_VERSION,
+    presets: presets.map(({ name, voiceName, rate, pitch, volume, cleaningOptions }) => (
+        { name, voiceName, rate, pitch, volume, cleaningOptions }
+    )),
+}, null, 2);
+
+// Parses an exported preset file (or a bare array). Throws with a user-facing message.
+export const parsePresets = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    const entries = Array.isArray(data) ? data : data && data.presets;
+    if (!Array.isArray(entries)) throw new Error('No "presets" list was found in the file.');
+
+    const presets = entries
+        .filter(entry => entry && typeof entry.name === 'string' && entry.name.trim())
+        .map(entry => createPreset(entry.name.trim(), entry));
+    if (presets.length === 0) throw new Error('The file does not contain any presets.');
+    return presets;
+};
+
+// Adds imported presets. One with the same name as an existing preset replaces it in place and
+// keeps its id, so documents using it as their default keep pointing at it.
+export const mergePresets = (existing, imported) => {
+    const byName = (name) => name.toLowerCase();
+    const importedByName = new Map(imported.map(preset => [byName(preset.name), preset]));
+    const merged = existing.map(preset => {
+        const replacement = importedByName.get(byName(preset.name));
+        if (!replacement) return preset;
+        importedByName.delete(byName(preset.name));
+        return { ...replacement, id: preset.id };
+    });
+    return [...merged, ...importedByName.values()];
+};
@@ -1,4 +1,9 @@
 /** @type {import('tailwindcss').Config} */
+
+// Theme colours are CSS custom properties holding "r g b" channels, set at runtime by
+// src/utils/themeEngine.js (defaults in src/index.css), so opacity modifiers keep working.
+const themeColor = (name) => `rgb(var(--dictator-${name}) / <alpha-value>)`;
+
 export default {
   content: [
     "./index.html",
@@ -7,19 +12,26 @@ export default {
   theme: {
     extend: {
       colors: {
-        'dictator-dark': '#0f172a', // dark mode background (slate-900)
-        'dictator-accent': '#e11d48', // accent color (rose-600)
-        'dictator-light': '#f1f5f9', // light mode background (slate-100)
-      }
+        'dictator-accent': themeColor('accent'),
+        'dictator-accent-text': themeColor('accent-text'),
+        'dictator-on-accent': themeColor('on-accent'),
+        'dictator-bg': themeColor('bg'),
+        'dictator-panel': themeColor('panel'),
+        'dictator-text': themeColor('text'),
+        'dictator-strong': themeColor('strong'),
+        'dictator-muted': themeColor('muted'),
+        'dictator-input': themeColor('input'),
+        'dictator-line': themeColor('line'),
+        'dictator-button': themeColor('button'),
+        'dictator-button-hover': themeColor('button-hover'),
+      },
+      fontFamily: {
+        reader: 'var(--dictator-reader-font)',
+      },
+      fontSize: {
+        reader: ['var(--dictator-reader-size)', { lineHeight: 'var(--dictator-reader-line-height)' }],
+      },
     },
   },
-  // Safelist classes used dynamically in App.jsx for theme switching
-  safelist: [
-    // Covers multiple color sets for dynamic theme switching and dark/light modes:
-    { 
-      pattern: /(bg|text|focus:border|accent|file:bg|hover:bg|border)-(slate|gray|cyan|purple|dictator|zinc|green|blue|yellow|amber|pink|sky|neutral|fuchsia|orange|white|black)-(950|900|800|700|600|500|400|300|200|100|50|light|dark|accent)/, 
-      variants: ['focus', 'hover'] 
-    },
-  ],
   plugins: [],
-}
\ No newline at end of file
+}
@@ -1,7 +1,127 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { Buffer } from 'node:buffer'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+const listFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+  entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)]
+))
+
+// Emits the service worker (src/sw.js) with the list of files to precache: every file of the
+// build plus the public directory. The cache version is a hash of their contents, so each
+// deploy installs a fresh cache and the old one is dropped when the new worker activates.
+const serviceWorkerPlugin = () => {
+  let publicDir = null
+  return {
+    name: 'dictator-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const files = []
+      for (const item of Object.values(bundle)) {
+        if (item.fileName.endsWith('.map')) continue
+        files.push(item.fileName)
+        hash.update(item.fileName).update(item.type === 'chunk' ? item.code : item.source)
+      }
+      if (publicDir && existsSync(publicDir)) {
+        for (const path of listFiles(publicDir)) {
+          const fileName = relative(publicDir, path).split('\\').join('/')
+          files.push(fileName)
+          hash.update(fileName).update(readFileSync(path))
+        }
+      }
+      const manifest = { version: hash.digest('hex').slice(0, 12), files: files.sort() }
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+// A 16-bit mono WAV file from samples in [-1, 1]
+const encodeWav = (samples, sampleRate) => {
+  const buffer = Buffer.alloc(44 + samples.length * 2)
+  buffer.write('RIFF', 0)
+  buffer.writeUInt32LE(36 + samples.length * 2, 4)
+  buffer.write('WAVEfmt ', 8)
+  buffer.writeUInt32LE(16, 16)
+  buffer.writeUInt16LE(1, 20)
+  buffer.writeUInt16LE(1, 22)
+  buffer.writeUInt32LE(sampleRate, 24)
+  buffer.writeUInt32LE(sampleRate * 2, 28)
+  buffer.writeUInt16LE(2, 32)
+  buffer.writeUInt16LE(16, 34)
+  buffer.write('data', 36)
+  buffer.writeUInt32LE(samples.length * 2, 40)
+  samples.forEach((sample, i) => buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2))
+  return buffer
+}
+
+// Dev-only stand-in for a neural TTS server at /__mock-tts, for trying the HTTP engine without
+// one. It accepts both request styles (OpenAI's { input, voice, speed } and Piper's
+// { text, voice, length_scale }) and answers { audio, words }: a beep per word, pitched by voice,
+// with longer gaps after punctuation. ?words=0 leaves the word timings out.
+const mockSpeechServerPlugin = () => ({
+  name: 'dictator-mock-tts',
+  apply: 'serve',
+  configureServer(server) {
+    server.middlewares.use('/__mock-tts', (req, res) => {
+      if (req.method !== 'POST') {
+        res.statusCode = 405
+        res.end()
+        return
+      }
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        let request
+        try {
+          request = JSON.parse(body)
+        } catch {
+          res.statusCode = 400
+          res.end('Invalid JSON')
+          return
+        }
+        const text = String(request.input ?? request.text ?? '')
+        const speed = request.speed ?? (request.length_scale ? 1 / request.length_scale : 1)
+        const voice = String(request.voice || '')
+        const frequency = 220 + [...voice].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 220
+        const sampleRate = 22050
+        const samples = []
+        const words = []
+        for (const [word] of text.matchAll(/\S+/g)) {
+          const start = samples.length / sampleRate
+          const length = Math.round(sampleRate * Math.max(0.05 * word.length, 0.12) / speed)
+          for (let i = 0; i < length; i++) {
+            const fade = Math.min(i, length - i, 200) / 200
+            samples.push(0.2 * fade * Math.sin(2 * Math.PI * frequency * i / sampleRate))
+          }
+          words.push({ word, start, end: samples.length / sampleRate })
+          const gap = /[.!?]$/.test(word) ? 0.4 : /[,;:]$/.test(word) ? 0.2 : 0.08
+          samples.push(...new Array(Math.round(sampleRate * gap / speed)).fill(0))
+        }
+        if (samples.length === 0) samples.push(...new Array(sampleRate / 10).fill(0))
+        const withWords = new URL(req.originalUrl, 'http://localhost').searchParams.get('words') !== '0'
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify({
+          audio: encodeWav(samples, sampleRate).toString('base64'),
+          ...(withWords ? { words } : {}),
+        }))
+      })
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerPlugin(), mockSpeechServerPlugin()],
+  test: {
+    environment: 'jsdom',
+  },
 })